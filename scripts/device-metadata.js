@@ -0,0 +1,172 @@
+/**
+ * Extracts filters, services and per-device metadata from buttplug's device config.
+ * Used by update-devices.js; kept separate so it can be tested without the network.
+ */
+
+// Coyote (DG-Lab e-stim) - not in buttplug due to liability
+export const COYOTE_FILTERS = [
+  { namePrefix: 'D-LAB ESTIM' },
+  { namePrefix: 'DG-LAB' },
+  { namePrefix: '47L' },
+  { namePrefix: 'Coyote' },
+];
+export const COYOTE_SERVICES = [
+  '0000180c-0000-1000-8000-00805f9b34fb',  // V3 Control
+  '955a180a-0fe2-f5aa-a094-84b8d4f3e8ad',  // V2 Service A (read-only)
+  '955a180b-0fe2-f5aa-a094-84b8d4f3e8ad',  // V2 Service B (writable)
+];
+
+// buttplug protocol id -> our protocol builder, only where the byte format matches.
+// Everything else is still listed (so the device is recognised) with protocol: null.
+export const PROTOCOL_MAP = {
+  'lovense': 'lovense',
+  'satisfyer': 'satisfyer',
+  'wevibe': 'wevibe',
+  'lelo-f1s': 'lelo',
+  'lelo-f1sv2': 'lelo',
+  'kiiroo-v2-vibrator': 'kiiroo',
+  'svakom-v1': 'svakom',
+  'svakom': 'svakom',         // v2 name of svakom-v1
+  'magic-motion-1': 'magicmotion',
+  'mysteryvibe': 'mysteryvibe',
+  'aneros': 'aneros',
+};
+
+/**
+ * Count output features by type and collect vibrate step maxima (one per motor)
+ * Accepts v4 ({ output: { vibrate: { value: [0, 20] } } }) and
+ * v3 ({ 'feature-type': 'Vibrate', actuator: { 'step-range': [0, 20] } }) features;
+ * v2 message lists go through v2Features() first.
+ */
+export function parseFeatures(features = []) {
+  const counts = {};
+  const steps = [];
+
+  for (const feature of features) {
+    const outputs = feature.output
+      ? Object.entries(feature.output).map(([type, spec]) => [type, spec?.value ?? spec?.['step-range']])
+      : feature.actuator
+        ? [[String(feature['feature-type']).toLowerCase(), feature.actuator['step-range']]]
+        : [];
+
+    for (const [type, range] of outputs) {
+      counts[type] = (counts[type] || 0) + 1;
+      if (type === 'vibrate' && Array.isArray(range)) steps.push(range[1]);
+    }
+  }
+
+  return { features: counts, steps };
+}
+
+/**
+ * v2 configs describe outputs per message ({ ScalarCmd: [{ StepRange, ActuatorType }] })
+ * - rewritten as v3 features for parseFeatures()
+ */
+export function v2Features(messages = {}) {
+  const feature = (type, range) => ({ 'feature-type': type, actuator: { 'step-range': range } });
+  return [
+    ...(messages.ScalarCmd || []).map(a => feature(a.ActuatorType, a.StepRange)),
+    ...(messages.RotateCmd || []).map(a => feature('Rotate', a.StepRange)),
+    ...(messages.LinearCmd || []).map(a => feature('Position', a.StepRange)),
+  ];
+}
+
+// Features of one configuration or the protocol defaults, v4/v3 or v2
+const featuresOf = (spec) => spec?.features || (spec?.messages ? v2Features(spec.messages) : undefined);
+
+/**
+ * @param {object} config - Parsed buttplug-device-config JSON (v4/v3 `communication`, or v2 `btle` per protocol)
+ * @returns {{filters: object[], services: string[], protocols: object, devices: object[]}}
+ */
+export function extractDeviceConfig(config) {
+  const names = new Set();
+  const services = new Set();
+  const protocols = {};
+  const devices = [];
+
+  for (const [source, protocol] of Object.entries(config.protocols)) {
+    const configurations = protocol.configurations || [];
+
+    const communication = protocol.communication || (protocol.btle ? [{ btle: protocol.btle }] : []);
+    for (const comm of communication) {
+      const btle = comm.btle;
+      if (!btle) continue;
+
+      // Characteristic UUIDs per service ({ tx, rx, ... }), shared by the protocol's devices
+      protocols[source] ||= { protocol: PROTOCOL_MAP[source] || null, services: {} };
+      for (const [uuid, chars] of Object.entries(btle.services || {})) {
+        services.add(uuid.toLowerCase());
+        protocols[source].services[uuid.toLowerCase()] = chars;
+      }
+
+      for (const name of btle.names || []) {
+        const filter = name.endsWith('*') ? { namePrefix: name.slice(0, -1) } : { name };
+        names.add(JSON.stringify(filter));
+
+        // Named configurations override the protocol defaults (Lovense identifies by type letter instead)
+        const match = configurations.find(c => (c.identifier || []).includes(name));
+        const { features, steps } = parseFeatures(featuresOf(match) || featuresOf(protocol.defaults));
+        devices.push({
+          ...filter,
+          source,
+          protocol: PROTOCOL_MAP[source] || null,
+          label: match?.name || protocol.defaults?.name || null,
+          features,
+          steps,
+        });
+      }
+    }
+  }
+
+  return {
+    filters: [...names].sort().map(n => JSON.parse(n)),
+    services: [...services].sort(),
+    protocols,
+    devices: devices.sort((a, b) => (a.name ?? a.namePrefix).localeCompare(b.name ?? b.namePrefix)),
+  };
+}
+
+/**
+ * Everything written to device-config.json except the _source/_updated header
+ * @param {object} config - Parsed buttplug-device-config JSON
+ */
+export function buildDeviceConfig(config) {
+  const { filters, services, protocols, devices } = extractDeviceConfig(config);
+  const names = new Set([...filters, ...COYOTE_FILTERS].map(f => JSON.stringify(f)));
+
+  return {
+    _version: `${config.version.major}.${config.version.minor}`,
+    filters: [...names].sort().map(n => JSON.parse(n)),
+    services: [...new Set([...services, ...COYOTE_SERVICES])].sort(),
+    protocols,
+    devices,
+  };
+}
+
+const filterKey = (f) => (f.name !== undefined ? f.name : `${f.namePrefix}*`);
+
+/**
+ * Added/removed filters (as "Name" or "Prefix*") and services between two configs
+ */
+export function diffDeviceConfig(before, after) {
+  const diff = (a, b) => a.filter(x => !b.includes(x));
+  const beforeFilters = (before.filters || []).map(filterKey);
+  const afterFilters = (after.filters || []).map(filterKey);
+  const beforeServices = before.services || [];
+  const afterServices = after.services || [];
+
+  return {
+    addedFilters: diff(afterFilters, beforeFilters),
+    removedFilters: diff(beforeFilters, afterFilters),
+    addedServices: diff(afterServices, beforeServices),
+    removedServices: diff(beforeServices, afterServices),
+  };
+}
+
+/**
+ * True when the committed config differs from what the source would generate
+ */
+export function isStale(committed, generated) {
+  const strip = ({ _source, _license, _ref, _updated, _tablesRef, ...rest }) => rest;
+  return JSON.stringify(strip(committed)) !== JSON.stringify(strip(generated));
+}
@@ -1,70 +1,120 @@
 #!/usr/bin/env node
 /**
  * Fetches BLE device config from buttplug (buttplugio/buttplug).
- * Usage: npm run update-devices
+ * Writes name filters and service UUIDs for requestDevice, plus per-device
+ * metadata (protocol, feature counts, step ranges, characteristics) that
+ * protocol detection uses. See device-metadata.js.
+ *
+ * Usage:
+ *   npm run update-devices                          # GitHub master
+ *   npm run update-devices -- --ref <tag|commit>    # pinned version
+ *   npm run update-devices -- path/to/config.json   # local file (offline)
+ *   npm run update-devices -- path/to/config.json --check
+ *   npm run update-devices -- path/to/config.json --tables-only
+ *
+ * Prints added/removed filters and services. Coyote entries (not in buttplug)
+ * are always merged back in by buildDeviceConfig, so an update can't drop them.
+ * --check writes nothing and exits 1 when the committed device-config.json is
+ * stale relative to the source. --tables-only keeps the committed filters and
+ * services and replaces just the protocols/devices tables - for filling them in
+ * from an older config (v2/v3 formats are read too) without rolling back filters.
  */
 
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { buildDeviceConfig, diffDeviceConfig, isStale } from './device-metadata.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CONFIG_URL = 'https://raw.githubusercontent.com/buttplugio/buttplug/master/crates/buttplug_server_device_config/build-config/buttplug-device-config-v4.json';
+const CONFIG_PATH = 'crates/buttplug_server_device_config/build-config/buttplug-device-config-v4.json';
 const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'haptic', 'device-config.json');
 
-const json = await new Promise((resolve, reject) => {
-  https.get(CONFIG_URL, res => {
-    let data = '';
-    res.on('data', chunk => data += chunk);
-    res.on('end', () => resolve(data));
-    res.on('error', reject);
-  }).on('error', reject);
-});
-
-const config = JSON.parse(json);
-const names = new Set();
-const services = new Set();
-
-// Extract device names and service UUIDs from each protocol
-for (const protocol of Object.values(config.protocols)) {
-  for (const comm of protocol.communication || []) {
-    // Extract BLE device names
-    for (const name of comm.btle?.names || []) {
-      if (name.endsWith('*')) {
-        names.add(JSON.stringify({ namePrefix: name.slice(0, -1) }));
-      } else {
-        names.add(JSON.stringify({ name }));
+// ============================================================================
+// Arguments
+// ============================================================================
+
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+const tablesOnly = args.includes('--tables-only');
+const refIndex = args.indexOf('--ref');
+const ref = refIndex >= 0 ? args[refIndex + 1] : null;
+const file = args.find((arg, i) => !arg.startsWith('--') && (refIndex < 0 || i !== refIndex + 1));
+
+if (refIndex >= 0 && !ref) fail('--ref needs a tag, branch or commit');
+if (ref && file) fail('Pass either a local file or --ref, not both');
+if (check && !file) fail('--check needs a local source file');
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// ============================================================================
+// Source
+// ============================================================================
+
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`GET ${url} failed: HTTP ${res.statusCode}`));
+        return;
       }
-    }
-    // Extract service UUIDs (keys of the services object)
-    for (const uuid of Object.keys(comm.btle?.services || {})) {
-      services.add(uuid.toLowerCase());
-    }
-  }
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve(data));
+      res.on('error', reject);
+    }).on('error', reject);
+  });
 }
 
-// Add Coyote (DG-Lab e-stim) - not in buttplug due to liability
-// V3
-names.add(JSON.stringify({ namePrefix: 'D-LAB ESTIM' }));
-names.add(JSON.stringify({ namePrefix: 'DG-LAB' }));
-names.add(JSON.stringify({ namePrefix: '47L' }));
-names.add(JSON.stringify({ namePrefix: 'Coyote' }));
-services.add('0000180c-0000-1000-8000-00805f9b34fb');  // V3 Control
-// V2 (two service variants - B has writable chars)
-services.add('955a180a-0fe2-f5aa-a094-84b8d4f3e8ad');  // V2 Service A (read-only)
-services.add('955a180b-0fe2-f5aa-a094-84b8d4f3e8ad');  // V2 Service B (writable)
+const url = `https://raw.githubusercontent.com/buttplugio/buttplug/${ref || 'master'}/${CONFIG_PATH}`;
+const json = file ? fs.readFileSync(file, 'utf8') : await download(url);
+const built = buildDeviceConfig(JSON.parse(json));
+
+const committed = fs.existsSync(OUTPUT_FILE)
+  ? JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf8'))
+  : { filters: [], services: [] };
+
+const generated = tablesOnly
+  ? { _version: committed._version, filters: committed.filters, services: committed.services, protocols: built.protocols, devices: built.devices }
+  : built;
+const sourceRef = file ? path.basename(file) : ref || 'master';
+
+// ============================================================================
+// Diff Report
+// ============================================================================
+
+const diff = diffDeviceConfig(committed, generated);
+const print = (sign, label, items) => items.forEach(item => console.log(`${sign} ${label} ${item}`));
+print('+', 'filter ', diff.addedFilters);
+print('-', 'filter ', diff.removedFilters);
+print('+', 'service', diff.addedServices);
+print('-', 'service', diff.removedServices);
+console.log(`Filters +${diff.addedFilters.length}/-${diff.removedFilters.length}, services +${diff.addedServices.length}/-${diff.removedServices.length} (v${committed._version ?? '?'} -> v${generated._version})`);
+
+if (check) {
+  if (isStale(committed, generated)) {
+    fail(`${path.relative(process.cwd(), OUTPUT_FILE)} is stale - run npm run update-devices -- ${file}`);
+  }
+  console.log('Device config is up to date');
+  process.exit(0);
+}
 
-const filters = [...names].sort().map(n => JSON.parse(n));
-const serviceList = [...services].sort();
+// ============================================================================
+// Write
+// ============================================================================
 
 fs.writeFileSync(OUTPUT_FILE, JSON.stringify({
   _source: 'https://github.com/buttplugio/buttplug',
   _license: 'BSD-3-Clause (Nonpolynomial Labs LLC)',
-  _version: `${config.version.major}.${config.version.minor}`,
+  _ref: tablesOnly ? committed._ref : sourceRef,
   _updated: new Date().toISOString(),
-  filters,
-  services: serviceList
+  ...(tablesOnly && { _tablesRef: `${sourceRef} (v${built._version})` }),
+  ...generated,
 }, null, 2) + '\n');
 
-console.log(`Wrote ${filters.length} filters, ${serviceList.length} services (v${config.version.major}.${config.version.minor}) to ${OUTPUT_FILE}`);
+const supported = generated.devices.filter(d => d.protocol).length;
+console.log(`Wrote ${generated.filters.length} filters, ${generated.services.length} services, ${generated.devices.length} devices (${supported} with a supported protocol) (v${generated._version}) to ${OUTPUT_FILE}`);
@@ -5,8 +5,17 @@
  * and URL sharing support.
  */
 
+import { normalizeSafetyLimits } from './haptic/safety.js';
+import { WAVEFORMS, isValidWaveform } from './haptic/waveforms.js';
+
 const STORAGE_KEY = 'callresponse_prompts';
 const SETTINGS_KEY = 'callresponse_settings';
+const WAVEFORMS_KEY = 'callresponse_waveforms';
+const PROTOCOL_OVERRIDES_KEY = 'callresponse_protocol_overrides';
+const CALIBRATIONS_KEY = 'callresponse_calibrations';
+const SAFETY_KEY = 'callresponse_safety';
+const PATTERNS_KEY = 'callresponse_patterns';
+const ARCS_KEY = 'callresponse_arcs';
 
 // ============================================================================
 // Prompts
@@ -97,9 +106,15 @@ function parseUrlConfig() {
   return null;
 }
 
-export function generateShareUrl(prompts, settings) {
+/**
+ * @param {{patterns?: object, arcs?: object, waveforms?: object}} [custom] - Custom patterns / arcs / waveforms; the ones the settings use are shared
+ */
+export function generateShareUrl(prompts, settings, custom = {}) {
   const config = {
     prompts,
+    patterns: referencedPatterns(settings, custom.patterns || {}),
+    arcs: referencedArcs(settings, custom.arcs || {}),
+    waveforms: referencedWaveforms(settings, custom.waveforms || {}),
     settings: {
       rewardText: settings.rewardText,
       petName: settings.petName,
@@ -112,6 +127,11 @@ export function generateShareUrl(prompts, settings) {
       delay: settings.delay,
       reward: settings.reward,
       patternSwitch: settings.patternSwitch,
+      envelope: settings.envelope,
+      ambient: settings.ambient,
+      coyote: shareableCoyoteSettings(settings.coyote),
+      phases: settings.phases,
+      seed: settings.seed,
     }
   };
 
@@ -125,12 +145,30 @@ export function isSharedConfig() {
   return parseUrlConfig() !== null;
 }
 
+/**
+ * Custom patterns, arcs and waveforms from a shared link, dropping any that don't parse
+ * @returns {{patterns: object, arcs: object, waveforms: object}}
+ */
+export function loadSharedCustomizations() {
+  const config = parseUrlConfig();
+  return {
+    patterns: sanitizePatterns(config?.patterns),
+    arcs: sanitizeArcs(config?.arcs),
+    waveforms: sanitizeWaveforms(config?.waveforms),
+  };
+}
+
 /**
  * Export config as a copyable text blob (base64 JSON)
+ * Custom patterns, arcs and waveforms the settings use travel with it.
+ * @param {{patterns?: object, arcs?: object, waveforms?: object}} [custom]
  */
-export function exportConfig(prompts, settings) {
+export function exportConfig(prompts, settings, custom = {}) {
   const config = {
     prompts,
+    patterns: referencedPatterns(settings, custom.patterns || {}),
+    arcs: referencedArcs(settings, custom.arcs || {}),
+    waveforms: referencedWaveforms(settings, custom.waveforms || {}),
     settings: {
       rewardText: settings.rewardText,
       petName: settings.petName,
@@ -143,6 +181,11 @@ export function exportConfig(prompts, settings) {
       delay: settings.delay,
       reward: settings.reward,
       patternSwitch: settings.patternSwitch,
+      envelope: settings.envelope,
+      ambient: settings.ambient,
+      coyote: shareableCoyoteSettings(settings.coyote),
+      phases: settings.phases,
+      seed: settings.seed,
     }
   };
   return btoa(JSON.stringify(config));
@@ -150,7 +193,7 @@ export function exportConfig(prompts, settings) {
 
 /**
  * Import config from a text blob
- * @returns {{ prompts: string[], settings: object } | null}
+ * @returns {{ prompts: string[], settings: object, patterns: object, arcs: object, waveforms: object } | null}
  */
 export function importConfig(blob) {
   try {
@@ -159,6 +202,17 @@ export function importConfig(blob) {
     if (!config.prompts || !Array.isArray(config.prompts)) {
       throw new Error('Invalid config: missing prompts');
     }
+    config.patterns = sanitizePatterns(config.patterns);
+    config.arcs = sanitizeArcs(config.arcs);
+    config.waveforms = sanitizeWaveforms(config.waveforms);
+    // Configs from before programs / fixed seeds don't have these - leave the
+    // keys out so merging the import keeps the local values
+    if (config.settings && 'phases' in config.settings) {
+      config.settings.phases = normalizePhases(config.settings.phases);
+    }
+    if (config.settings && 'seed' in config.settings) {
+      config.settings.seed = normalizeSeed(config.settings.seed);
+    }
     return config;
   } catch (e) {
     console.warn('Failed to import config:', e);
@@ -191,6 +245,114 @@ const PATTERNS = {
   staircase: [0.25, 0.25, 0.5, 0.5, 0.75, 0.75, 1, 1],
 };
 
+// 'random' isn't a step list but is picked like one
+const PATTERN_KEYWORDS = ['random'];
+
+// ============================================================================
+// Custom Patterns - { name: [0-1 steps] }, drawn or typed in the settings panel
+// ============================================================================
+
+const MAX_PATTERN_STEPS = 64;
+
+/**
+ * Parse typed steps ("0, 25, 50, 100") as 0-100 percentages
+ * @returns {number[]} Normalized 0-1 steps
+ */
+export function parsePattern(text) {
+  const steps = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (steps.length === 0) throw new Error('Pattern needs at least one step');
+  if (steps.length > MAX_PATTERN_STEPS) throw new Error(`Patterns can have at most ${MAX_PATTERN_STEPS} steps`);
+  if (steps.some(v => !Number.isFinite(v) || v < 0 || v > 100)) {
+    throw new Error('Steps must be between 0 and 100');
+  }
+  return steps.map(v => v / 100);
+}
+
+/**
+ * Keep only well-formed custom patterns that don't shadow a built-in
+ */
+function sanitizePatterns(patterns) {
+  const valid = {};
+  if (!patterns || typeof patterns !== 'object') return valid;
+  for (const [name, steps] of Object.entries(patterns)) {
+    if (PATTERNS[name] || PATTERN_KEYWORDS.includes(name)) continue;
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_PATTERN_STEPS) continue;
+    if (steps.some(v => typeof v !== 'number' || !(v >= 0 && v <= 1))) continue;
+    valid[name] = steps;
+  }
+  return valid;
+}
+
+export function loadCustomPatterns() {
+  try {
+    const stored = localStorage.getItem(PATTERNS_KEY);
+    if (stored) return sanitizePatterns(JSON.parse(stored));
+  } catch (e) {
+    console.warn('Failed to load patterns:', e);
+  }
+  return {};
+}
+
+export function saveCustomPatterns(patterns) {
+  try {
+    localStorage.setItem(PATTERNS_KEY, JSON.stringify(patterns));
+  } catch (e) {
+    console.warn('Failed to save patterns:', e);
+  }
+}
+
+function patternNames(settings) {
+  return [settings.intensity, settings.delay, settings.reward].flatMap(cat => cat?.patterns || []);
+}
+
+// Only the custom patterns a config actually uses are shared - keeps links short
+function referencedPatterns(settings, customPatterns) {
+  const used = {};
+  for (const name of patternNames(settings)) {
+    if (customPatterns[name]) used[name] = customPatterns[name];
+  }
+  return used;
+}
+
+/**
+ * Pattern names the settings use that neither the built-ins nor `customPatterns` have
+ */
+export function missingPatterns(settings, customPatterns = {}) {
+  const known = (name) => PATTERNS[name] || PATTERN_KEYWORDS.includes(name) || customPatterns[name];
+  return [...new Set(patternNames(settings).filter(name => !known(name)))];
+}
+
+/**
+ * Add patterns from a shared/imported config to the local ones
+ * A name that's already taken by a different local pattern is saved under a
+ * new name ("Name 2") and the settings are pointed at it - local patterns are
+ * never overwritten.
+ * @returns {{patterns: object, settings: object, renamed: object}} renamed is { sharedName: localName }
+ */
+export function mergeSharedPatterns(customPatterns, shared, settings) {
+  const { merged: patterns, renamed } = mergeNamed(customPatterns, sanitizePatterns(shared));
+  const rename = (cat) => cat && { ...cat, patterns: (cat.patterns || []).map(n => renamed[n] || n) };
+  return {
+    patterns,
+    settings: { ...settings, intensity: rename(settings.intensity), delay: rename(settings.delay), reward: rename(settings.reward) },
+    renamed,
+  };
+}
+
+// Shared entries join the local ones; a taken name gets a " 2", " 3"... suffix
+function mergeNamed(local, shared) {
+  const merged = { ...local };
+  const renamed = {};
+  for (const [name, value] of Object.entries(shared)) {
+    const same = (n) => JSON.stringify(merged[n]) === JSON.stringify(value);
+    let target = name;
+    for (let i = 2; merged[target] && !same(target); i++) target = `${name} ${i}`;
+    merged[target] = value;
+    if (target !== name) renamed[name] = target;
+  }
+  return { merged, renamed };
+}
+
 // ============================================================================
 // Session Settings
 // ============================================================================
@@ -232,6 +394,120 @@ const SESSION_ARCS = {
   },
 };
 
+// ============================================================================
+// Custom Session Arcs - keyframes { t, min, max } as fractions, like SESSION_ARCS
+// { name: { easing: 'linear' | 'ease', keyframes: [{ t: 0, min: 0, max: 0.5 }, ...] } }
+// ============================================================================
+
+const ARC_EASINGS = {
+  linear: x => x,
+  ease: x => x * x * (3 - 2 * x),  // smoothstep - eases in and out of each keyframe
+};
+const MAX_KEYFRAMES = 32;
+
+/**
+ * {min, max} of a keyframe arc at session progress t - held flat before the
+ * first and after the last keyframe
+ */
+export function evaluateKeyframes(arc, t) {
+  const keys = arc.keyframes;
+  const first = keys[0];
+  const last = keys[keys.length - 1];
+  if (t <= first.t) return { min: first.min, max: first.max };
+  if (t >= last.t) return { min: last.min, max: last.max };
+
+  const i = keys.findIndex(k => k.t > t);
+  const a = keys[i - 1];
+  const b = keys[i];
+  const x = (ARC_EASINGS[arc.easing] || ARC_EASINGS.linear)((t - a.t) / (b.t - a.t));
+  return { min: a.min + (b.min - a.min) * x, max: a.max + (b.max - a.max) * x };
+}
+
+/**
+ * {min, max} for any arc name at progress t - built-in first, then custom,
+ * else the full range
+ */
+export function getSessionArc(arcName, t, customArcs = {}) {
+  if (SESSION_ARCS[arcName]) return SESSION_ARCS[arcName](t);
+  if (customArcs[arcName]) return evaluateKeyframes(customArcs[arcName], t);
+  return SESSION_ARCS.constant(t);
+}
+
+/**
+ * Keep only well-formed custom arcs: keyframes clamped to 0-1, sorted by t,
+ * min <= max. Names of built-in arcs are reserved.
+ */
+function sanitizeArcs(arcs) {
+  const valid = {};
+  if (!arcs || typeof arcs !== 'object') return valid;
+  const unit = (v) => Math.min(1, Math.max(0, v));
+  for (const [name, arc] of Object.entries(arcs)) {
+    if (SESSION_ARCS[name] || !Array.isArray(arc?.keyframes)) continue;
+    const keyframes = arc.keyframes
+      .filter(k => [k?.t, k?.min, k?.max].every(Number.isFinite))
+      .map(k => ({ t: unit(k.t), min: unit(Math.min(k.min, k.max)), max: unit(Math.max(k.min, k.max)) }))
+      .sort((a, b) => a.t - b.t);
+    if (keyframes.length === 0 || keyframes.length > MAX_KEYFRAMES) continue;
+    valid[name] = { easing: ARC_EASINGS[arc.easing] ? arc.easing : 'linear', keyframes };
+  }
+  return valid;
+}
+
+export function loadCustomArcs() {
+  try {
+    const stored = localStorage.getItem(ARCS_KEY);
+    if (stored) return sanitizeArcs(JSON.parse(stored));
+  } catch (e) {
+    console.warn('Failed to load arcs:', e);
+  }
+  return {};
+}
+
+export function saveCustomArcs(arcs) {
+  try {
+    localStorage.setItem(ARCS_KEY, JSON.stringify(arcs));
+  } catch (e) {
+    console.warn('Failed to save arcs:', e);
+  }
+}
+
+// Every settings block with a metapattern (session arc), program phases included
+function arcHolders(settings) {
+  const phaseRanges = (settings.phases || []).flatMap(p => [p.intensity, p.delay, p.reward]);
+  return [settings.intensity, settings.delay, settings.reward, settings.ambient, settings.coyote?.channelA, settings.coyote?.channelB, ...phaseRanges]
+    .filter(Boolean);
+}
+
+function referencedArcs(settings, customArcs) {
+  const used = {};
+  for (const { metapattern } of arcHolders(settings)) {
+    if (customArcs[metapattern]) used[metapattern] = customArcs[metapattern];
+  }
+  return used;
+}
+
+/**
+ * Arc names the settings use that neither the built-ins nor `customArcs` have
+ */
+export function missingArcs(settings, customArcs = {}) {
+  const names = arcHolders(settings).map(h => h.metapattern);
+  return [...new Set(names.filter(name => name && !SESSION_ARCS[name] && !customArcs[name]))];
+}
+
+/**
+ * Add arcs from a shared/imported config to the local ones (same rules as
+ * mergeSharedPatterns - local arcs are never overwritten)
+ * @returns {{arcs: object, settings: object, renamed: object}}
+ */
+export function mergeSharedArcs(customArcs, shared, settings) {
+  const { merged: arcs, renamed } = mergeNamed(customArcs, sanitizeArcs(shared));
+  const copy = JSON.parse(JSON.stringify(settings));
+  for (const holder of arcHolders(copy)) {
+    if (renamed[holder.metapattern]) holder.metapattern = renamed[holder.metapattern];
+  }
+  return { arcs, settings: copy, renamed };
+}
+
 const DEFAULT_SETTINGS = {
   rewardText: 'Good Puppet',
   petName: 'Puppet',
@@ -261,8 +537,58 @@ const DEFAULT_SETTINGS = {
     minInstances: 8,
     maxInstances: 16,
   },
+  // Program - ordered phases that replace sessionDuration when set (see normalizePhases)
+  phases: [],
+  seed: null,  // fixed session seed, null = new random seed per session
+  // Reward shape - 'pulse' is a plain on/off rectangle, the others stream
+  // an attack/sustain/release envelope (see haptic/scheduler.js). Times in seconds.
+  envelope: {
+    shape: 'pulse',  // 'pulse' | 'flat' | 'ramp' | 'sine' | 'saw'
+    attack: 0.2,
+    release: 0.3,
+    period: 1,       // sine/saw cycle length
+    depth: 0.5,      // how far ramp/sine/saw dip below the peak (0-1)
+    tickRate: 20,    // envelope updates per second (devices throttle further)
+  },
+  // Idle level between rewards, following its own session arc
+  ambient: {
+    enabled: false,
+    metapattern: 'open_up',
+    min: 0.02,
+    max: 0.15,
+    estim: false,  // also drive Coyote channels between rewards
+  },
+  // Coyote e-stim channel routing - each channel has its own range and arc
+  coyote: {
+    routing: 'both',  // 'a' | 'b' | 'both' | 'alternate'
+    waveforms: ['steady'],  // picked and switched like patterns (see haptic/waveforms.js)
+    channelA: {
+      metapattern: 'close_up',
+      min: 0.1,
+      max: 0.7,
+    },
+    channelB: {
+      metapattern: 'close_up',
+      min: 0.1,
+      max: 0.7,
+    },
+    // Device-side soft limits (0-200) and balances (0-255), sent as BF on connect.
+    // strengthMode: 'relative' ramps V3 strength in acknowledged steps, 'absolute' jumps.
+    // Local only - never exported or shared.
+    deviceConfig: {
+      limitA: 200,
+      limitB: 200,
+      freqBalanceA: 160,
+      freqBalanceB: 160,
+      intBalanceA: 30,
+      intBalanceB: 30,
+      strengthMode: 'relative',
+    },
+  },
 };
 
+const CHANNEL_ROUTINGS = ['a', 'b', 'both', 'alternate'];
+
 function migrateSettings(s) {
   // Migrate old single-pattern format to new multi-pattern format
   const migrate = (cat) => {
@@ -278,6 +604,105 @@ function migrateSettings(s) {
   return s;
 }
 
+function mergeCoyoteSettings(c = {}) {
+  return {
+    routing: CHANNEL_ROUTINGS.includes(c.routing) ? c.routing : DEFAULT_SETTINGS.coyote.routing,
+    waveforms: Array.isArray(c.waveforms) && c.waveforms.length > 0 ? c.waveforms : [...DEFAULT_SETTINGS.coyote.waveforms],
+    channelA: { ...DEFAULT_SETTINGS.coyote.channelA, ...c.channelA },
+    channelB: { ...DEFAULT_SETTINGS.coyote.channelB, ...c.channelB },
+    deviceConfig: { ...DEFAULT_SETTINGS.coyote.deviceConfig, ...c.deviceConfig },
+  };
+}
+
+// Soft limits depend on the user's body and electrode placement, so they stay local
+function shareableCoyoteSettings(coyote) {
+  if (!coyote) return coyote;
+  const { deviceConfig, ...rest } = coyote;
+  return rest;
+}
+
+function loadStoredDeviceConfig() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return stored?.coyote?.deviceConfig;
+  } catch {
+    return undefined;
+  }
+}
+
+// ============================================================================
+// Programs - an ordered list of phases (warm-up, main, cool-down, ...)
+// { name, duration (s), mode: 'call' | 'loading', prompts: string[],
+//   intensity/delay/reward: { metapattern?, min?, max? } }
+// Unset range fields and an empty prompt list fall back to the top-level settings.
+// ============================================================================
+
+const PHASE_MODES = ['call', 'loading'];
+const MAX_PHASES = 12;
+
+/**
+ * Keep only well-formed phases - durations clamped to 10s-24h
+ */
+export function normalizePhases(phases) {
+  if (!Array.isArray(phases)) return [];
+  const range = (r) => {
+    const out = {};
+    if (typeof r?.metapattern === 'string' && r.metapattern) out.metapattern = r.metapattern;
+    for (const key of ['min', 'max']) {
+      if (Number.isFinite(r?.[key])) out[key] = r[key];
+    }
+    return out;
+  };
+  return phases
+    .filter(p => p && typeof p === 'object')
+    .slice(0, MAX_PHASES)
+    .map((p, i) => ({
+      name: typeof p.name === 'string' && p.name.trim() ? p.name.trim() : `Phase ${i + 1}`,
+      duration: Math.min(24 * 3600, Math.max(10, Number(p.duration) || 60)),
+      mode: PHASE_MODES.includes(p.mode) ? p.mode : 'call',
+      prompts: Array.isArray(p.prompts) ? p.prompts.filter(text => typeof text === 'string') : [],
+      intensity: range(p.intensity),
+      delay: range(p.delay),
+      reward: range(p.reward),
+    }));
+}
+
+/**
+ * Phase start/end times in ms from session start - empty without a program
+ * @returns {{index: number, name: string, mode: string, start: number, end: number}[]}
+ */
+export function getPhaseTimeline(settings) {
+  let start = 0;
+  return (settings.phases || []).map((phase, index) => {
+    const end = start + phase.duration * 1000;
+    const entry = { index, name: phase.name, mode: phase.mode, start, end };
+    start = end;
+    return entry;
+  });
+}
+
+/**
+ * Session length in seconds - the whole program when there is one
+ */
+export function getSessionDuration(settings) {
+  const timeline = getPhaseTimeline(settings);
+  return timeline.length > 0 ? timeline[timeline.length - 1].end / 1000 : settings.sessionDuration;
+}
+
+/**
+ * Settings in effect during one phase - its ranges and arcs over the top-level ones
+ */
+export function getPhaseSettings(settings, index) {
+  const phase = settings.phases?.[index];
+  if (!phase) return settings;
+  return {
+    ...settings,
+    intensity: { ...settings.intensity, ...phase.intensity },
+    delay: { ...settings.delay, ...phase.delay },
+    reward: { ...settings.reward, ...phase.reward },
+  };
+}
+
 export function loadSettings() {
   // Check URL first
   const urlConfig = parseUrlConfig();
@@ -294,6 +719,11 @@ export function loadSettings() {
       delay: { ...DEFAULT_SETTINGS.delay, ...s.delay },
       reward: { ...DEFAULT_SETTINGS.reward, ...s.reward },
       patternSwitch: { ...DEFAULT_SETTINGS.patternSwitch, ...s.patternSwitch },
+      envelope: { ...DEFAULT_SETTINGS.envelope, ...s.envelope },
+      ambient: { ...DEFAULT_SETTINGS.ambient, ...s.ambient },
+      coyote: mergeCoyoteSettings({ ...s.coyote, deviceConfig: loadStoredDeviceConfig() }),
+      phases: normalizePhases(s.phases),
+      seed: normalizeSeed(s.seed),
     };
   }
 
@@ -312,6 +742,11 @@ export function loadSettings() {
         delay: { ...DEFAULT_SETTINGS.delay, ...parsed.delay },
         reward: { ...DEFAULT_SETTINGS.reward, ...parsed.reward },
         patternSwitch: { ...DEFAULT_SETTINGS.patternSwitch, ...parsed.patternSwitch },
+        envelope: { ...DEFAULT_SETTINGS.envelope, ...parsed.envelope },
+        ambient: { ...DEFAULT_SETTINGS.ambient, ...parsed.ambient },
+        coyote: mergeCoyoteSettings(parsed.coyote),
+        phases: normalizePhases(parsed.phases),
+        seed: normalizeSeed(parsed.seed),
       };
     }
   } catch (e) {
@@ -333,49 +768,280 @@ export function resetSettings() {
   return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
 }
 
+// ============================================================================
+// Custom Coyote Waveforms - { name: { freq: [...], intensity: [...] } }
+// ============================================================================
+
+/**
+ * Keep only well-formed custom waveforms that don't shadow a built-in
+ */
+function sanitizeWaveforms(waveforms) {
+  const valid = {};
+  if (!waveforms || typeof waveforms !== 'object') return valid;
+  for (const [name, waveform] of Object.entries(waveforms)) {
+    if (WAVEFORMS[name] || !isValidWaveform(waveform)) continue;
+    valid[name] = { freq: waveform.freq, intensity: waveform.intensity };
+  }
+  return valid;
+}
+
+export function loadCustomWaveforms() {
+  try {
+    const stored = localStorage.getItem(WAVEFORMS_KEY);
+    if (stored) return sanitizeWaveforms(JSON.parse(stored));
+  } catch (e) {
+    console.warn('Failed to load waveforms:', e);
+  }
+  return {};
+}
+
+export function saveCustomWaveforms(waveforms) {
+  try {
+    localStorage.setItem(WAVEFORMS_KEY, JSON.stringify(waveforms));
+  } catch (e) {
+    console.warn('Failed to save waveforms:', e);
+  }
+}
+
+function waveformNames(settings) {
+  return settings.coyote?.waveforms || [];
+}
+
+function referencedWaveforms(settings, customWaveforms) {
+  const used = {};
+  for (const name of waveformNames(settings)) {
+    if (customWaveforms[name]) used[name] = customWaveforms[name];
+  }
+  return used;
+}
+
+/**
+ * Waveform names the settings use that neither the built-ins nor `customWaveforms` have
+ */
+export function missingWaveforms(settings, customWaveforms = {}) {
+  return [...new Set(waveformNames(settings).filter(name => !WAVEFORMS[name] && !customWaveforms[name]))];
+}
+
+/**
+ * Add waveforms from a shared/imported config to the local ones (same rules as
+ * mergeSharedPatterns - local waveforms are never overwritten)
+ * @returns {{waveforms: object, settings: object, renamed: object}}
+ */
+export function mergeSharedWaveforms(customWaveforms, shared, settings) {
+  const { merged: waveforms, renamed } = mergeNamed(customWaveforms, sanitizeWaveforms(shared));
+  const coyote = settings.coyote && { ...settings.coyote, waveforms: waveformNames(settings).map(n => renamed[n] || n) };
+  return { waveforms, settings: { ...settings, coyote }, renamed };
+}
+
+// ============================================================================
+// Protocol Overrides - { deviceIdOrName: protocolId } when detection is wrong
+// ============================================================================
+
+export function loadProtocolOverrides() {
+  try {
+    const stored = localStorage.getItem(PROTOCOL_OVERRIDES_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (parsed && typeof parsed === 'object') return parsed;
+    }
+  } catch (e) {
+    console.warn('Failed to load protocol overrides:', e);
+  }
+  return {};
+}
+
+/**
+ * Remember (or with a null protocolId, forget) the protocol for a device
+ * Keyed by name - Web Bluetooth ids change when the permission is reset.
+ */
+export function saveProtocolOverride(deviceName, protocolId) {
+  const overrides = loadProtocolOverrides();
+  if (protocolId) {
+    overrides[deviceName] = protocolId;
+  } else {
+    delete overrides[deviceName];
+  }
+  try {
+    localStorage.setItem(PROTOCOL_OVERRIDES_KEY, JSON.stringify(overrides));
+  } catch (e) {
+    console.warn('Failed to save protocol overrides:', e);
+  }
+}
+
+// ============================================================================
+// Device Calibration - { deviceName: { floor, gamma } } (see haptic/calibration.js)
+// ============================================================================
+
+export function loadCalibrations() {
+  try {
+    const stored = localStorage.getItem(CALIBRATIONS_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (parsed && typeof parsed === 'object') return parsed;
+    }
+  } catch (e) {
+    console.warn('Failed to load calibrations:', e);
+  }
+  return {};
+}
+
+/**
+ * Remember (or with null, forget) a device's calibration, keyed by name
+ */
+export function saveCalibration(deviceName, calibration) {
+  const calibrations = loadCalibrations();
+  if (calibration) {
+    calibrations[deviceName] = calibration;
+  } else {
+    delete calibrations[deviceName];
+  }
+  try {
+    localStorage.setItem(CALIBRATIONS_KEY, JSON.stringify(calibrations));
+  } catch (e) {
+    console.warn('Failed to save calibrations:', e);
+  }
+}
+
+// ============================================================================
+// Safety Limits - user-owned caps (see haptic/safety.js). Never exported or
+// shared, and nothing imported can change them.
+// ============================================================================
+
+export function loadSafetyLimits() {
+  try {
+    const stored = localStorage.getItem(SAFETY_KEY);
+    if (stored) return normalizeSafetyLimits(JSON.parse(stored));
+  } catch (e) {
+    console.warn('Failed to load safety limits:', e);
+  }
+  return normalizeSafetyLimits();
+}
+
+export function saveSafetyLimits(limits) {
+  try {
+    localStorage.setItem(SAFETY_KEY, JSON.stringify(normalizeSafetyLimits(limits)));
+  } catch (e) {
+    console.warn('Failed to save safety limits:', e);
+  }
+}
+
+// ============================================================================
+// Seeded Randomness - every random choice in a session comes from its seed,
+// so the same seed and settings give the same session (and preview)
+// ============================================================================
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} Returns the next number in [0, 1) on each call
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Seed from user input - whole numbers are used as-is, any other text is
+ * hashed (FNV-1a) so words work too. Empty → null (no fixed seed).
+ */
+export function normalizeSeed(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text) && Number(text) < 4294967296) return Number(text);
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
 // ============================================================================
 // Session State - Tracks pattern progress during a session
 // ============================================================================
 
-function pickRandom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+function pickRandom(arr, random) {
+  return arr[Math.floor(random() * arr.length)];
 }
 
-function randomInRange(min, max) {
-  return Math.floor(min + Math.random() * (max - min + 1));
+function randomInRange(min, max, random) {
+  return Math.floor(min + random() * (max - min + 1));
 }
 
-function createCategoryState(patterns, switchSettings) {
-  const selectedPatterns = patterns.length > 0 ? patterns : ['constant'];
-  const currentPattern = pickRandom(selectedPatterns);
+function createCategoryState(patterns, switchSettings, random, isKnown = () => true) {
+  // Unknown names (e.g. a deleted or unshared custom pattern) are skipped
+  const available = patterns.filter(isKnown);
+  const selectedPatterns = available.length > 0 ? available : ['constant'];
+  const currentPattern = pickRandom(selectedPatterns, random);
   return {
     patterns: selectedPatterns,
     currentPattern,
     index: 0,
-    instancesRemaining: randomInRange(switchSettings.minInstances, switchSettings.maxInstances),
+    instancesRemaining: randomInRange(switchSettings.minInstances, switchSettings.maxInstances, random),
   };
 }
 
-export function createSession(settings) {
-  return {
-    intensity: createCategoryState(settings.intensity.patterns, settings.patternSwitch),
-    delay: createCategoryState(settings.delay.patterns, settings.patternSwitch),
-    reward: createCategoryState(settings.reward.patterns, settings.patternSwitch),
+// (Re)start the intensity/delay/reward pattern state - at session start and each new phase
+function resetCategories(session, settings) {
+  const isKnown = (name) => !!session.patterns[name] || PATTERN_KEYWORDS.includes(name);
+  for (const category of ['intensity', 'delay', 'reward']) {
+    session[category] = createCategoryState(settings[category].patterns, settings.patternSwitch, session.random, isKnown);
+  }
+}
+
+/**
+ * With a program (settings.phases) the session runs through every phase in
+ * order and lasts as long as all of them together.
+ *
+ * Randomness comes from two streams off the seed: `session.random` for the
+ * values (patterns, 'random' steps) and `session.cueRandom` for everything
+ * around them (prompt order, pronoun blend, clicker timing) - so a live
+ * session's values match a preview with the same seed however many prompts
+ * it took.
+ * @param {object} settings
+ * @param {object} [customPatterns] - { name: [0-1 steps] } available to this session
+ * @param {object} [customArcs] - { name: { easing, keyframes } } available to this session
+ * @param {number} [seed] - Defaults to settings.seed, else a fresh random one
+ */
+export function createSession(settings, customPatterns = {}, customArcs = {}, seed = settings.seed ?? randomSeed()) {
+  const timeline = getPhaseTimeline(settings);
+  const random = createRng(seed);
+  const session = {
+    seed,
+    random,
+    cueRandom: createRng(seed ^ 0x9E3779B9),
+    waveform: createCategoryState(settings.coyote.waveforms, settings.patternSwitch, random),
+    patterns: { ...customPatterns, ...PATTERNS },
+    arcs: customArcs,
+    timeline,
+    phaseIndex: timeline.length > 0 ? 0 : null,
     step: 0,
     startTime: Date.now(),
-    duration: settings.sessionDuration * 1000,  // convert to ms
+    pausedAt: null,
+    duration: getSessionDuration(settings) * 1000,  // convert to ms
   };
+  resetCategories(session, getPhaseSettings(settings, session.phaseIndex));
+  return session;
 }
 
 /**
  * Get interpolated value from pattern
  */
-function getPatternValue(patternName, index, min, max) {
+function getPatternValue(patterns, patternName, index, min, max, random) {
   if (patternName === 'random') {
-    return min + Math.random() * (max - min);
+    return min + random() * (max - min);
   }
 
-  const pattern = PATTERNS[patternName] || PATTERNS.constant;
+  const pattern = patterns[patternName] || PATTERNS.constant;
   const normalized = pattern[index % pattern.length];
   return min + normalized * (max - min);
 }
@@ -383,7 +1049,7 @@ function getPatternValue(patternName, index, min, max) {
 /**
  * Advance category state - switch pattern if needed
  */
-function advanceCategory(catState, switchSettings) {
+function advanceCategory(catState, switchSettings, random) {
   catState.index++;
   catState.instancesRemaining--;
 
@@ -391,29 +1057,46 @@ function advanceCategory(catState, switchSettings) {
     // Switch to a different pattern
     const otherPatterns = catState.patterns.filter(p => p !== catState.currentPattern);
     if (otherPatterns.length > 0) {
-      catState.currentPattern = pickRandom(otherPatterns);
+      catState.currentPattern = pickRandom(otherPatterns, random);
     } else {
-      catState.currentPattern = pickRandom(catState.patterns);
+      catState.currentPattern = pickRandom(catState.patterns, random);
     }
     catState.index = 0;
-    catState.instancesRemaining = randomInRange(switchSettings.minInstances, switchSettings.maxInstances);
+    catState.instancesRemaining = randomInRange(switchSettings.minInstances, switchSettings.maxInstances, random);
   }
 }
 
+// ms since the session started, frozen while paused
+function getElapsed(session) {
+  const elapsed = (session.pausedAt ?? Date.now()) - session.startTime;
+  return Math.min(session.duration, Math.max(0, elapsed));
+}
+
 /**
  * Get session progress (0-1)
+ * Frozen while the session is paused.
  */
 function getSessionProgress(session) {
-  const elapsed = Date.now() - session.startTime;
-  return Math.min(1, Math.max(0, elapsed / session.duration));
+  return getElapsed(session) / session.duration;
+}
+
+/**
+ * The program phase the session is in, with progress (0-1) through that phase
+ * @returns {{index: number, name: string, mode: string, start: number, end: number, progress: number} | null}
+ *   null when the session has no program
+ */
+export function getSessionPhase(session) {
+  if (!session.timeline?.length) return null;
+  const elapsed = getElapsed(session);
+  const phase = session.timeline.find(p => elapsed < p.end) || session.timeline[session.timeline.length - 1];
+  return { ...phase, progress: Math.min(1, (elapsed - phase.start) / (phase.end - phase.start)) };
 }
 
 /**
  * Apply session arc to get effective min/max range
  */
-function applySessionArc(arcName, min, max, sessionProgress) {
-  const arcFn = SESSION_ARCS[arcName] || SESSION_ARCS.constant;
-  const normalized = arcFn(sessionProgress);
+function applySessionArc(arcName, min, max, sessionProgress, customArcs) {
+  const normalized = getSessionArc(arcName, sessionProgress, customArcs);
   const range = max - min;
   return {
     min: min + range * normalized.min,
@@ -423,59 +1106,135 @@ function applySessionArc(arcName, min, max, sessionProgress) {
 
 /**
  * Get next values and advance session state
+ * In a program, each phase uses its own ranges and arcs, and every arc runs
+ * over the phase rather than the whole session.
  */
-export function getNextValues(settings, session) {
+export function getNextValues(baseSettings, session) {
   const progress = getSessionProgress(session);
+  const phase = getSessionPhase(session);
+  const settings = getPhaseSettings(baseSettings, phase?.index);
+  if (phase && phase.index !== session.phaseIndex) {
+    session.phaseIndex = phase.index;
+    resetCategories(session, settings);
+  }
+  const arcProgress = phase ? phase.progress : progress;
 
   // Apply session arcs to get effective ranges
   const intensityRange = applySessionArc(
     settings.intensity.metapattern,
     settings.intensity.min,
     settings.intensity.max,
-    progress
+    arcProgress,
+    session.arcs
   );
   const delayRange = applySessionArc(
     settings.delay.metapattern,
     settings.delay.min * 1000,
     settings.delay.max * 1000,
-    progress
+    arcProgress,
+    session.arcs
   );
   const rewardRange = applySessionArc(
     settings.reward.metapattern,
     settings.reward.min * 1000,
     settings.reward.max * 1000,
-    progress
+    arcProgress,
+    session.arcs
   );
 
   // Get values from micro patterns within effective ranges
-  const intensity = getPatternValue(
+  // Intensity is kept normalized so the Coyote channels follow the same step
+  const intensityNorm = getPatternValue(
+    session.patterns,
     session.intensity.currentPattern,
     session.intensity.index,
-    intensityRange.min,
-    intensityRange.max
+    0,
+    1,
+    session.random
   );
+  const intensity = intensityRange.min + intensityNorm * (intensityRange.max - intensityRange.min);
 
   const delay = getPatternValue(
+    session.patterns,
     session.delay.currentPattern,
     session.delay.index,
     delayRange.min,
-    delayRange.max
+    delayRange.max,
+    session.random
   );
 
   const reward = getPatternValue(
+    session.patterns,
     session.reward.currentPattern,
     session.reward.index,
     rewardRange.min,
-    rewardRange.max
+    rewardRange.max,
+    session.random
   );
 
+  const channels = getChannelValues(settings.coyote, session.step, intensityNorm, arcProgress, session.arcs);
+  const waveform = session.waveform.currentPattern;
+  const ambient = getAmbientLevel(settings.ambient, arcProgress, session.arcs);
+
+  const patterns = {
+    intensity: session.intensity.currentPattern,
+    delay: session.delay.currentPattern,
+    reward: session.reward.currentPattern,
+  };
+
   // Advance each category
-  advanceCategory(session.intensity, settings.patternSwitch);
-  advanceCategory(session.delay, settings.patternSwitch);
-  advanceCategory(session.reward, settings.patternSwitch);
+  advanceCategory(session.intensity, settings.patternSwitch, session.random);
+  advanceCategory(session.delay, settings.patternSwitch, session.random);
+  advanceCategory(session.reward, settings.patternSwitch, session.random);
+  advanceCategory(session.waveform, settings.patternSwitch, session.random);
   session.step++;
 
-  return { intensity, delay, reward, progress };
+  return { intensity, delay, reward, channels, waveform, ambient, progress, phase: phase?.index ?? null, patterns };
+}
+
+/**
+ * Idle level between rewards - middle of the ambient arc's range (0 when off)
+ */
+function getAmbientLevel(ambient, progress, customArcs) {
+  if (!ambient.enabled) return 0;
+  const range = applySessionArc(ambient.metapattern, ambient.min, ambient.max, progress, customArcs);
+  return (range.min + range.max) / 2;
+}
+
+/**
+ * Coyote A/B levels for this step - each channel maps the shared pattern
+ * value into its own arc-shaped range, then routing zeroes unused channels
+ */
+function getChannelValues(coyoteSettings, step, intensityNorm, progress, customArcs) {
+  const channelValue = (ch) => {
+    const range = applySessionArc(ch.metapattern, ch.min, ch.max, progress, customArcs);
+    return range.min + intensityNorm * (range.max - range.min);
+  };
+  const a = channelValue(coyoteSettings.channelA);
+  const b = channelValue(coyoteSettings.channelB);
+
+  switch (coyoteSettings.routing) {
+    case 'a': return { a, b: 0 };
+    case 'b': return { a: 0, b };
+    case 'alternate': return step % 2 === 0 ? { a, b: 0 } : { a: 0, b };
+    default: return { a, b };
+  }
+}
+
+/**
+ * Pause the session clock (e.g. while a device reconnects)
+ */
+export function pauseSession(session) {
+  if (session.pausedAt == null) session.pausedAt = Date.now();
+}
+
+/**
+ * Resume a paused session where it left off - the pause doesn't count toward duration
+ */
+export function resumeSession(session) {
+  if (session.pausedAt == null) return;
+  session.startTime += Date.now() - session.pausedAt;
+  session.pausedAt = null;
 }
 
 /**
@@ -485,12 +1244,97 @@ export function isSessionComplete(session) {
   return getSessionProgress(session) >= 1;
 }
 
+// ============================================================================
+// Timelines - a whole session computed up front, for the preview, export and playback
+// { version, seed, duration, phases: [{ index, name, mode, start, end }],
+//   steps: [{ time, cue, intensity, delay, reward, channels, waveform, ambient, progress, phase, patterns }] }
+// Times are ms from the start. Each step clicks at `time`, starts its reward
+// `cue` ms later, and the next step follows once the reward and delay are over.
+// ============================================================================
+
+const TIMELINE_VERSION = 1;
+const MAX_TIMELINE_STEPS = 20000;
+
+/**
+ * Run a session on a simulated clock - same settings and seed, same timeline
+ */
+export function buildTimeline(settings, customPatterns = {}, customArcs = {}, seed = settings.seed ?? randomSeed()) {
+  const session = createSession(settings, customPatterns, customArcs, seed);
+  const steps = [];
+  let time = 0;
+  while (time < session.duration && steps.length < MAX_TIMELINE_STEPS) {
+    session.pausedAt = session.startTime + time;  // Freeze the session clock at this step
+    const values = getNextValues(settings, session);
+    const cue = settings.clickerEnabled ? Math.round(200 + session.cueRandom() * 300) : 0;
+    steps.push({ time, cue, ...values });
+    time += cue + values.reward + values.delay;
+  }
+  // The last reward may run a little past the session end
+  const last = steps[steps.length - 1];
+  const duration = Math.max(session.duration, last ? last.time + last.cue + last.reward : 0);
+  return { version: TIMELINE_VERSION, seed: session.seed, duration, phases: session.timeline, steps };
+}
+
+/**
+ * Read a timeline exported as JSON
+ * @throws {Error} If it isn't a usable timeline
+ */
+export function parseTimeline(text) {
+  const data = typeof text === 'string' ? JSON.parse(text) : text;
+  if (!Array.isArray(data?.steps) || data.steps.length === 0) {
+    throw new Error('Invalid timeline: no steps');
+  }
+  if (data.steps.length > MAX_TIMELINE_STEPS) {
+    throw new Error(`Invalid timeline: more than ${MAX_TIMELINE_STEPS} steps`);
+  }
+
+  const level = (v) => (Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 0);
+  const steps = data.steps.map((step, i) => {
+    if (![step?.time, step?.intensity, step?.reward].every(Number.isFinite)) {
+      throw new Error(`Invalid timeline: step ${i + 1} needs time, intensity and reward`);
+    }
+    return {
+      time: Math.max(0, step.time),
+      cue: Number.isFinite(step.cue) ? Math.max(0, step.cue) : 0,
+      intensity: level(step.intensity),
+      delay: Number.isFinite(step.delay) ? Math.max(0, step.delay) : 0,
+      reward: Math.max(0, step.reward),
+      channels: step.channels ? { a: level(step.channels.a), b: level(step.channels.b) } : null,
+      waveform: typeof step.waveform === 'string' ? step.waveform : 'steady',
+      ambient: level(step.ambient),
+      progress: level(step.progress),
+      phase: Number.isInteger(step.phase) ? step.phase : null,
+      patterns: step.patterns && typeof step.patterns === 'object' ? step.patterns : {},
+    };
+  }).sort((a, b) => a.time - b.time);
+
+  const last = steps[steps.length - 1];
+  const duration = Math.max(Number(data.duration) || 0, last.time + last.cue + last.reward);
+  const phases = Array.isArray(data.phases)
+    ? data.phases.filter(p => [p?.start, p?.end].every(Number.isFinite)).map((p, index) => ({
+      index,
+      name: typeof p.name === 'string' ? p.name : `Phase ${index + 1}`,
+      mode: PHASE_MODES.includes(p.mode) ? p.mode : 'call',
+      start: p.start,
+      end: p.end,
+    }))
+    : [];
+  return { version: TIMELINE_VERSION, seed: normalizeSeed(data.seed), duration, phases, steps };
+}
+
+/**
+ * Timeline as JSON - parseTimeline() reads it back
+ */
+export function exportTimeline(timeline) {
+  return JSON.stringify(timeline, null, 2);
+}
+
 /**
  * Get pattern length for UI display
  */
-export function getPatternLength(patternName) {
+export function getPatternLength(patternName, customPatterns = {}) {
   if (patternName === 'random') return 1;
-  return (PATTERNS[patternName] || PATTERNS.constant).length;
+  return (PATTERNS[patternName] || customPatterns[patternName] || PATTERNS.constant).length;
 }
 
 /**
@@ -564,4 +1408,4 @@ export function getPromptVariants(prompt, petName, pronounProgression) {
   return variants;
 }
 
-export { PATTERNS, SESSION_ARCS, DEFAULT_SETTINGS };
+export { PATTERNS, SESSION_ARCS, DEFAULT_SETTINGS, CHANNEL_ROUTINGS };
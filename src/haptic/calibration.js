@@ -0,0 +1,69 @@
+/**
+ * Output Calibration
+ *
+ * Maps a requested level (0-1) to the step a device actually receives, so a
+ * pattern feels alike on a 0-20 Lovense and a 0-255 Kiiroo:
+ * - floor: the device's dead zone - any non-zero request starts here, so a
+ *   low setting never silently rounds to off (and never drops below feeling)
+ * - gamma: response curve applied above the floor (<1 lifts low levels, >1 softens them)
+ * - ceiling: what full intensity maps to (a user's maximum)
+ * - steps: the device's resolution (features.maxIntensity); output is quantized to it
+ *
+ * The calibration wizard marks "first felt", "comfortable" and "maximum" and
+ * turns them into floor / gamma / ceiling with profileFromMarks().
+ */
+
+export const DEFAULT_CALIBRATION = { floor: 0, gamma: 1, ceiling: 1 };
+
+/**
+ * Clamp user/stored values to sane ranges
+ */
+export function normalizeCalibration(calibration = {}) {
+  const floor = Number(calibration.floor);
+  const gamma = Number(calibration.gamma);
+  const ceiling = Number(calibration.ceiling);
+  const normalized = {
+    floor: Number.isFinite(floor) ? Math.min(0.9, Math.max(0, floor)) : DEFAULT_CALIBRATION.floor,
+    gamma: Number.isFinite(gamma) ? Math.min(5, Math.max(0.2, gamma)) : DEFAULT_CALIBRATION.gamma,
+    ceiling: Number.isFinite(ceiling) ? Math.min(1, Math.max(0.01, ceiling)) : DEFAULT_CALIBRATION.ceiling,
+  };
+  normalized.ceiling = Math.max(normalized.ceiling, normalized.floor);
+  return normalized;
+}
+
+/**
+ * @param {number} level - Requested level, 0.0 to 1.0
+ * @param {object} calibration - { floor, gamma, ceiling }
+ * @param {number} steps - Device step resolution (e.g. 20 for Lovense)
+ * @returns {{level: number, step: number, steps: number}} Quantized level and the step it lands on
+ */
+export function calibrate(level, calibration, steps) {
+  if (!(level > 0)) return { level: 0, step: 0, steps };
+
+  const { floor, gamma, ceiling } = normalizeCalibration(calibration);
+  const mapped = floor + (ceiling - floor) * Math.min(1, level) ** gamma;
+  let step = Math.round(mapped * steps);
+  // With a floor set, a non-zero request is always at least one step
+  if (floor > 0) step = Math.max(1, step);
+
+  return { level: step / steps, step, steps };
+}
+
+/**
+ * Calibration from the wizard's marks (device levels, 0-1)
+ * "first felt" becomes the floor, "maximum" the ceiling, and the curve bends
+ * so a session level of 0.5 lands on "comfortable".
+ * @param {{felt: number, comfortable?: number, max?: number}} marks
+ */
+export function profileFromMarks({ felt = 0, comfortable = null, max = 1 }) {
+  const floor = Math.min(felt, max);
+  const ceiling = Math.max(felt, max);
+  let gamma = DEFAULT_CALIBRATION.gamma;
+
+  if (comfortable !== null && ceiling > floor) {
+    const position = (comfortable - floor) / (ceiling - floor);
+    if (position > 0 && position < 1) gamma = Math.log(position) / Math.log(0.5);
+  }
+
+  return normalizeCalibration({ floor, gamma, ceiling });
+}
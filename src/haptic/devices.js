@@ -0,0 +1,323 @@
+/**
+ * Device Manager
+ *
+ * Holds any number of connected devices (from vibrator.js `connect()`) and
+ * fans out activate/stop to all of them. Each device has its own intensity
+ * scale and on/off toggle so a vibrator and a Coyote can share a session.
+ * Devices that are reconnecting are skipped until their link is back.
+ * Every level goes through the device's calibration (see calibration.js)
+ * after scaling, so what is sent is the device's real step.
+ */
+
+import { DEFAULT_CALIBRATION, calibrate, normalizeCalibration } from './calibration.js';
+
+let nextId = 1;
+
+function isDualChannel(device) {
+  return device.features.type === 'estim' && device.features.motorCount >= 2;
+}
+
+export class DeviceManager {
+  constructor() {
+    this._entries = [];
+    this._listeners = new Set();
+    this._feedbackListeners = new Set();
+    this._connectionListeners = new Set();
+    this._outputListeners = new Set();
+  }
+
+  /**
+   * Add a connected device
+   * @param {object} [calibration] - { floor, gamma, ceiling }, e.g. a saved per-device profile
+   * @returns {object} The managed entry ({ id, device, scale, enabled, calibration })
+   */
+  add(device, calibration = DEFAULT_CALIBRATION) {
+    const entry = {
+      id: nextId++,
+      device,
+      scale: 1,
+      enabled: true,
+      calibration: normalizeCalibration(calibration),
+      output: null,    // Steps last sent, one per motor
+      feedback: null,  // Latest strength feedback, if the device reports it
+      stream: null,    // Throttle state for stream(): { pending, lastWrite, steps }
+    };
+    entry.unsubscribe = device.onFeedback(event => {
+      entry.feedback = event;
+      for (const cb of this._feedbackListeners) cb(entry, event);
+    });
+    entry.unsubscribeConnection = device.onConnectionChange(state => {
+      for (const cb of this._connectionListeners) cb(entry, state);
+    });
+    this._entries.push(entry);
+    this._emit();
+    return entry;
+  }
+
+  /**
+   * Stop, disconnect and forget a device
+   */
+  async remove(id) {
+    const entry = this.get(id);
+    if (!entry) return;
+
+    this._entries = this._entries.filter(e => e !== entry);
+    entry.unsubscribe();
+    entry.unsubscribeConnection();
+    try {
+      await entry.device.stop();
+    } catch (e) {
+      console.warn(`Stop failed for ${entry.device.name}:`, e);
+    }
+    entry.device.disconnect();
+    this._emit();
+  }
+
+  get(id) {
+    return this._entries.find(e => e.id === id) || null;
+  }
+
+  list() {
+    return [...this._entries];
+  }
+
+  get size() {
+    return this._entries.length;
+  }
+
+  /**
+   * Set per-device intensity multiplier (0-1)
+   */
+  setScale(id, scale) {
+    const entry = this.get(id);
+    if (!entry) return;
+    entry.scale = Math.min(1, Math.max(0, scale));
+  }
+
+  /**
+   * Set per-device dead-zone floor, response curve and ceiling
+   */
+  setCalibration(id, calibration) {
+    const entry = this.get(id);
+    if (!entry) return;
+    entry.calibration = normalizeCalibration(calibration);
+  }
+
+  /**
+   * Replace every device's safety limits (see safety.js)
+   */
+  setSafetyLimits(limits) {
+    for (const { device } of this._entries) device.setSafetyLimits?.(limits);
+  }
+
+  /**
+   * Enable/disable a device without disconnecting it
+   */
+  async setEnabled(id, enabled) {
+    const entry = this.get(id);
+    if (!entry) return;
+    entry.enabled = enabled;
+    if (!enabled && entry.device.isActive) {
+      await this._run([entry], d => d.stop());
+    }
+  }
+
+  /**
+   * Activate all enabled devices
+   * @param {number} intensity - 0.0 to 1.0
+   * @param {{a: number, b: number}} [channels] - Per-channel levels for e-stim (Coyote A/B)
+   */
+  async activate(intensity = 0.5, channels = null) {
+    await this._run(this._enabled(), (d, e) => {
+      if (channels && isDualChannel(d)) {
+        return d.activateMotors(this._output(e, [channels.a, channels.b]));
+      }
+      return d.activate(this._output(e, [intensity])[0]);
+    });
+  }
+
+  /**
+   * Streaming update (see scheduler.js) - like activate, but never queues:
+   * a device is skipped while its previous write is in flight, until its
+   * command interval has passed, or when the new level is the same step.
+   * Unchanged levels are held by the device's own keepalive.
+   * @param {number} intensity - 0.0 to 1.0
+   * @param {{a: number, b: number}} [channels] - Per-channel levels for e-stim
+   */
+  stream(intensity, channels = null) {
+    const now = Date.now();
+    for (const entry of this._enabled()) {
+      const { device } = entry;
+      const requested = channels && isDualChannel(device) ? [channels.a, channels.b] : [intensity];
+      const out = requested.map(l => calibrate(l * entry.scale, entry.calibration, device.features.maxIntensity));
+      const steps = out.map(o => o.step);
+
+      const s = entry.stream || (entry.stream = { pending: null, lastWrite: 0, steps: null });
+      if (s.pending || now - s.lastWrite < device.features.commandInterval) continue;
+      if (s.steps && steps.every((v, i) => v === s.steps[i])) continue;
+
+      s.steps = steps;
+      s.lastWrite = now;
+      const levels = this._report(entry, out);
+      const write = levels.length > 1 ? device.activateMotors(levels) : device.activate(levels[0]);
+      s.pending = write
+        .catch(e => console.warn(`Device ${device.name} failed:`, e))
+        .finally(() => { s.pending = null; });
+    }
+  }
+
+  async send(intensity) {
+    await this._run(this._enabled(), (d, e) => d.send(this._output(e, [intensity])[0]));
+  }
+
+  /**
+   * Per-motor activate - each device uses as many values as it has motors
+   * @param {number[]} intensities - One value per motor, 0.0 to 1.0
+   */
+  async activateMotors(intensities) {
+    await this._run(this._enabled(), (d, e) => d.activateMotors(this._output(e, intensities)));
+  }
+
+  async sendMotors(intensities) {
+    await this._run(this._enabled(), (d, e) => d.sendMotors(this._output(e, intensities)));
+  }
+
+  /**
+   * Apply Coyote soft limits / balances to every e-stim device
+   */
+  async configure(config) {
+    await this._run(this._entries.filter(e => e.device.features.type === 'estim'), d => d.configure(config));
+  }
+
+  /**
+   * Set waveform on every device that supports one (Coyote)
+   */
+  setWaveform(waveformA, waveformB) {
+    for (const { device } of this._entries) {
+      if (device.features.waveforms) device.setWaveform(waveformA, waveformB);
+    }
+  }
+
+  /**
+   * Stop every device, including disabled ones (safety first)
+   * The stop goes out right away; a device whose stream write was still in
+   * flight is stopped again once it lands so stop is the last word.
+   */
+  async stop() {
+    const inFlight = this._entries.filter(e => e.stream?.pending);
+    const pending = inFlight.map(e => e.stream.pending);
+    this._entries.forEach(e => {
+      e.stream = null;
+      this._report(e, [calibrate(0, e.calibration, e.device.features.maxIntensity)]);
+    });
+    await this._run(this._entries, d => d.stop());
+    if (inFlight.length === 0) return;
+    await Promise.allSettled(pending);
+    await this._run(inFlight, d => d.stop());
+  }
+
+  /**
+   * Panic stop - stop() already goes out without waiting on in-flight writes;
+   * kept as its own name for the panic paths (hotkeys, watchdog)
+   */
+  emergencyStop() {
+    return this.stop();
+  }
+
+  /**
+   * True while any device is waiting for its link to come back
+   */
+  get reconnecting() {
+    return this._entries.some(e => e.device.connectionState === 'reconnecting');
+  }
+
+  /**
+   * Resolve once no device is reconnecting (immediately if none is)
+   */
+  whenConnected() {
+    return new Promise(resolve => {
+      if (!this.reconnecting) {
+        resolve();
+        return;
+      }
+      const unsubscribe = this.onConnectionChange(() => {
+        if (this.reconnecting) return;
+        unsubscribe();
+        resolve();
+      });
+    });
+  }
+
+  get isActive() {
+    return this._entries.some(e => e.device.isActive);
+  }
+
+  /**
+   * Subscribe to devices being added or removed
+   * @returns {Function} Unsubscribe
+   */
+  onChange(callback) {
+    this._listeners.add(callback);
+    return () => this._listeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to live strength feedback from any device
+   * Callback gets (entry, event) - see coyote.onFeedback for the event shape
+   * @returns {Function} Unsubscribe
+   */
+  onFeedback(callback) {
+    this._feedbackListeners.add(callback);
+    return () => this._feedbackListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to link state changes from any device
+   * Callback gets (entry, state) - see vibrator onConnectionChange
+   * @returns {Function} Unsubscribe
+   */
+  onConnectionChange(callback) {
+    this._connectionListeners.add(callback);
+    return () => this._connectionListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to the steps actually sent after scale + calibration
+   * Callback gets (entry, [{ level, step, steps }] one per motor)
+   * @returns {Function} Unsubscribe
+   */
+  onOutput(callback) {
+    this._outputListeners.add(callback);
+    return () => this._outputListeners.delete(callback);
+  }
+
+  // Scale and calibrate requested levels for one device, report the steps
+  _output(entry, levels) {
+    const steps = entry.device.features.maxIntensity;
+    return this._report(entry, levels.map(l => calibrate(l * entry.scale, entry.calibration, steps)));
+  }
+
+  _report(entry, out) {
+    entry.output = out.map(o => o.step);
+    for (const cb of this._outputListeners) cb(entry, out);
+    return out.map(o => o.level);
+  }
+
+  _enabled() {
+    return this._entries.filter(e => e.enabled && e.device.connected);
+  }
+
+  // One failing device must not block the others
+  async _run(entries, fn) {
+    const results = await Promise.allSettled(entries.map(e => fn(e.device, e)));
+    results.forEach((r, i) => {
+      if (r.status === 'rejected') {
+        console.warn(`Device ${entries[i].device.name} failed:`, r.reason);
+      }
+    });
+  }
+
+  _emit() {
+    for (const cb of this._listeners) cb(this.list());
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Mock Bluetooth Transport
+ *
+ * In-memory stand-in for `navigator.bluetooth` so connect, keepalive and
+ * reconnect can run without hardware - from the UI (Advanced → Transport)
+ * or from Node tests via `connect({ bluetooth })`.
+ *
+ * Each simulated device exposes the services/characteristics its protocol
+ * looks for, records every written byte, and can drop the link or fail
+ * writes on demand. The Coyote V3 simulation applies B0/BF commands and
+ * answers with B1 strength notifications like the real box.
+ */
+
+const base = (short) => `0000${short}-0000-1000-8000-00805f9b34fb`;
+
+// ============================================================================
+// Device Profiles - name + GATT layout per simulated device
+// ============================================================================
+
+const PROFILES = {
+  lovense: {
+    label: 'Lovense (text)',
+    name: 'LVS-Lush3',
+    services: {
+      '5a300001-0024-4bd4-bbd5-a6920e4c5653': [
+        { uuid: '5a300002-0024-4bd4-bbd5-a6920e4c5653', write: true, writeWithoutResponse: true },
+        { uuid: '5a300003-0024-4bd4-bbd5-a6920e4c5653', notify: true },
+      ],
+    },
+  },
+  satisfyer: {
+    label: 'Satisfyer (binary)',
+    name: 'SF Curvy 2+',
+    services: {
+      [base('fff0')]: [
+        { uuid: base('fff1'), write: true },
+      ],
+    },
+  },
+  'coyote-v2': {
+    label: 'Coyote V2',
+    name: 'D-LAB ESTIM01',
+    services: {
+      '955a180a-0fe2-f5aa-a094-84b8d4f3e8ad': [
+        { uuid: '955a1500-0fe2-f5aa-a094-84b8d4f3e8ad', read: true, notify: true },  // Battery
+      ],
+      '955a180b-0fe2-f5aa-a094-84b8d4f3e8ad': [
+        { uuid: '955a1504-0fe2-f5aa-a094-84b8d4f3e8ad', writeWithoutResponse: true },  // Power
+        { uuid: '955a1505-0fe2-f5aa-a094-84b8d4f3e8ad', writeWithoutResponse: true },  // Wave B
+        { uuid: '955a1506-0fe2-f5aa-a094-84b8d4f3e8ad', writeWithoutResponse: true },  // Wave A
+      ],
+    },
+  },
+  'coyote-v3': {
+    label: 'Coyote V3',
+    name: '47L121000',
+    services: {
+      [base('180c')]: [
+        { uuid: base('150a'), write: true, writeWithoutResponse: true },
+        { uuid: base('150b'), notify: true },
+      ],
+      [base('180a')]: [
+        { uuid: base('1500'), read: true, notify: true },  // Battery
+      ],
+    },
+    respond: respondCoyoteV3,
+  },
+};
+
+/**
+ * Coyote V3 behaviour: BF sets soft limits, B0 applies per-channel strength
+ * modes (00 keep, 01 +, 10 -, 11 set) and echoes a non-zero sequence as B1
+ */
+function respondCoyoteV3(device, char, data) {
+  const state = device.state;
+  if (data[0] === 0xBF) {
+    state.limitA = data[1];
+    state.limitB = data[2];
+    state.a = Math.min(state.a, state.limitA);
+    state.b = Math.min(state.b, state.limitB);
+    return;
+  }
+  if (data[0] !== 0xB0) return;
+
+  const sequence = data[1] >> 4;
+  const apply = (mode, current, value, limit) => {
+    const next = mode === 0b11 ? value
+      : mode === 0b01 ? current + value
+      : mode === 0b10 ? current - value
+      : current;
+    return Math.min(limit, Math.max(0, next));
+  };
+  state.a = apply((data[1] >> 2) & 0b11, state.a, data[2], state.limitA);
+  state.b = apply(data[1] & 0b11, state.b, data[3], state.limitB);
+
+  if (sequence !== 0) device.notifyStrength(sequence);
+}
+
+// ============================================================================
+// GATT Objects
+// ============================================================================
+
+class MockCharacteristic {
+  constructor(service, { uuid, write = false, writeWithoutResponse = false, notify = false, read = false }) {
+    this.service = service;
+    this.uuid = uuid;
+    this.properties = { write, writeWithoutResponse, notify, read };
+    this._listeners = new Set();
+    this._notifying = false;
+  }
+
+  async writeValue(data) {
+    this.service.device._write(this, data, true);
+  }
+
+  async writeValueWithoutResponse(data) {
+    this.service.device._write(this, data, false);
+  }
+
+  async startNotifications() {
+    if (!this.properties.notify) throw new Error('Characteristic does not support notifications');
+    this._notifying = true;
+    return this;
+  }
+
+  async stopNotifications() {
+    this._notifying = false;
+    return this;
+  }
+
+  addEventListener(type, callback) {
+    if (type === 'characteristicvaluechanged') this._listeners.add(callback);
+  }
+
+  removeEventListener(type, callback) {
+    this._listeners.delete(callback);
+  }
+
+  // Deliver a notification (async, like the real stack)
+  _notify(bytes) {
+    if (!this._notifying) return;
+    const value = new DataView(new Uint8Array(bytes).buffer);
+    setTimeout(() => {
+      for (const cb of this._listeners) cb({ target: { value } });
+    }, 5);
+  }
+}
+
+class MockService {
+  constructor(device, uuid, chars) {
+    this.device = device;
+    this.uuid = uuid;
+    this._chars = chars.map(c => new MockCharacteristic(this, c));
+  }
+
+  async getCharacteristics() {
+    this.device._assertConnected();
+    return [...this._chars];
+  }
+
+  async getCharacteristic(uuid) {
+    this.device._assertConnected();
+    const char = this._chars.find(c => c.uuid === uuid);
+    if (!char) throw new Error(`No Characteristics matching UUID ${uuid} found in Service.`);
+    return char;
+  }
+}
+
+class MockGATTServer {
+  constructor(device) {
+    this.device = device;
+    this.connected = false;
+  }
+
+  async connect() {
+    const device = this.device;
+    if (device._connectFailures > 0) {
+      device._connectFailures--;
+      throw new Error('Connection attempt failed.');
+    }
+    if (!device.reachable) throw new Error('Bluetooth Device is no longer in range.');
+    this.connected = true;
+    return this;
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.device._emitDisconnected();
+  }
+
+  async getPrimaryServices() {
+    this.device._assertConnected();
+    return [...this.device._services];
+  }
+
+  async getPrimaryService(uuid) {
+    const service = (await this.getPrimaryServices()).find(s => s.uuid === uuid);
+    if (!service) throw new Error(`No Services matching UUID ${uuid} found in Device.`);
+    return service;
+  }
+}
+
+// ============================================================================
+// Simulated Device
+// ============================================================================
+
+let nextMockId = 1;
+
+export class MockDevice {
+  /**
+   * @param {string} profileId - Key of PROFILES ('lovense', 'satisfyer', 'coyote-v2', 'coyote-v3')
+   */
+  constructor(profileId) {
+    const profile = PROFILES[profileId];
+    if (!profile) throw new Error(`Unknown mock device: ${profileId}`);
+
+    this.id = `mock-${nextMockId++}`;
+    this.name = profile.name;
+    this.profileId = profileId;
+    this.gatt = new MockGATTServer(this);
+    this.reachable = true;
+    this.writes = [];  // { characteristic, data: Uint8Array, withResponse, time }
+    this.state = { a: 0, b: 0, limitA: 200, limitB: 200 };  // Coyote strength
+
+    this._profile = profile;
+    this._services = Object.entries(profile.services).map(([uuid, chars]) => new MockService(this, uuid, chars));
+    this._listeners = new Set();
+    this._failWrites = 0;
+    this._connectFailures = 0;
+  }
+
+  addEventListener(type, callback) {
+    if (type === 'gattserverdisconnected') this._listeners.add(callback);
+  }
+
+  removeEventListener(type, callback) {
+    this._listeners.delete(callback);
+  }
+
+  /**
+   * Drop the link as if the device went out of range for a moment
+   * Reconnects succeed unless `reachable` is set to false.
+   */
+  simulateDisconnect() {
+    this.gatt.disconnect();
+  }
+
+  /**
+   * Make the next `count` writes reject
+   */
+  failWrites(count = 1) {
+    this._failWrites = count;
+  }
+
+  /**
+   * Make the next `count` gatt.connect() calls reject
+   */
+  failConnects(count = 1) {
+    this._connectFailures = count;
+  }
+
+  /**
+   * Simulate turning the Coyote dial - sends B1 with sequence 0
+   */
+  turnDial(channel, delta) {
+    const key = channel === 'b' ? 'b' : 'a';
+    const limit = key === 'a' ? this.state.limitA : this.state.limitB;
+    this.state[key] = Math.min(limit, Math.max(0, this.state[key] + delta));
+    this.notifyStrength(0);
+  }
+
+  /**
+   * Send a B1 strength notification (Coyote V3)
+   */
+  notifyStrength(sequence) {
+    const notifyChar = this._services.flatMap(s => s._chars).find(c => c.properties.notify);
+    notifyChar?._notify([0xB1, sequence, this.state.a, this.state.b]);
+  }
+
+  /**
+   * Written bytes, optionally only those to one characteristic
+   * @returns {Uint8Array[]}
+   */
+  writtenTo(uuid = null) {
+    return this.writes.filter(w => !uuid || w.characteristic === uuid).map(w => w.data);
+  }
+
+  clearWrites() {
+    this.writes = [];
+  }
+
+  _assertConnected() {
+    if (!this.gatt.connected) throw new Error('GATT Server is disconnected. Cannot perform GATT operations.');
+  }
+
+  _write(char, data, withResponse) {
+    this._assertConnected();
+    if (this._failWrites > 0) {
+      this._failWrites--;
+      throw new Error('GATT operation failed for unknown reason.');
+    }
+    if (withResponse && !char.properties.write) throw new Error('GATT operation not permitted.');
+    if (!withResponse && !char.properties.writeWithoutResponse) throw new Error('GATT operation not permitted.');
+
+    const bytes = new Uint8Array(data.buffer ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data);
+    this.writes.push({ characteristic: char.uuid, data: bytes, withResponse, time: Date.now() });
+    this._profile.respond?.(this, char, bytes);
+  }
+
+  _emitDisconnected() {
+    for (const cb of this._listeners) cb({ target: this });
+  }
+}
+
+// ============================================================================
+// Transport
+// ============================================================================
+
+/**
+ * Drop-in for `navigator.bluetooth` that always "picks" one simulated device
+ */
+export class MockBluetooth {
+  constructor(profileId) {
+    this.device = new MockDevice(profileId);
+  }
+
+  async requestDevice() {
+    return this.device;
+  }
+}
+
+/**
+ * Simulated devices for the UI picker
+ * @returns {{id: string, label: string}[]}
+ */
+export function listMockDevices() {
+  return Object.entries(PROFILES).map(([id, p]) => ({ id, label: p.label }));
+}
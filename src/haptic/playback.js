@@ -0,0 +1,79 @@
+/**
+ * Timeline Playback
+ *
+ * Clock and cursor for playing back a precomputed timeline (config.js
+ * buildTimeline). The position runs with wall time while playing and holds
+ * while paused; seek moves both the position and the next step to play.
+ * Driving the devices stays with the caller, which plays `nextStep` once the
+ * position reaches its time and then calls advance().
+ */
+
+export class TimelinePlayer {
+  /**
+   * @param {object} timeline - { duration, steps: [{ time, ... }] }, times in ms
+   * @param {Function} [now] - Clock, for tests
+   */
+  constructor(timeline, now = () => Date.now()) {
+    this.timeline = timeline;
+    this._now = now;
+    this._offset = 0;        // Position when the clock last started or stopped
+    this._startedAt = null;  // Wall time the clock started, null while paused
+    this.cursor = 0;         // Index of the next step to play
+    this.version = 0;        // Bumped by play/pause/seek so a waiting loop re-checks
+  }
+
+  get playing() {
+    return this._startedAt !== null;
+  }
+
+  /**
+   * ms into the timeline
+   */
+  get position() {
+    const running = this.playing ? this._now() - this._startedAt : 0;
+    return Math.min(this.timeline.duration, this._offset + running);
+  }
+
+  get ended() {
+    return this.position >= this.timeline.duration;
+  }
+
+  /**
+   * The next step to play, or null once every step has played
+   */
+  get nextStep() {
+    return this.timeline.steps[this.cursor] || null;
+  }
+
+  play() {
+    if (this.playing) return;
+    this._startedAt = this._now();
+    this.version++;
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this._offset = this.position;
+    this._startedAt = null;
+    this.version++;
+  }
+
+  /**
+   * Jump to `ms` - the next step is the first one at or after it
+   */
+  seek(ms) {
+    const position = Math.min(this.timeline.duration, Math.max(0, ms));
+    this._offset = position;
+    if (this.playing) this._startedAt = this._now();
+    const next = this.timeline.steps.findIndex(step => step.time >= position);
+    this.cursor = next === -1 ? this.timeline.steps.length : next;
+    this.version++;
+  }
+
+  /**
+   * The current step has been played
+   */
+  advance() {
+    this.cursor++;
+  }
+}
@@ -13,6 +13,8 @@
  * - Intensity range: V3=0-200, V2=0-2047
  */
 
+import { getFrame } from '../waveforms.js';
+
 // V3 UUIDs (standard Bluetooth base UUID format)
 const COYOTE_V3 = {
   CONTROL_SERVICE: '0000180c-0000-1000-8000-00805f9b34fb',
@@ -33,17 +35,44 @@ const COYOTE_V2 = {
   WAVE_B:    '955a1505-0fe2-f5aa-a094-84b8d4f3e8ad',
 };
 
+// BF defaults: soft limits are the device-side ceiling (0-200), balances 0-255
+// strengthMode is host-side only: 'relative' ramps in small increments (V3)
+const DEFAULT_CONFIG = {
+  limitA: 200,
+  limitB: 200,
+  freqBalanceA: 160,
+  freqBalanceB: 160,
+  intBalanceA: 30,
+  intBalanceB: 30,
+  strengthMode: 'relative',
+};
+
+// B0 per-channel strength modes
+const STRENGTH_MODE = {
+  NONE: 0b00,       // Leave strength as is (waveform only)
+  INCREASE: 0b01,   // Relative +value
+  DECREASE: 0b10,   // Relative -value
+  ABSOLUTE: 0b11,   // Set to value
+};
+
+// Acknowledged writes (V3): wait this long for the B1 echo, then retry as absolute
+const ACK_TIMEOUT_MS = 500;
+const ACK_RETRIES = 2;
+
+// Largest strength change per acknowledged step when ramping (0-200 scale)
+const RAMP_STEP = 10;
+
 /**
  * Check if device is a Coyote by name
+ * Same prefixes as the Coyote namePrefix filters in device-config.json.
  */
 export function isCoyote(deviceName) {
   if (!deviceName) return false;
   const name = deviceName.toLowerCase();
-  return name.startsWith('d-lab') ||
+  return name.startsWith('d-lab estim') ||
          name.startsWith('dg-lab') ||
          name.startsWith('47l') ||
-         name.startsWith('coyote') ||
-         name.includes('estim');
+         name.startsWith('coyote');
 }
 
 /**
@@ -74,7 +103,8 @@ function buildB0Command(options = {}) {
 
   const cmd = new Uint8Array(20);
   cmd[0] = 0xB0;
-  cmd[1] = (sequence << 4) | (modeB << 2) | modeA;
+  // Low nibble: A mode in the high two bits, B mode in the low two bits
+  cmd[1] = (sequence << 4) | (modeA << 2) | modeB;
   cmd[2] = Math.min(200, Math.max(0, intensityA));
   cmd[3] = Math.min(200, Math.max(0, intensityB));
 
@@ -93,6 +123,16 @@ function buildB0Command(options = {}) {
   return cmd;
 }
 
+/**
+ * Parse B1 notification (4 bytes) - current channel strengths
+ * Sequence is echoed from the B0 that caused the change, or 0 (dial / unsequenced)
+ * @returns {{sequence: number, a: number, b: number} | null}
+ */
+function parseB1Feedback(data) {
+  if (!data || data.length < 4 || data[0] !== 0xB1) return null;
+  return { sequence: data[1], a: data[2], b: data[3] };
+}
+
 /**
  * Build BF command (7 bytes) - configuration/soft limits
  */
@@ -125,18 +165,29 @@ export const coyote = {
   // Coyote uses 0-200 intensity scale
   maxIntensity: 200,
 
+  // Channels A and B
+  motorCount: 2,
+
   // Default waveform (100Hz steady)
   defaultWaveform: {
     freq: [100, 100, 100, 100],
     intensity: [50, 50, 50, 50],
   },
 
+  // Soft limits and balances (sent as BF, also clamps every B0)
+  _config: { ...DEFAULT_CONFIG },
+
+  // B1 telemetry + manual dial offsets (V3 instances only, see connectV3)
+  _feedback: null,
+  _listeners: null,
+
   // State for dual-channel control
   _state: {
     intensityA: 0,
     intensityB: 0,
     waveformA: null,
     waveformB: null,
+    frame: 0,       // Current 100ms frame of multi-frame waveforms
   },
 
   /**
@@ -156,13 +207,18 @@ export const coyote = {
     }
 
     // Build command with both channels' current state
-    return buildB0Command({
-      intensityA: this._state.intensityA,
-      intensityB: this._state.intensityB,
-      waveFreqA: this._state.waveformA?.freq || this.defaultWaveform.freq,
-      waveIntA: this._state.waveformA?.intensity || this.defaultWaveform.intensity,
-      waveFreqB: this._state.waveformB?.freq || this.defaultWaveform.freq,
-      waveIntB: this._state.waveformB?.intensity || this.defaultWaveform.intensity,
+    return this._buildStateCommand();
+  },
+
+  /**
+   * Build command for both channels at once
+   * @param {number[]} intensities - [channelA, channelB], 0.0 to 1.0 each
+   * @returns {Uint8Array} Command bytes
+   */
+  buildMotorsCommand([intensityA = 0, intensityB = 0]) {
+    return this.buildFullCommand({
+      intensityA: Math.round(intensityA * this.maxIntensity),
+      intensityB: Math.round(intensityB * this.maxIntensity),
     });
   },
 
@@ -177,14 +233,171 @@ export const coyote = {
     if (options.waveformA) this._state.waveformA = options.waveformA;
     if (options.waveformB) this._state.waveformB = options.waveformB;
 
-    return buildB0Command({
-      intensityA: this._state.intensityA,
-      intensityB: this._state.intensityB,
-      waveFreqA: this._state.waveformA?.freq || this.defaultWaveform.freq,
-      waveIntA: this._state.waveformA?.intensity || this.defaultWaveform.intensity,
-      waveFreqB: this._state.waveformB?.freq || this.defaultWaveform.freq,
-      waveIntB: this._state.waveformB?.intensity || this.defaultWaveform.intensity,
-    });
+    return this._buildStateCommand();
+  },
+
+  /**
+   * Set waveform for each channel (see waveforms.js) - restarts playback
+   * @param {{freq: number[], intensity: number[]}} waveformA
+   * @param {{freq: number[], intensity: number[]}} waveformB - Defaults to waveformA
+   */
+  setWaveform(waveformA, waveformB = waveformA) {
+    this._state.waveformA = waveformA;
+    this._state.waveformB = waveformB;
+    this._state.frame = 0;
+  },
+
+  /**
+   * Advance to the next waveform frame and rebuild - sent on every keepalive tick
+   */
+  buildKeepaliveCommand() {
+    this._state.frame++;
+    return this._buildStateCommand();
+  },
+
+  /**
+   * Update soft limits / balances - takes effect on the next command
+   * @param {object} config - Any of limitA, limitB (0-200), freqBalanceA/B, intBalanceA/B (0-255)
+   */
+  configure(config = {}) {
+    const clamp = (v, max, fallback) => Number.isFinite(v) ? Math.min(max, Math.max(0, Math.round(v))) : fallback;
+    const merged = { ...this._config, ...config };
+    this._config = {
+      limitA: clamp(merged.limitA, 200, DEFAULT_CONFIG.limitA),
+      limitB: clamp(merged.limitB, 200, DEFAULT_CONFIG.limitB),
+      freqBalanceA: clamp(merged.freqBalanceA, 255, DEFAULT_CONFIG.freqBalanceA),
+      freqBalanceB: clamp(merged.freqBalanceB, 255, DEFAULT_CONFIG.freqBalanceB),
+      intBalanceA: clamp(merged.intBalanceA, 255, DEFAULT_CONFIG.intBalanceA),
+      intBalanceB: clamp(merged.intBalanceB, 255, DEFAULT_CONFIG.intBalanceB),
+      strengthMode: merged.strengthMode === 'absolute' ? 'absolute' : 'relative',
+    };
+  },
+
+  /**
+   * BF command for the current config
+   */
+  buildConfigCommand() {
+    return buildBFCommand(this._config);
+  },
+
+  /**
+   * Subscribe to live strength feedback
+   * Callback gets { a, b, requestedA, requestedB, offsetA, offsetB, manual } (0-200 scale)
+   * @returns {Function} Unsubscribe
+   */
+  onFeedback(callback) {
+    if (!this._listeners) return () => {};
+    this._listeners.add(callback);
+    return () => this._listeners.delete(callback);
+  },
+
+  /**
+   * Handle a B1 notification
+   * A strength we didn't just send means the user turned the dial - keep the
+   * difference as an offset so later absolute writes follow their adjustment.
+   */
+  handleFeedback(data) {
+    const feedback = parseB1Feedback(data);
+    const f = this._feedback;
+    if (!feedback || !f) return;
+
+    // Sequenced writes echo their sequence, so any seq 0 change is the dial.
+    // Unsequenced writes also come back as seq 0 - compare against what we sent.
+    let manual = false;
+    if (feedback.sequence === 0) {
+      const baseA = this._sequenced ? f.ackedA : this._state.intensityA;
+      const baseB = this._sequenced ? f.ackedB : this._state.intensityB;
+      const expectedA = this._sequenced ? [this._effectiveLevel(baseA, f.offsetA, this._config.limitA)] : f.sentA;
+      const expectedB = this._sequenced ? [this._effectiveLevel(baseB, f.offsetB, this._config.limitB)] : f.sentB;
+      if (!expectedA.includes(feedback.a)) {
+        f.offsetA = feedback.a - baseA;
+        manual = true;
+      }
+      if (!expectedB.includes(feedback.b)) {
+        f.offsetB = feedback.b - baseB;
+        manual = true;
+      }
+    }
+    f.actualA = feedback.a;
+    f.actualB = feedback.b;
+
+    const event = {
+      a: feedback.a,
+      b: feedback.b,
+      requestedA: this._state.intensityA,
+      requestedB: this._state.intensityB,
+      offsetA: f.offsetA,
+      offsetB: f.offsetB,
+      manual,
+    };
+    for (const cb of this._listeners) cb(event);
+  },
+
+  /**
+   * Effective level for a channel: requested + dial offset, clamped to soft limit
+   * Zero stays zero so stop always stops.
+   */
+  _effectiveLevel(requested, offset, limit) {
+    if (requested <= 0) return 0;
+    return Math.min(limit, Math.max(0, requested + offset));
+  },
+
+  /**
+   * B0 command from current intensities and the current waveform frame
+   * Intensities are clamped to the soft limits here as well as on the device.
+   * @param {object} strength - Optional { sequence, modeA, modeB, intensityA, intensityB } override
+   */
+  _buildStateCommand(strength = null) {
+    const waveA = getFrame(this._state.waveformA || this.defaultWaveform, this._state.frame);
+    const waveB = getFrame(this._state.waveformB || this.defaultWaveform, this._state.frame);
+    const waves = {
+      waveFreqA: waveA.freq,
+      waveIntA: waveA.intensity,
+      waveFreqB: waveB.freq,
+      waveIntB: waveB.intensity,
+    };
+    if (strength) return buildB0Command({ ...strength, ...waves });
+
+    const f = this._feedback;
+    const intensityA = this._effectiveLevel(this._state.intensityA, f?.offsetA || 0, this._config.limitA);
+    const intensityB = this._effectiveLevel(this._state.intensityB, f?.offsetB || 0, this._config.limitB);
+
+    // Remember the last two sent levels - B1 for the previous write may arrive late
+    if (f) {
+      if (f.sentA[0] !== intensityA) f.sentA = [intensityA, f.sentA[0]];
+      if (f.sentB[0] !== intensityB) f.sentB = [intensityB, f.sentB[0]];
+    }
+
+    return buildB0Command({ intensityA, intensityB, ...waves });
+  },
+
+  /**
+   * Plan one acknowledged step for a channel toward its target (requested scale)
+   * Relative mode ramps in RAMP_STEP increments; zero is always an absolute write.
+   * Both levels are kept inside the soft limit (less the dial offset) - the device
+   * stops relative steps there, so planning past it would leave `acked` above
+   * the real level and later decreases would undershoot.
+   * @returns {{mode: number, value: number, acked: number}} acked = level once confirmed
+   */
+  _planStep(acked, target, offset, limit) {
+    const ceiling = Math.max(0, limit - offset);
+    target = Math.min(target, ceiling);
+    acked = Math.min(acked, ceiling);
+    if (target === acked) return { mode: STRENGTH_MODE.NONE, value: 0, acked };
+    if (target === 0) return { mode: STRENGTH_MODE.ABSOLUTE, value: 0, acked: 0 };
+
+    const relative = this._config.strengthMode === 'relative';
+    if (!relative || acked === 0) {
+      const next = relative ? Math.min(target, RAMP_STEP) : target;
+      return { mode: STRENGTH_MODE.ABSOLUTE, value: this._effectiveLevel(next, offset, limit), acked: next };
+    }
+
+    const delta = Math.max(-RAMP_STEP, Math.min(RAMP_STEP, target - acked));
+    return {
+      mode: delta > 0 ? STRENGTH_MODE.INCREASE : STRENGTH_MODE.DECREASE,
+      value: Math.abs(delta),
+      acked: acked + delta,
+    };
   },
 
   /**
@@ -193,6 +406,10 @@ export const coyote = {
   buildStopCommand() {
     this._state.intensityA = 0;
     this._state.intensityB = 0;
+    if (this._feedback) {
+      this._feedback.sentA = [0, this._feedback.sentA[0]];
+      this._feedback.sentB = [0, this._feedback.sentB[0]];
+    }
     return buildB0Command({
       intensityA: 0,
       intensityB: 0,
@@ -210,14 +427,12 @@ export const coyote = {
         intensityB: 0,
         waveformA: null,
         waveformB: null,
+        frame: 0,
       };
+      if (this._feedback) this._feedback = createFeedbackState();
 
-      // Send default config
-      const config = buildBFCommand({
-        limitA: 200,
-        limitB: 200,
-      });
-      await writeChar.writeValue(config);
+      // Send soft limits / balances
+      await writeChar.writeValue(this.buildConfigCommand());
       return true;
     } catch (e) {
       console.warn('Coyote init failed:', e);
@@ -230,13 +445,21 @@ export const coyote = {
    */
   keepaliveInterval: 100,
 
+  // One strength update per 100ms frame when streaming
+  commandInterval: 100,
+
   // Export UUIDs for connection
   uuids: { v3: COYOTE_V3, v2: COYOTE_V2 },
 
   // Export builders for advanced use
   buildB0Command,
   buildBFCommand,
+  parseB1Feedback,
+  STRENGTH_MODE,
   encodeFrequency,
+  encodeV2Power,
+  encodeV2Wave,
+  encodeV2WaveFrame,
 };
 
 // ============================================================================
@@ -256,6 +479,30 @@ function encodeV2Power(a, b) {
   return new Uint8Array([byte0, byte1, byte2]);
 }
 
+/**
+ * Convert a 0-200 soft limit to the V2 power scale (1.0 intensity = 1024)
+ */
+function v2Limit(limit) {
+  return Math.round(limit / 200 * 1024);
+}
+
+/**
+ * Encode one waveform frame as V2 XYZ (V2 has no per-sample waveform, so the
+ * frame's 4 samples are averaged). No waveform = the original fixed V2 wave.
+ * Conversion from DG-LAB V2 docs: X = sqrt(freq / 1000) * 15, Y = freq - X
+ */
+function encodeV2WaveFrame(waveform, frameIndex) {
+  if (!waveform) return encodeV2Wave(10, 100, 10);  // 10 pulses, 100ms interval, width 10
+
+  const { freq, intensity } = getFrame(waveform, frameIndex);
+  const avg = (arr) => arr.reduce((sum, v) => sum + v, 0) / arr.length;
+  const period = Math.min(1000, Math.max(10, avg(freq)));
+  const x = Math.max(1, Math.round(Math.sqrt(period / 1000) * 15));
+  const y = Math.round(period - x);
+  const z = Math.round(avg(intensity) / 100 * 20);  // Z above 20 feels sharp
+  return encodeV2Wave(x, y, z);
+}
+
 /**
  * Encode V2 waveform: X (pulses 0-31), Y (interval 0-1023), Z (width 0-31)
  * Bits 19-15: Z, Bits 14-5: Y, Bits 4-0: X
@@ -265,8 +512,8 @@ function encodeV2Wave(x, y, z) {
   y = Math.min(1023, Math.max(0, y));
   z = Math.min(31, Math.max(0, z));
   const byte0 = (x & 0x1F) | ((y & 0x07) << 5);
-  const byte1 = (y >> 3) & 0x7F;
-  const byte2 = z & 0x1F;
+  const byte1 = ((y >> 3) & 0x7F) | ((z & 0x01) << 7);
+  const byte2 = (z >> 1) & 0x0F;
   return new Uint8Array([byte0, byte1, byte2]);
 }
 
@@ -280,9 +527,10 @@ function encodeV2Wave(x, y, z) {
  * @param {BluetoothDevice} device - The BLE device
  * @param {BluetoothRemoteGATTServer} server - Connected GATT server
  * @param {BluetoothRemoteGATTService[]} services - Available services
+ * @param {object} config - Soft limits / balances (see coyote.configure)
  * @returns {Promise<{writeChar, version, protocol, send, stop, ...}>}
  */
-export async function connectCoyote(device, server, services) {
+export async function connectCoyote(device, server, services, config = {}) {
   // Log available services for debugging
   console.log('Coyote: Available services:', services.map(s => s.uuid));
 
@@ -290,7 +538,7 @@ export async function connectCoyote(device, server, services) {
   const v3Service = services.find(s => s.uuid === COYOTE_V3.CONTROL_SERVICE);
   if (v3Service) {
     console.log('Coyote V3 detected');
-    return connectV3(device, v3Service);
+    return connectV3(device, v3Service, config);
   }
 
   // Try V2 - service B first (has writable chars), then service A
@@ -299,7 +547,7 @@ export async function connectCoyote(device, server, services) {
 
   if (v2ServiceB || v2ServiceA) {
     console.log('Coyote V2 detected');
-    return connectV2(device, server, services, v2ServiceB || v2ServiceA);
+    return connectV2(device, server, services, v2ServiceB || v2ServiceA, config);
   }
 
   // No known service found - dump all for debugging
@@ -324,53 +572,221 @@ export async function connectCoyote(device, server, services) {
   throw new Error('No known Coyote service found. Check console for available services.');
 }
 
+function createFeedbackState() {
+  return {
+    actualA: 0,
+    actualB: 0,
+    offsetA: 0,     // Manual dial adjustment, added to non-zero requests
+    offsetB: 0,
+    sentA: [0, 0],  // Last two levels written (newest first)
+    sentB: [0, 0],
+    ackedA: 0,      // Level confirmed by B1 (requested scale, sequenced writes only)
+    ackedB: 0,
+  };
+}
+
 /**
  * Connect to Coyote V3
  */
-async function connectV3(device, service) {
+async function connectV3(device, service, config) {
   const writeChar = await service.getCharacteristic(COYOTE_V3.WRITE_CHAR);
 
-  // Try to set up notifications
+  // Per-connection protocol instance so multiple Coyotes keep separate state
+  const protocol = {
+    ...coyote,
+    _config: { ...DEFAULT_CONFIG },
+    hasFeedback: false,  // Set once B1 notifications are running
+    _feedback: createFeedbackState(),
+    _listeners: new Set(),
+    _state: {
+      intensityA: 0,
+      intensityB: 0,
+      waveformA: null,
+      waveformB: null,
+      frame: 0,
+    },
+  };
+
+  // Acknowledged strength writes: every change carries a sequence number (1-15)
+  // and waits for the matching B1 echo. Keepalive frames leave strength alone
+  // (mode 00), so the device level - dial included - only changes on purpose.
+  let nextSequence = 1;
+  let pendingAck = null;  // { sequence, resolve }
+  let writeChain = Promise.resolve();
+  let ramping = false;    // Strength loop running - it reads the newest target each step
+  let ramp = null;        // ...and its promise, shared by every write that joined it
+
+  // Serialize GATT writes ("operation already in progress" otherwise)
+  const write = (data) => {
+    const result = writeChain.then(() => writeChar.writeValue(data));
+    writeChain = result.catch(() => {});
+    return result;
+  };
+
+  const takeSequence = () => {
+    const sequence = nextSequence;
+    nextSequence = nextSequence >= 15 ? 1 : nextSequence + 1;
+    return sequence;
+  };
+
+  const waitForAck = (sequence) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingAck = null;
+      reject(new Error(`Coyote did not acknowledge strength change (sequence ${sequence})`));
+    }, ACK_TIMEOUT_MS);
+    pendingAck = {
+      sequence,
+      resolve: () => {
+        clearTimeout(timer);
+        pendingAck = null;
+        resolve();
+      },
+    };
+  });
+
+  // Write one step and wait for its echo; retries resend as absolute so a
+  // lost ack can never apply a relative change twice
+  const sendStep = async (stepA, stepB) => {
+    const f = protocol._feedback;
+    for (let attempt = 0; attempt <= ACK_RETRIES; attempt++) {
+      const retry = attempt > 0;
+      const sequence = takeSequence();
+      const ack = waitForAck(sequence);
+      try {
+        await write(protocol._buildStateCommand({
+          sequence,
+          modeA: retry && stepA.mode !== STRENGTH_MODE.NONE ? STRENGTH_MODE.ABSOLUTE : stepA.mode,
+          modeB: retry && stepB.mode !== STRENGTH_MODE.NONE ? STRENGTH_MODE.ABSOLUTE : stepB.mode,
+          intensityA: retry ? protocol._effectiveLevel(stepA.acked, f.offsetA, protocol._config.limitA) : stepA.value,
+          intensityB: retry ? protocol._effectiveLevel(stepB.acked, f.offsetB, protocol._config.limitB) : stepB.value,
+        }));
+        await ack;
+        return;
+      } catch (e) {
+        ack.catch(() => {});
+        console.warn(`Coyote V3 step attempt ${attempt + 1} failed:`, e.message);
+        if (attempt === ACK_RETRIES) throw e;
+      }
+    }
+  };
+
+  // Step from the acknowledged level toward the current target until they match.
+  // Writes set the target and join the running loop, so a newer target replaces
+  // the one still being ramped toward and every caller hears if an ack is lost.
+  const runStrength = async () => {
+    const f = protocol._feedback;
+    const state = protocol._state;
+    try {
+      for (;;) {
+        const stepA = protocol._planStep(f.ackedA, state.intensityA, f.offsetA, protocol._config.limitA);
+        const stepB = protocol._planStep(f.ackedB, state.intensityB, f.offsetB, protocol._config.limitB);
+        if (stepA.mode !== STRENGTH_MODE.NONE || stepB.mode !== STRENGTH_MODE.NONE) {
+          await sendStep(stepA, stepB);
+        }
+        f.ackedA = stepA.acked;
+        f.ackedB = stepB.acked;
+        if (stepA.mode === STRENGTH_MODE.NONE && stepB.mode === STRENGTH_MODE.NONE) return;
+      }
+    } finally {
+      ramping = false;
+    }
+  };
+
+  const updateStrength = () => {
+    if (!ramping) {
+      ramping = true;
+      ramp = runStrength();
+    }
+    return ramp;
+  };
+
+  const sequencedMethods = {
+    _sequenced: true,
+
+    // Single intensity drives channel A (same as buildCommand)
+    async sendCommand(intensity) {
+      protocol._state.intensityA = Math.round(intensity * protocol.maxIntensity);
+      await updateStrength();
+    },
+
+    async sendMotorsCommand([intensityA = 0, intensityB = 0]) {
+      protocol._state.intensityA = Math.round(intensityA * protocol.maxIntensity);
+      protocol._state.intensityB = Math.round(intensityB * protocol.maxIntensity);
+      await updateStrength();
+    },
+
+    // Stop goes out immediately (not queued behind a ramp); the ramp loop then
+    // sees target 0 and finishes with an absolute zero of its own
+    async stopCommand() {
+      protocol._state.intensityA = 0;
+      protocol._state.intensityB = 0;
+      await write(protocol._buildStateCommand({
+        sequence: takeSequence(),
+        modeA: STRENGTH_MODE.ABSOLUTE,
+        modeB: STRENGTH_MODE.ABSOLUTE,
+        intensityA: 0,
+        intensityB: 0,
+      }));
+      await updateStrength();
+    },
+
+    // Waveform-only frame, strength untouched
+    async sendKeepalive() {
+      protocol._state.frame++;
+      await write(protocol._buildStateCommand({
+        sequence: 0,
+        modeA: STRENGTH_MODE.NONE,
+        modeB: STRENGTH_MODE.NONE,
+        intensityA: 0,
+        intensityB: 0,
+      }));
+    },
+  };
+
+  // Try to set up notifications - acks need them, so without B1 we fall back
+  // to plain absolute writes
+  let notifying = false;
   try {
     const notifyChar = await service.getCharacteristic(COYOTE_V3.NOTIFY_CHAR);
     await notifyChar.startNotifications();
     notifyChar.addEventListener('characteristicvaluechanged', (event) => {
       const data = new Uint8Array(event.target.value.buffer);
-      if (data[0] === 0xB1) {
-        console.log(`Coyote V3 feedback: A=${data[2]}, B=${data[3]}`);
+      protocol.handleFeedback(data);
+      const feedback = parseB1Feedback(data);
+      if (feedback && pendingAck?.sequence === feedback.sequence) {
+        pendingAck.resolve();
       }
     });
+    notifying = true;
   } catch (e) {
     console.warn('Could not set up V3 notifications:', e);
   }
+  if (notifying) Object.assign(protocol, { hasFeedback: true }, sequencedMethods);
+
+  protocol.configure(config);
 
   // Initialize with config
   try {
-    const config = buildBFCommand({ limitA: 200, limitB: 200 });
-    await writeChar.writeValue(config);
+    await writeChar.writeValue(protocol.buildConfigCommand());
   } catch (e) {
     console.warn('Coyote V3 init failed:', e);
   }
 
-  // Reset state
-  coyote._state = {
-    intensityA: 0,
-    intensityB: 0,
-    waveformA: null,
-    waveformB: null,
-  };
-
   return {
     writeChar,
     version: 'v3',
-    protocol: coyote,
+    protocol,
   };
 }
 
+// V2 disconnect handler per device - a reconnect runs connectV2 again and
+// replaces it, so drops don't pile up handlers
+const v2DisconnectHandlers = new WeakMap();
+
 /**
  * Connect to Coyote V2
  */
-async function connectV2(device, server, allServices, primaryService) {
+async function connectV2(device, server, allServices, primaryService, config) {
   // V2 might have characteristics split across services - scan all
   console.log('=== SCANNING V2 SERVICES FOR CHARACTERISTICS ===');
 
@@ -421,11 +837,15 @@ async function connectV2(device, server, allServices, primaryService) {
     connected: true,
   };
 
-  // Listen for disconnect
-  device.addEventListener('gattserverdisconnected', () => {
+  // Listen for disconnect (replacing the previous connection's listener)
+  const handleDisconnected = () => {
     console.warn('Coyote V2 disconnected');
     v2State.connected = false;
-  });
+  };
+  const previous = v2DisconnectHandlers.get(device);
+  if (previous) device.removeEventListener('gattserverdisconnected', previous);
+  v2DisconnectHandlers.set(device, handleDisconnected);
+  device.addEventListener('gattserverdisconnected', handleDisconnected);
 
   // V2 protocol needs custom send that writes to multiple characteristics
   // Use lock + pending to prevent "GATT operation already in progress" errors
@@ -438,31 +858,51 @@ async function connectV2(device, server, allServices, primaryService) {
     name: 'DG-Lab Coyote V2',
     maxIntensity: 2047,  // V2 uses higher range
 
+    // V2 has no BF command - soft limits are enforced here only
+    _config: { ...DEFAULT_CONFIG },
+    buildConfigCommand: null,
+
+    // Own waveform state (intensities live in v2State)
+    _state: {
+      intensityA: 0,
+      intensityB: 0,
+      waveformA: null,
+      waveformB: null,
+      frame: 0,
+    },
+
     // V2 needs custom send - writes waveform + power together
     // This is called by vibrator.js if present
     async sendCommand(intensity, writeChar) {
+      return this.sendMotorsCommand([intensity, intensity], writeChar);
+    },
+
+    // Per-channel variant of sendCommand: [channelA, channelB]
+    async sendMotorsCommand([intensityA = 0, intensityB = 0], writeChar) {
       if (!v2State.connected) return;
 
       // If already sending, queue this as pending (replaces any previous pending)
       if (v2Sending) {
-        v2Pending = intensity;
+        v2Pending = [intensityA, intensityB];
         return;
       }
 
       v2Sending = true;
-      const level = Math.round(intensity * 1024);  // Use 50% of max for safety
-      v2State.intensityA = level;
-      v2State.intensityB = level;
+      // Use 50% of max for safety, then clamp to soft limits (0-200 scale)
+      v2State.intensityA = Math.min(Math.round(intensityA * 1024), v2Limit(this._config.limitA));
+      v2State.intensityB = Math.min(Math.round(intensityB * 1024), v2Limit(this._config.limitB));
 
-      // V2 waveform: X=pulses, Y=interval(ms), Z=width
-      const waveCmd = encodeV2Wave(10, 100, 10);  // 10 pulses, 100ms interval, width 10
+      // V2 waveform: X=pulses, Y=interval(ms), Z=width - one frame per send
+      const waveCmdA = encodeV2WaveFrame(this._state.waveformA, this._state.frame);
+      const waveCmdB = encodeV2WaveFrame(this._state.waveformB, this._state.frame);
+      this._state.frame++;
 
       try {
         // Must send waveform with every update
-        if (waveAChar) await waveAChar.writeValueWithoutResponse(waveCmd);
-        if (waveBChar) await waveBChar.writeValueWithoutResponse(waveCmd);
+        if (waveAChar) await waveAChar.writeValueWithoutResponse(waveCmdA);
+        if (waveBChar) await waveBChar.writeValueWithoutResponse(waveCmdB);
         // Then power
-        await powerChar.writeValueWithoutResponse(encodeV2Power(level, level));
+        await powerChar.writeValueWithoutResponse(encodeV2Power(v2State.intensityA, v2State.intensityB));
       } catch (e) {
         if (e.message?.includes('disconnected')) {
           console.warn('V2 disconnected');
@@ -477,7 +917,7 @@ async function connectV2(device, server, allServices, primaryService) {
         if (v2Pending !== null) {
           const pending = v2Pending;
           v2Pending = null;
-          this.sendCommand(pending, writeChar);
+          this.sendMotorsCommand(pending, writeChar);
         }
       }
     },
@@ -508,13 +948,19 @@ async function connectV2(device, server, allServices, primaryService) {
     buildCommand(intensity, motorIndex = 0) {
       const level = Math.round(intensity * 1024);
       if (motorIndex === 0) {
-        v2State.intensityA = level;
+        v2State.intensityA = Math.min(level, v2Limit(this._config.limitA));
       } else {
-        v2State.intensityB = level;
+        v2State.intensityB = Math.min(level, v2Limit(this._config.limitB));
       }
       return encodeV2Power(v2State.intensityA, v2State.intensityB);
     },
 
+    buildMotorsCommand([intensityA = 0, intensityB = 0]) {
+      v2State.intensityA = Math.min(Math.round(intensityA * 1024), v2Limit(this._config.limitA));
+      v2State.intensityB = Math.min(Math.round(intensityB * 1024), v2Limit(this._config.limitB));
+      return encodeV2Power(v2State.intensityA, v2State.intensityB);
+    },
+
     buildStopCommand() {
       v2State.intensityA = 0;
       v2State.intensityB = 0;
@@ -538,6 +984,8 @@ async function connectV2(device, server, allServices, primaryService) {
     keepaliveInterval: 100,
   };
 
+  v2Protocol.configure(config);
+
   return {
     writeChar: powerChar,
     waveAChar,
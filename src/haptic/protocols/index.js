@@ -1,8 +1,9 @@
 /**
  * Protocol Registry
  *
- * Auto-detects device protocol based on name/service UUID and returns
- * the appropriate command builder.
+ * Auto-detects device protocol and returns the appropriate command builder.
+ * Names listed in the generated device table (device-config.json) win; the
+ * hand-written patterns below cover devices it doesn't know, then service UUIDs.
  *
  * Command formats from buttplug.io (BSD-3-Clause, Nonpolynomial Labs LLC)
  */
@@ -17,6 +18,10 @@ import { lelo } from './lelo.js';
 import { magicmotion } from './magicmotion.js';
 import { mysteryvibe } from './mysteryvibe.js';
 import { coyote, isCoyote, connectCoyote } from './coyote.js';
+import deviceConfig from '../device-config.json' with { type: 'json' };
+
+// Per-device metadata generated by `npm run update-devices`
+const DEVICES = deviceConfig.devices || [];
 
 // Protocol definitions with detection patterns
 // Ordered by market share for faster matching
@@ -66,7 +71,7 @@ const PROTOCOLS = [
   {
     id: 'svakom',
     // ~5% market share
-    namePatterns: [/^Svakom/i, /^Emma/, /^Ella/, /^Vicky/, /^Alex/, /^Sam/, /^Iker/, /^Tarax/, /^Pulse/i],
+    namePatterns: [/^Svakom/i, /^Emma/, /^Ella/, /^Vicky/, /^Alex/, /^Sam/, /^Iker/, /^Tarax/, /^Pulse (Union|Galaxie|Lite)/i],
     serviceUUIDs: [],
     protocol: svakom,
   },
@@ -94,12 +99,96 @@ const PROTOCOLS = [
   {
     id: 'coyote',
     // E-stim device (not in buttplug due to liability)
-    namePatterns: [/^D-LAB ESTIM/i, /^47L/],
+    namePatterns: [/^D-LAB ESTIM/i, /^DG-LAB/i, /^47L/i, /^Coyote/i],  // Mirrors isCoyote()
     serviceUUIDs: ['0000180c-0000-1000-8000-00805f9b34fb'],
     protocol: coyote,
   },
 ];
 
+/**
+ * Generated metadata for an advertised name - exact name first, then the longest prefix
+ * @returns {object|null} { name|namePrefix, source, protocol, label, features, steps }
+ */
+export function lookupDevice(deviceName, devices = DEVICES) {
+  if (!deviceName) return null;
+  const exact = devices.find(d => d.name === deviceName);
+  if (exact) return exact;
+  return devices
+    .filter(d => d.namePrefix && deviceName.startsWith(d.namePrefix))
+    .sort((a, b) => b.namePrefix.length - a.namePrefix.length)[0] || null;
+}
+
+// Table source from the same brand as a definition ('wevibe-8bit', 'magic-motion-4')
+const sameBrand = (source, id) => !!source && source.replace(/-/g, '').startsWith(id);
+
+/**
+ * Explain which protocol a device matches and why
+ * Every definition is scored: the generated device table beats name patterns
+ * (which it also silences for names it gives to another brand), name + service UUID beats name
+ * alone, which beats a service UUID alone (generic UUIDs like fff0 are shared
+ * by many brands). Ties keep registry order.
+ * @param {string} deviceName - BLE device name
+ * @param {BluetoothRemoteGATTService[]} services - Connected GATT services
+ * @param {object[]} [devices] - Generated device table
+ * @returns {{id: string|null, matchedBy: string|null, pattern: string|null, uuid: string|null, device: object|null, candidates: object[]}}
+ *   The pick plus every matching definition, best first (runner-ups follow the pick).
+ *   `device` is the generated metadata when the name is known, even if unsupported.
+ */
+export function explainDetection(deviceName, services = [], devices = DEVICES) {
+  const serviceUUIDs = services.map(s => s.uuid.toLowerCase());
+  const known = lookupDevice(deviceName, devices);
+  const candidates = [];
+
+  for (const def of PROTOCOLS) {
+    const listed = known?.protocol === def.id;
+    const pattern = def.namePatterns.find(p => p.test(deviceName || ''));
+    const uuid = def.serviceUUIDs.find(u => serviceUUIDs.includes(u.toLowerCase()));
+    if (!listed && !pattern && !uuid) continue;
+
+    // A known name only counts for the protocol the table lists. Names listed under
+    // a brand's other protocol revisions keep that brand's pattern.
+    const byName = listed ? 'config'
+      : pattern && (!known || (!known.protocol && sameBrand(known.source, def.id))) ? 'name' : null;
+    const candidate = {
+      id: def.id,
+      matchedBy: [byName || (pattern && 'name'), uuid && 'service'].filter(Boolean).join('+'),
+      pattern: listed ? (known.name ?? `${known.namePrefix}*`) : pattern ? String(pattern) : null,
+      uuid: uuid || null,
+      score: (listed ? 4 : 0) + (byName === 'name' ? 2 : 0) + (uuid ? 1 : 0),
+    };
+    if (pattern && !byName) candidate.overridden = true;  // Pattern hit, but the table disagrees
+    candidates.push(candidate);
+  }
+
+  // Stable sort keeps registry order between equal scores
+  candidates.sort((a, b) => b.score - a.score);
+  const best = candidates[0]?.score > 0 ? candidates[0] : null;
+
+  return {
+    id: best?.id || null,
+    matchedBy: best?.matchedBy || null,
+    pattern: best?.pattern || null,
+    uuid: best?.uuid || null,
+    device: known,
+    candidates: candidates.map(({ score, ...c }) => c),
+  };
+}
+
+/**
+ * Per-device copy of a protocol using the generated step range and motor count
+ * Builders read this.maxIntensity / this.motorCount, so the copy scales itself.
+ */
+export function applyDeviceMetadata(protocol, device) {
+  if (!device?.steps?.length || device.protocol !== protocol.id) return protocol;
+  const tuned = Object.create(protocol);
+  tuned.maxIntensity = device.steps[0];
+  // Never widen past what the packet format supports
+  if (protocol.motorCount && device.steps.length < protocol.motorCount) {
+    tuned.motorCount = device.steps.length;
+  }
+  return tuned;
+}
+
 /**
  * Detect protocol based on device name and connected services
  * @param {string} deviceName - BLE device name
@@ -107,23 +196,14 @@ const PROTOCOLS = [
  * @returns {object|null} Protocol handler or null if unknown
  */
 export function detectProtocol(deviceName, services) {
-  const serviceUUIDs = services.map(s => s.uuid.toLowerCase());
+  const report = explainDetection(deviceName, services);
 
-  for (const def of PROTOCOLS) {
-    // Check name patterns
-    if (def.namePatterns.some(pattern => pattern.test(deviceName))) {
-      console.log(`Protocol detected by name: ${def.id}`);
-      return def.protocol;
-    }
-
-    // Check service UUIDs
-    if (def.serviceUUIDs.length > 0 && def.serviceUUIDs.some(uuid => serviceUUIDs.includes(uuid.toLowerCase()))) {
-      console.log(`Protocol detected by service UUID: ${def.id}`);
-      return def.protocol;
-    }
+  if (report.id) {
+    console.log(`Protocol detected by ${report.matchedBy}: ${report.id}`);
+    return getProtocol(report.id);
   }
 
-  console.warn(`Unknown device: ${deviceName}, services: ${serviceUUIDs.join(', ')}`);
+  console.warn(`Unknown device: ${deviceName}, services: ${services.map(s => s.uuid.toLowerCase()).join(', ')}`);
   return null;
 }
 
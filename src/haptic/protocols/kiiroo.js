@@ -27,6 +27,15 @@ export const kiiroo = {
     return new Uint8Array(bytes);
   },
 
+  /**
+   * Build per-motor command
+   * @param {number[]} intensities - One value per motor, 0.0 to 1.0
+   * @returns {Uint8Array} Command bytes
+   */
+  buildMotorsCommand(intensities) {
+    return new Uint8Array(intensities.map(i => Math.round(i * this.maxIntensity)));
+  },
+
   /**
    * Build stop command
    */
@@ -15,6 +15,9 @@ export const lelo = {
   // Lelo uses 0-255 intensity scale
   maxIntensity: 255,
 
+  // Dual motor
+  motorCount: 2,
+
   /**
    * Build vibrate command
    * @param {number} intensity - 0.0 to 1.0 (applied to both motors)
@@ -29,6 +32,15 @@ export const lelo = {
     return new Uint8Array([0x01, level1, level2]);
   },
 
+  /**
+   * Build per-motor command
+   * @param {number[]} intensities - [motor1, motor2], 0.0 to 1.0 each
+   * @returns {Uint8Array} Command bytes
+   */
+  buildMotorsCommand([intensity1 = 0, intensity2 = intensity1]) {
+    return this.buildCommand(intensity1, intensity2);
+  },
+
   /**
    * Build stop command
    */
@@ -26,6 +26,15 @@ export const mysteryvibe = {
     return new Uint8Array(new Array(motorCount).fill(level));
   },
 
+  /**
+   * Build per-motor command
+   * @param {number[]} intensities - One value per motor, 0.0 to 1.0
+   * @returns {Uint8Array} Command bytes
+   */
+  buildMotorsCommand(intensities) {
+    return new Uint8Array(intensities.map(i => Math.round(i * this.maxIntensity)));
+  },
+
   /**
    * Build stop command
    */
@@ -31,6 +31,20 @@ export const satisfyer = {
     return new Uint8Array(bytes);
   },
 
+  /**
+   * Build per-motor command
+   * @param {number[]} intensities - One value per motor, 0.0 to 1.0
+   * @returns {Uint8Array} Command bytes
+   */
+  buildMotorsCommand(intensities) {
+    const bytes = [];
+    for (const intensity of intensities) {
+      const level = Math.round(intensity * this.maxIntensity);
+      bytes.push(level, level, level, level);
+    }
+    return new Uint8Array(bytes);
+  },
+
   /**
    * Build stop command
    */
@@ -12,6 +12,9 @@ export const wevibe = {
   // We-Vibe uses 0-15 intensity scale per motor (4 bits each)
   maxIntensity: 15,
 
+  // Internal + external motor
+  motorCount: 2,
+
   /**
    * Build vibrate command
    * @param {number} intensity - 0.0 to 1.0 (applied to both motors)
@@ -44,6 +47,15 @@ export const wevibe = {
     ]);
   },
 
+  /**
+   * Build per-motor command
+   * @param {number[]} intensities - [internal, external], 0.0 to 1.0 each
+   * @returns {Uint8Array} Command bytes
+   */
+  buildMotorsCommand([internal = 0, external = internal]) {
+    return this.buildCommand(internal, external);
+  },
+
   /**
    * Build stop command
    */
@@ -0,0 +1,231 @@
+/**
+ * Safety Limits
+ *
+ * User-owned caps that no shared link or imported config can raise. They live
+ * in localStorage only (see config.js loadSafetyLimits) and are enforced in
+ * these places:
+ * - clampSettings() pulls session settings (intensity ranges, reward length,
+ *   delay, session length) inside the limits - used on import and at session start
+ * - clampTimeline() does the same for a precomputed or loaded timeline before playback
+ * - OutputLimiter caps every level and its rate of rise right before bytes are
+ *   written (vibrator.js), so nothing upstream can get around it
+ *
+ * Levels are fractions of a device's full output, times are in seconds,
+ * maxRampRate is full-scale per second (2 = 0 to 100% in half a second).
+ * Falling levels are never slowed down - stopping is always immediate.
+ */
+
+export const DEFAULT_SAFETY_LIMITS = {
+  maxIntensity: 1,
+  maxReward: 30,
+  minDelay: 1,
+  maxSession: 3600,
+  maxRampRate: 2,
+  devices: {},  // { deviceName: maxIntensity } - tighter cap for one device
+};
+
+const clamp = (value, min, max, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+/**
+ * Clamp user/stored limits to sane ranges
+ */
+export function normalizeSafetyLimits(limits = {}) {
+  const d = DEFAULT_SAFETY_LIMITS;
+  const devices = {};
+  for (const [name, max] of Object.entries(limits.devices || {})) {
+    if (Number.isFinite(Number(max))) devices[name] = clamp(max, 0, 1, 1);
+  }
+  return {
+    maxIntensity: clamp(limits.maxIntensity, 0, 1, d.maxIntensity),
+    maxReward: clamp(limits.maxReward, 0.1, 600, d.maxReward),
+    minDelay: clamp(limits.minDelay, 0, 600, d.minDelay),
+    maxSession: clamp(limits.maxSession, 60, 24 * 3600, d.maxSession),
+    maxRampRate: clamp(limits.maxRampRate, 0.05, 100, d.maxRampRate),
+    devices,
+  };
+}
+
+/**
+ * Effective output limits for one device - its own cap never loosens the global one
+ */
+export function limitsFor(limits, deviceName) {
+  const { maxIntensity, maxRampRate, devices } = normalizeSafetyLimits(limits);
+  return {
+    maxIntensity: Math.min(maxIntensity, devices[deviceName] ?? 1),
+    maxRampRate,
+  };
+}
+
+/**
+ * Pull session settings inside the limits
+ * @returns {{settings: object, clamped: string[]}} A clamped copy and what changed, e.g. "intensity max 100% → 70%"
+ */
+export function clampSettings(settings, limits) {
+  const l = normalizeSafetyLimits(limits);
+  const s = JSON.parse(JSON.stringify(settings));
+  const clamped = [];
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const sec = (v) => `${Math.round(v * 10) / 10}s`;
+
+  const cap = (obj, key, label, max, fmt) => {
+    if (obj?.[key] > max) {
+      clamped.push(`${label} ${fmt(obj[key])} → ${fmt(max)}`);
+      obj[key] = max;
+    }
+  };
+  const floor = (obj, key, label, min, fmt) => {
+    if (obj?.[key] < min) {
+      clamped.push(`${label} ${fmt(obj[key])} → ${fmt(min)}`);
+      obj[key] = min;
+    }
+  };
+
+  for (const [obj, label] of [
+    [s.intensity, 'intensity'],
+    [s.ambient, 'ambient'],
+    [s.coyote?.channelA, 'channel A'],
+    [s.coyote?.channelB, 'channel B'],
+  ]) {
+    cap(obj, 'max', `${label} max`, l.maxIntensity, pct);
+    cap(obj, 'min', `${label} min`, l.maxIntensity, pct);
+  }
+  cap(s.reward, 'max', 'reward max', l.maxReward, sec);
+  cap(s.reward, 'min', 'reward min', l.maxReward, sec);
+  floor(s.delay, 'min', 'delay min', l.minDelay, sec);
+  floor(s.delay, 'max', 'delay max', l.minDelay, sec);
+  cap(s, 'sessionDuration', 'session length', l.maxSession, v => `${Math.round(v / 60)}min`);
+
+  // Program phases override the ranges above, so they get the same caps
+  for (const phase of s.phases || []) {
+    const label = `phase "${phase.name}"`;
+    cap(phase.intensity, 'max', `${label} intensity max`, l.maxIntensity, pct);
+    cap(phase.intensity, 'min', `${label} intensity min`, l.maxIntensity, pct);
+    cap(phase.reward, 'max', `${label} reward max`, l.maxReward, sec);
+    cap(phase.reward, 'min', `${label} reward min`, l.maxReward, sec);
+    floor(phase.delay, 'min', `${label} delay min`, l.minDelay, sec);
+    floor(phase.delay, 'max', `${label} delay max`, l.minDelay, sec);
+  }
+
+  // A program can't outlast the session cap either - the last phases are cut short
+  if (s.phases?.length) {
+    let remaining = l.maxSession;
+    for (const phase of s.phases) {
+      if (phase.duration > remaining) {
+        clamped.push(`phase "${phase.name}" ${remaining > 0 ? `length ${sec(phase.duration)} → ${sec(remaining)}` : 'skipped'}`);
+        phase.duration = remaining;
+      }
+      remaining -= phase.duration;
+    }
+    s.phases = s.phases.filter(phase => phase.duration > 0);
+  }
+
+  return { settings: s, clamped };
+}
+
+/**
+ * Pull a precomputed timeline (config.js buildTimeline) inside the limits -
+ * levels and reward lengths are capped, short delays push later steps back and
+ * steps past the session cap are dropped (timeline times stay in ms)
+ * @returns {{timeline: object, clamped: string[]}} A clamped copy and what changed
+ */
+export function clampTimeline(timeline, limits) {
+  const l = normalizeSafetyLimits(limits);
+  const t = JSON.parse(JSON.stringify(timeline));
+  const counts = { intensity: 0, reward: 0, delay: 0 };
+  let earliest = 0;  // when the next step may start after the previous delay
+
+  t.steps = t.steps.map(step => {
+    const capped = (v) => {
+      if (!(v > l.maxIntensity)) return v;
+      counts.intensity++;
+      return l.maxIntensity;
+    };
+    step.intensity = capped(step.intensity);
+    step.ambient = Math.min(step.ambient, l.maxIntensity);
+    if (step.channels) step.channels = { a: capped(step.channels.a), b: capped(step.channels.b) };
+    if (step.reward > l.maxReward * 1000) {
+      counts.reward++;
+      step.reward = l.maxReward * 1000;
+    }
+    if (step.time < earliest) {
+      counts.delay++;
+      step.time = earliest;
+    }
+    earliest = step.time + step.cue + step.reward + l.minDelay * 1000;
+    return step;
+  });
+
+  const clamped = [];
+  if (counts.intensity > 0) clamped.push(`${counts.intensity} step levels capped at ${Math.round(l.maxIntensity * 100)}%`);
+  if (counts.reward > 0) clamped.push(`${counts.reward} rewards cut to ${l.maxReward}s`);
+  if (counts.delay > 0) clamped.push(`${counts.delay} steps moved back for the ${l.minDelay}s minimum delay`);
+
+  const cap = l.maxSession * 1000;
+  const end = Math.max(t.duration, earliest - l.minDelay * 1000);
+  if (end > cap) {
+    const before = t.steps.length;
+    t.steps = t.steps.filter(step => step.time < cap);
+    clamped.push(`length ${Math.round(end / 60000)}min → ${Math.round(cap / 60000)}min${before > t.steps.length ? ` (${before - t.steps.length} steps dropped)` : ''}`);
+    t.duration = cap;
+  } else {
+    t.duration = end;
+  }
+
+  return { timeline: t, clamped };
+}
+
+/**
+ * Caps one device's levels and how fast they may rise
+ * A rise is spread over several writes: each write may climb maxRampRate × the
+ * time since the last one (at most one write interval, so a level held for a
+ * while still can't jump), and limit() reports `ramping` until the request is reached.
+ */
+export class OutputLimiter {
+  /**
+   * @param {{maxIntensity: number, maxRampRate: number}} limits - see limitsFor()
+   * @param {number} [interval] - ms between writes while ramping
+   */
+  constructor(limits, interval = 50) {
+    this.limits = limits;
+    this.interval = interval;
+    this._last = [];
+    this._lastTime = 0;
+  }
+
+  setLimits(limits) {
+    this.limits = limits;
+  }
+
+  /**
+   * @param {number[]} levels - Requested level per motor, 0.0 to 1.0
+   * @returns {{levels: number[], ramping: boolean}} Levels safe to write now
+   */
+  limit(levels, now = Date.now()) {
+    const { maxIntensity, maxRampRate } = this.limits;
+    const elapsed = Math.min(now - this._lastTime, this.interval);
+    const rise = maxRampRate * Math.max(0, elapsed) / 1000;
+    let ramping = false;
+
+    const out = levels.map((level, i) => {
+      const target = Math.min(Math.max(0, level), maxIntensity);
+      const allowed = (this._last[i] ?? 0) + rise;
+      if (target <= allowed) return target;
+      ramping = true;
+      return allowed;
+    });
+
+    this._last = out;
+    this._lastTime = now;
+    return { levels: out, ramping };
+  }
+
+  /**
+   * Output stopped - the next rise starts from zero
+   */
+  reset() {
+    this._last = [];
+  }
+}
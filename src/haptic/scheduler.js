@@ -0,0 +1,116 @@
+/**
+ * Output Scheduler
+ *
+ * Streams a time-varying reward envelope to the device manager instead of a
+ * flat on/off pulse. Each tick computes the envelope level and hands it to
+ * `DeviceManager.stream()`, which throttles writes per device to its protocol's
+ * command rate and skips steps the device can't resolve anyway.
+ */
+
+// ============================================================================
+// Envelope Shapes - Sustain level (0-1) at time t (ms) into a reward
+// ============================================================================
+
+const ENVELOPE_SHAPES = {
+  // Plain on/off rectangle - no streaming (see runSequence)
+  pulse: () => 1,
+
+  // Hold at full level between attack and release
+  flat: () => 1,
+
+  // Climb from (1 - depth) to full across the reward
+  ramp: (t, duration, { depth }) => 1 - depth * (1 - t / duration),
+
+  // Swell between (1 - depth) and full once per period
+  sine: (t, duration, { depth, period }) => 1 - depth * (0.5 + 0.5 * Math.cos(2 * Math.PI * t / period)),
+
+  // Rise from (1 - depth) to full each period, then drop
+  saw: (t, duration, { depth, period }) => 1 - depth * (1 - (t % period) / period),
+};
+
+/**
+ * Envelope gain (0-1) at time t (ms) into a reward of the given duration
+ * Attack and release shrink proportionally when they don't fit the reward.
+ * @param {object} envelope - { shape, attack, release, period, depth } (times in seconds)
+ */
+export function envelopeLevel(envelope, t, duration) {
+  const shape = ENVELOPE_SHAPES[envelope.shape] || ENVELOPE_SHAPES.flat;
+  const attack = envelope.attack * 1000;
+  const release = envelope.release * 1000;
+  const fit = Math.min(1, duration / Math.max(1, attack + release));
+
+  const rise = attack > 0 ? t / (attack * fit) : 1;
+  const fall = release > 0 ? (duration - t) / (release * fit) : 1;
+  const edge = Math.min(1, Math.max(0, Math.min(rise, fall)));
+
+  const period = Math.max(100, envelope.period * 1000);
+  const depth = Math.min(1, Math.max(0, envelope.depth));
+  return edge * Math.min(1, Math.max(0, shape(t, duration, { depth, period })));
+}
+
+// ============================================================================
+// Scheduler
+// ============================================================================
+
+export class OutputScheduler {
+  /**
+   * @param {DeviceManager} devices
+   */
+  constructor(devices) {
+    this.devices = devices;
+    this._timer = null;
+    this._done = null;
+  }
+
+  /**
+   * Stream one reward shaped by the envelope
+   * Resolves when the reward is over (or cancelled); the caller stops devices.
+   * @param {object} options
+   * @param {number} options.intensity - Peak intensity, 0.0 to 1.0
+   * @param {{a: number, b: number}} [options.channels] - Peak Coyote channel levels
+   * @param {number} options.duration - Reward length in ms
+   * @param {object} options.envelope - settings.envelope
+   */
+  play({ intensity, channels = null, duration, envelope }) {
+    this.cancel();
+    const tick = 1000 / Math.min(50, Math.max(1, envelope.tickRate));
+    const start = Date.now();
+
+    return new Promise(resolve => {
+      this._done = resolve;
+      const step = () => {
+        const t = Date.now() - start;
+        if (t >= duration) {
+          this.cancel();
+          return;
+        }
+        const gain = envelopeLevel(envelope, t, duration);
+        this.devices.stream(
+          intensity * gain,
+          channels && { a: channels.a * gain, b: channels.b * gain },
+        );
+      };
+      this._timer = setInterval(step, tick);
+      step();
+    });
+  }
+
+  /**
+   * Stop streaming and resolve the pending play()
+   */
+  cancel() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    const done = this._done;
+    this._done = null;
+    done?.();
+  }
+
+  get isPlaying() {
+    return this._timer !== null;
+  }
+}
+
+export { ENVELOPE_SHAPES };
@@ -9,44 +9,94 @@
  */
 
 import deviceConfig from './device-config.json' with { type: 'json' };
-import { detectProtocol, lovense, isCoyote, connectCoyote } from './protocols/index.js';
+import { detectProtocol, explainDetection, applyDeviceMetadata, getProtocol, lovense, isCoyote, connectCoyote } from './protocols/index.js';
+import { OutputLimiter, limitsFor } from './safety.js';
 
 const { filters: FILTERS, services: SERVICES } = deviceConfig;
 
+// Fastest write rate for streamed output unless the protocol sets commandInterval (ms)
+const DEFAULT_COMMAND_INTERVAL = 50;
+
+// Backoff between reconnect attempts after the link drops mid-session (ms)
+const RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000, 15000];
+
 /**
- * Connect to a BLE vibrator device
- * Auto-detects protocol based on device name and services.
- * @returns {Promise<VibatorDevice>}
+ * Open the GATT connection and list services, retrying on failure
  */
-export async function connect() {
-  const device = await navigator.bluetooth.requestDevice({
-    filters: FILTERS,
-    optionalServices: SERVICES,
-  });
-
-  // Retry connection up to 3 times
-  let server, services;
-  for (let attempt = 1; attempt <= 3; attempt++) {
+async function connectGatt(device, attempts = 3) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
     try {
-      server = await device.gatt.connect();
+      const server = await device.gatt.connect();
       await new Promise(r => setTimeout(r, 300)); // Let connection stabilize
-      services = await server.getPrimaryServices();
-      break;
+      const services = await server.getPrimaryServices();
+      return { server, services };
     } catch (e) {
       console.warn(`Connection attempt ${attempt} failed:`, e.message);
-      if (attempt === 3) throw e;
+      if (attempt === attempts) throw e;
       await new Promise(r => setTimeout(r, 500));
     }
   }
+}
 
+/**
+ * Write characteristic the generated table lists for this device (tx of the
+ * first listed service it exposes), or null to fall back to the first writable one
+ */
+async function findListedWriteChar(known, services) {
+  // { serviceUUID: { tx, rx } } per buttplug protocol, generated by update-devices
+  const listed = deviceConfig.protocols?.[known.source]?.services || {};
+  for (const service of services) {
+    const tx = listed[service.uuid.toLowerCase()]?.tx;
+    if (tx) return service.getCharacteristic(tx).catch(() => null);
+  }
+  return null;
+}
+
+/**
+ * Protocol id forced for this device: options.protocol (picked at connect time),
+ * else a remembered override keyed by device id or name
+ */
+function resolveOverride(device, options) {
+  const overrides = options.protocolOverrides || {};
+  const id = options.protocol || overrides[device.id] || overrides[device.name] || null;
+  if (id && !getProtocol(id)) {
+    console.warn(`Unknown protocol override "${id}" for ${device.name}, auto-detecting`);
+    return null;
+  }
+  return id;
+}
+
+/**
+ * Only protocols with a per-motor builder can address motors individually.
+ * The count is the device's own (its generated step entries) - a protocol's
+ * motorCount is the most its packets carry, not what every device has.
+ * E-stim channels are fixed by the protocol; unknown devices get one motor.
+ */
+function countMotors(protocol, device) {
+  if (!protocol.buildMotorsCommand && !protocol.sendMotorsCommand) return 1;
+  if (protocol.type === 'estim') return protocol.motorCount || 1;
+  const listed = device?.protocol === protocol.id ? device.steps?.length : 0;
+  return Math.min(listed || 1, protocol.motorCount || 1);
+}
+
+/**
+ * Pick the protocol and write characteristic for a connected server, then init
+ * `detection` is the explainDetection() report, plus `override` when the
+ * protocol was forced and `fallback` when nothing matched.
+ * @returns {Promise<{protocol: object, writeChar: object, useWriteWithoutResponse: boolean, detection: object}>}
+ */
+async function setupProtocol(device, server, services, options) {
   let protocol, writeChar;
+  const detection = explainDetection(device.name, services);
+  const override = resolveOverride(device, options);
+  if (override) detection.override = override;
 
   // Track if we need writeWithoutResponse (some devices don't support write)
   let useWriteWithoutResponse = false;
 
   // Special handling for Coyote
-  if (isCoyote(device.name)) {
-    const result = await connectCoyote(device, server, services);
+  if (override ? override === 'coyote' : isCoyote(device.name)) {
+    const result = await connectCoyote(device, server, services, options.coyote);
     writeChar = result.writeChar;
     protocol = result.protocol;
     // V2 characteristics only support writeWithoutResponse
@@ -54,16 +104,25 @@ export async function connect() {
     console.log(`Using protocol: ${protocol.name} (${result.version}) for device: ${device.name}`);
   } else {
     // Standard vibrator connection
-    protocol = detectProtocol(device.name, services) || lovense;
-    console.log(`Using protocol: ${protocol.name} for device: ${device.name}`);
+    protocol = override ? getProtocol(override) : detectProtocol(device.name, services) || lovense;
+    if (!detection.id && !override) detection.fallback = protocol.id;
+    // Step range / motor count from the generated device table
+    protocol = applyDeviceMetadata(protocol, detection.device);
+    console.log(`Using protocol: ${protocol.name}${override ? ' (override)' : ''} for device: ${device.name}`);
+
+    if (detection.device?.protocol === protocol.id) {
+      writeChar = await findListedWriteChar(detection.device, services);
+    }
 
-    // Find non-generic service
-    let targetService = services.find(s =>
-      !s.uuid.startsWith('00001800') && !s.uuid.startsWith('00001801')
-    ) || services[0];
+    if (!writeChar) {
+      // Find non-generic service
+      let targetService = services.find(s =>
+        !s.uuid.startsWith('00001800') && !s.uuid.startsWith('00001801')
+      ) || services[0];
 
-    const chars = await targetService.getCharacteristics();
-    writeChar = chars.find(c => c.properties.write || c.properties.writeWithoutResponse);
+      const chars = await targetService.getCharacteristics();
+      writeChar = chars.find(c => c.properties.write || c.properties.writeWithoutResponse);
+    }
 
     if (!writeChar) throw new Error('No writable characteristic found');
   }
@@ -73,11 +132,68 @@ export async function connect() {
     await protocol.init(writeChar);
   }
 
+  return { protocol, writeChar, useWriteWithoutResponse, detection };
+}
+
+/**
+ * Connect to a BLE vibrator device
+ * Auto-detects protocol based on device name and services.
+ * Reconnects automatically (with backoff) if the link drops later on.
+ * @param {object} options
+ * @param {object} options.coyote - Coyote soft limits / balances (see coyote.configure)
+ * @param {object} options.bluetooth - Transport, defaults to navigator.bluetooth (see mock.js)
+ * @param {string} options.protocol - Force a protocol id instead of auto-detecting
+ * @param {object} options.protocolOverrides - Remembered { deviceIdOrName: protocolId }
+ * @param {object} options.safety - Local safety limits (see safety.js), enforced on every write
+ * @returns {Promise<VibatorDevice>}
+ */
+export async function connect(options = {}) {
+  const bluetooth = options.bluetooth || navigator.bluetooth;
+  const device = await bluetooth.requestDevice({
+    filters: FILTERS,
+    optionalServices: SERVICES,
+  });
+
+  let { server, services } = await connectGatt(device);
+  let { protocol, writeChar, useWriteWithoutResponse, detection } = await setupProtocol(device, server, services, options);
+
+  let motorCount = countMotors(protocol, detection.device);
+
   // State
   let _active = false;
   let _keepaliveTimer = null;
   let _lastCommand = null;
   let _lastIntensity = 0;
+  let _lastMotors = null;  // Per-motor levels when sent via sendMotors
+  let _waveforms = null;   // [waveformA, waveformB], re-applied after reconnect
+  let _connection = 'connected';  // 'connected' | 'reconnecting' | 'disconnected'
+  let _closing = false;    // Set by disconnect() so the drop isn't treated as an outage
+  let _rampTimer = null;   // Next step toward a level the ramp limit held back
+  const createLimiter = (limits) => new OutputLimiter(limitsFor(limits, device.name), protocol.commandInterval || DEFAULT_COMMAND_INTERVAL);
+  let _limiter = options.safety ? createLimiter(options.safety) : null;
+  const _connectionListeners = new Set();
+  const _feedbackListeners = new Set();
+
+  // Protocol instances are replaced on reconnect - forward their feedback
+  const subscribeFeedback = () => {
+    if (protocol.hasFeedback) {
+      protocol.onFeedback(event => {
+        for (const cb of _feedbackListeners) cb(event);
+      });
+    }
+  };
+  subscribeFeedback();
+
+  const setConnection = (state) => {
+    _connection = state;
+    for (const cb of _connectionListeners) cb(state);
+  };
+
+  const assertConnected = () => {
+    if (_connection !== 'connected') {
+      throw new Error(`${device.name} is ${_connection}`);
+    }
+  };
 
   // Helper to write using correct method
   const writeToChar = async (char, data) => {
@@ -88,8 +204,27 @@ export async function connect() {
     }
   };
 
-  const send = async (intensity) => {
+  // Safety caps - last stop before bytes go out. A rise the ramp limit held
+  // back keeps stepping toward the request until a new level or stop replaces it.
+  const applyLimits = (levels, resend) => {
+    clearTimeout(_rampTimer);
+    _rampTimer = null;
+    if (!_limiter) return levels;
+    const { levels: limited, ramping } = _limiter.limit(levels);
+    if (ramping) {
+      _rampTimer = setTimeout(() => {
+        _rampTimer = null;
+        resend(levels).catch(e => console.warn('Ramp step failed:', e));
+      }, _limiter.interval);
+    }
+    return limited;
+  };
+
+  const send = async (requested) => {
+    assertConnected();
+    const [intensity] = applyLimits([requested], ([level]) => send(level));
     _lastIntensity = intensity;  // Track for keepalive
+    _lastMotors = null;
     // Use custom sendCommand if protocol provides it (e.g., V2 multi-char writes)
     if (protocol.sendCommand) {
       await protocol.sendCommand(intensity, writeChar);
@@ -101,15 +236,45 @@ export async function connect() {
     }
   };
 
+  const sendMotors = async (intensities) => {
+    // Single-motor devices get the strongest requested level
+    if (motorCount === 1) {
+      await send(Math.max(0, ...intensities));
+      return;
+    }
+
+    assertConnected();
+    // Pad/truncate to the device's motor count - missing motors are off
+    const levels = applyLimits(Array.from({ length: motorCount }, (_, i) => intensities[i] ?? 0), sendMotors);
+    _lastIntensity = Math.max(...levels);
+    _lastMotors = levels;
+    if (protocol.sendMotorsCommand) {
+      await protocol.sendMotorsCommand(levels, writeChar);
+      _lastCommand = protocol.buildMotorsCommand(levels);
+    } else {
+      const cmd = protocol.buildMotorsCommand(levels);
+      _lastCommand = cmd;
+      await writeToChar(writeChar, cmd);
+    }
+  };
+
   // Setup keepalive if protocol requires it
   const startKeepalive = () => {
     if (protocol.keepaliveInterval && !_keepaliveTimer) {
       _keepaliveTimer = setInterval(async () => {
         if (_active) {
           try {
+            // Protocols with their own keepalive (sequenced Coyote V3) go first
+            if (protocol.sendKeepalive) {
+              await protocol.sendKeepalive(writeChar);
             // Use sendCommand for protocols that need multi-char writes
-            if (protocol.sendCommand) {
+            } else if (_lastMotors && protocol.sendMotorsCommand) {
+              await protocol.sendMotorsCommand(_lastMotors, writeChar);
+            } else if (protocol.sendCommand) {
               await protocol.sendCommand(_lastIntensity, writeChar);
+            } else if (protocol.buildKeepaliveCommand) {
+              // Protocols with time-varying output (Coyote waveforms) rebuild each tick
+              await writeToChar(writeChar, protocol.buildKeepaliveCommand());
             } else if (_lastCommand) {
               await writeToChar(writeChar, _lastCommand);
             }
@@ -128,24 +293,182 @@ export async function connect() {
     }
   };
 
+  const resetOutput = () => {
+    _active = false;
+    stopKeepalive();
+    clearTimeout(_rampTimer);
+    _rampTimer = null;
+    _limiter?.reset();
+    _lastCommand = null;
+    _lastIntensity = 0;
+    _lastMotors = null;
+  };
+
+  // Link dropped: reconnect with backoff, re-run init (Coyote limits included)
+  // and leave the device stopped - the session decides when to drive it again
+  const handleDisconnected = async () => {
+    if (_closing || _connection !== 'connected') return;
+    console.warn(`${device.name} disconnected, reconnecting...`);
+    resetOutput();
+    setConnection('reconnecting');
+
+    for (const delay of RECONNECT_DELAYS) {
+      await new Promise(r => setTimeout(r, delay));
+      if (_closing) return;
+      try {
+        ({ server, services } = await connectGatt(device, 1));
+        ({ protocol, writeChar, useWriteWithoutResponse, detection } = await setupProtocol(device, server, services, options));
+        // The new link may expose a different characteristic set (e.g. no B1 notifications)
+        motorCount = countMotors(protocol, detection.device);
+        Object.assign(features, describeFeatures());
+        subscribeFeedback();
+        if (_waveforms) protocol.setWaveform?.(..._waveforms);
+        const cmd = protocol.buildStopCommand ? protocol.buildStopCommand() : protocol.buildCommand(0);
+        await writeToChar(writeChar, cmd);
+        console.log(`${device.name} reconnected`);
+        setConnection('connected');
+        return;
+      } catch (e) {
+        console.warn(`Reconnect to ${device.name} failed:`, e.message);
+      }
+    }
+
+    console.warn(`Giving up on ${device.name}`);
+    setConnection('disconnected');
+  };
+
+  device.addEventListener('gattserverdisconnected', handleDisconnected);
+
+  /**
+   * What this device can do
+   * motorCount: independently addressable motors (Coyote: A/B channels)
+   * maxIntensity: step resolution - the highest step the device accepts
+   * commandInterval: minimum ms between streamed writes
+   */
+  const describeFeatures = () => ({
+    motorCount,
+    maxIntensity: protocol.maxIntensity,
+    commandInterval: protocol.commandInterval || DEFAULT_COMMAND_INTERVAL,
+    type: protocol.type || 'vibrator',
+    waveforms: !!protocol.setWaveform,
+    feedback: !!protocol.hasFeedback,  // Reports actual strength (Coyote V3 B1)
+  });
+  const features = describeFeatures();
+
   return {
     name: device.name,
     device,
-    protocol: protocol.id,
+    features,
+
+    get protocol() {
+      return protocol.id;
+    },
+
+    // Why this protocol was picked (see explainDetection)
+    get detection() {
+      return detection;
+    },
 
     send,
+    sendMotors,
+
+    /**
+     * Subscribe to live strength feedback (Coyote V3 only, no-op otherwise)
+     * @returns {Function} Unsubscribe
+     */
+    onFeedback(callback) {
+      _feedbackListeners.add(callback);
+      return () => _feedbackListeners.delete(callback);
+    },
+
+    /**
+     * Subscribe to link state changes: 'reconnecting', 'connected' (again)
+     * or 'disconnected' (reconnect gave up)
+     * @returns {Function} Unsubscribe
+     */
+    onConnectionChange(callback) {
+      _connectionListeners.add(callback);
+      return () => _connectionListeners.delete(callback);
+    },
+
+    get connected() {
+      return _connection === 'connected';
+    },
+
+    get connectionState() {
+      return _connection;
+    },
+
+    /**
+     * Switch protocol on the live link (manual override / "try each protocol")
+     * Stops output first and re-runs init. Pass null to go back to auto-detection.
+     * @param {string|null} id - Protocol id from listProtocols()
+     */
+    async setProtocol(id) {
+      assertConnected();
+      await this.stop();
+      const next = { ...options, protocol: id, protocolOverrides: null };
+      ({ protocol, writeChar, useWriteWithoutResponse, detection } = await setupProtocol(device, server, services, next));
+      options = next;  // Used again on reconnect
+      motorCount = countMotors(protocol, detection.device);
+      Object.assign(features, describeFeatures());
+      subscribeFeedback();
+      if (_waveforms) protocol.setWaveform?.(..._waveforms);
+    },
+
+    /**
+     * Replace the safety limits (see safety.js) - applies from the next write
+     */
+    setSafetyLimits(limits) {
+      options = { ...options, safety: limits };
+      if (_limiter) _limiter.setLimits(limitsFor(limits, device.name));
+      else _limiter = createLimiter(limits);
+    },
+
+    /**
+     * Apply soft limits / balances (e-stim only, no-op otherwise)
+     * Sent to the device immediately when the protocol has a config command.
+     */
+    async configure(config) {
+      options = { ...options, coyote: config };  // Used again on reconnect
+      if (!protocol.configure) return;
+      protocol.configure(config);
+      if (protocol.buildConfigCommand) {
+        await writeToChar(writeChar, protocol.buildConfigCommand());
+      }
+    },
+
+    /**
+     * Set output waveform (e-stim only, no-op otherwise)
+     * @param {{freq: number[], intensity: number[]}} waveformA - see waveforms.js
+     * @param {{freq: number[], intensity: number[]}} [waveformB] - Defaults to waveformA
+     */
+    setWaveform(waveformA, waveformB) {
+      _waveforms = [waveformA, waveformB];
+      protocol.setWaveform?.(waveformA, waveformB);
+    },
 
     async activate(intensity = 0.5) {
+      assertConnected();
       _active = true;
       startKeepalive();
       await send(intensity);
     },
 
+    /**
+     * Activate with one intensity per motor (0.0 to 1.0 each)
+     */
+    async activateMotors(intensities) {
+      assertConnected();
+      _active = true;
+      startKeepalive();
+      await sendMotors(intensities);
+    },
+
     async stop() {
-      _active = false;
-      stopKeepalive();
-      _lastCommand = null;
-      _lastIntensity = 0;
+      resetOutput();
+      // Nothing to write while the link is down (reconnect sends its own stop)
+      if (_connection !== 'connected') return;
       // Use stopCommand if protocol has it (handles locking for multi-char protocols)
       if (protocol.stopCommand) {
         await protocol.stopCommand();
@@ -160,6 +483,8 @@ export async function connect() {
     },
 
     disconnect() {
+      _closing = true;
+      device.removeEventListener('gattserverdisconnected', handleDisconnected);
       stopKeepalive();
       if (server?.connected) {
         server.disconnect();
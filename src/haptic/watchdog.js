@@ -0,0 +1,51 @@
+/**
+ * Output Watchdog
+ *
+ * Failsafe for the session loop: the loop arms a deadline before each step
+ * (reward, delay, listening) and the watchdog fires if the step hasn't
+ * re-armed or disarmed it in time - a hung write, a promise that never
+ * settles, or a frozen tab that just woke up. The check runs on its own
+ * timer, so it still fires when the loop itself is stuck.
+ */
+
+export class Watchdog {
+  /**
+   * @param {Function} onExpire - Called once per missed deadline
+   * @param {number} [checkInterval] - ms between deadline checks
+   */
+  constructor(onExpire, checkInterval = 250) {
+    this.onExpire = onExpire;
+    this.checkInterval = checkInterval;
+    this._deadline = null;
+    this._timer = null;
+  }
+
+  /**
+   * Expect the next check-in within `ms`
+   */
+  arm(ms) {
+    this._deadline = Date.now() + ms;
+    if (!this._timer) {
+      this._timer = setInterval(() => this._check(), this.checkInterval);
+    }
+  }
+
+  disarm() {
+    this._deadline = null;
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  get armed() {
+    return this._deadline !== null;
+  }
+
+  _check() {
+    if (this._deadline === null || Date.now() <= this._deadline) return;
+    const overdue = Date.now() - this._deadline;
+    this.disarm();
+    this.onExpire(overdue);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Coyote Waveform Library
+ *
+ * A waveform is a flat list of samples: frequency (10-1000) and intensity (0-100).
+ * Every 4 samples make one 100ms frame (one B0 command on V3, one XYZ write on V2),
+ * and playback loops through the frames on each keepalive tick.
+ * Shapes modelled on the DG-LAB app's built-in waveforms.
+ */
+
+// Build a waveform from per-frame values (each value fills one 4-sample frame)
+function fromFrames(freqs, intensities) {
+  const freq = [];
+  const intensity = [];
+  intensities.forEach((level, i) => {
+    const f = Array.isArray(freqs) ? freqs[i % freqs.length] : freqs;
+    freq.push(f, f, f, f);
+    intensity.push(level, level, level, level);
+  });
+  return { freq, intensity };
+}
+
+const WAVEFORMS = {
+  // 100Hz steady (protocol default)
+  steady: fromFrames(100, [50]),
+
+  // Slow swell in, short hold, rest
+  breathing: fromFrames(10, [0, 20, 40, 60, 80, 100, 100, 100, 0, 0, 0, 0]),
+
+  // Smooth rise and fall, no rest
+  tide: {
+    freq: new Array(24).fill(10),
+    intensity: [0, 8, 17, 25, 33, 42, 50, 58, 67, 75, 83, 92,
+                100, 92, 83, 75, 67, 58, 50, 42, 33, 25, 17, 8],
+  },
+
+  // Short sharp taps with gaps
+  tapping: {
+    freq: new Array(12).fill(10),
+    intensity: [100, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  },
+
+  // Double beat then rest
+  heartbeat: fromFrames(10, [100, 0, 100, 0, 0, 0, 0]),
+
+  // Frequency sweeps from slow throb to fast buzz at full intensity
+  freq_climb: fromFrames([10, 20, 40, 60, 80, 100, 150, 200, 300, 400], [100, 100, 100, 100, 100, 100, 100, 100, 100, 100]),
+
+  // Fast buzz that falls back to a slow throb
+  freq_fall: fromFrames([400, 300, 200, 150, 100, 80, 60, 40, 20, 10], [100, 100, 100, 100, 100, 100, 100, 100, 100, 100]),
+};
+
+const FREQ_RANGE = [10, 1000];
+const INTENSITY_RANGE = [0, 100];
+const MAX_SAMPLES = 400;  // 100 frames - 10s before it loops
+
+const inRange = (v, [min, max]) => Number.isFinite(v) && v >= min && v <= max;
+
+/**
+ * Check a stored or shared waveform: matching sample lists, values in range
+ */
+export function isValidWaveform(waveform) {
+  const { freq, intensity } = waveform || {};
+  if (!Array.isArray(freq) || !Array.isArray(intensity)) return false;
+  if (freq.length === 0 || freq.length !== intensity.length || freq.length > MAX_SAMPLES) return false;
+  return freq.every(f => inRange(f, FREQ_RANGE)) && intensity.every(i => inRange(i, INTENSITY_RANGE));
+}
+
+/**
+ * Number of 100ms frames in a waveform
+ */
+export function frameCount(waveform) {
+  return Math.max(1, Math.ceil(waveform.freq.length / 4));
+}
+
+/**
+ * Get the 4 samples for a frame (loops)
+ * @returns {{freq: number[], intensity: number[]}}
+ */
+export function getFrame(waveform, index) {
+  const start = (index % frameCount(waveform)) * 4;
+  const pick = (arr) => [0, 1, 2, 3].map(i => arr[Math.min(arr.length - 1, start + i)]);
+  return { freq: pick(waveform.freq), intensity: pick(waveform.intensity) };
+}
+
+/**
+ * Parse user-entered sample lists into a waveform
+ * Pads to a whole frame by repeating the last sample.
+ * @param {string} freqText - Comma/space separated frequencies (10-1000)
+ * @param {string} intensityText - Comma/space separated intensities (0-100)
+ * @throws {Error} If lists are empty, mismatched or out of range
+ */
+export function parseWaveform(freqText, intensityText) {
+  const parse = (text) => text.split(/[\s,]+/).filter(Boolean).map(Number);
+  const freq = parse(freqText);
+  const intensity = parse(intensityText);
+
+  if (freq.length === 0) throw new Error('Waveform needs at least one sample');
+  if (freq.length !== intensity.length) {
+    throw new Error(`Sample count mismatch: ${freq.length} frequencies, ${intensity.length} intensities`);
+  }
+  if (freq.length > MAX_SAMPLES) throw new Error(`Waveforms can have at most ${MAX_SAMPLES} samples`);
+  if (freq.some(f => !inRange(f, FREQ_RANGE))) {
+    throw new Error('Frequencies must be between 10 and 1000');
+  }
+  if (intensity.some(i => !inRange(i, INTENSITY_RANGE))) {
+    throw new Error('Intensities must be between 0 and 100');
+  }
+
+  while (freq.length % 4 !== 0) {
+    freq.push(freq[freq.length - 1]);
+    intensity.push(intensity[intensity.length - 1]);
+  }
+  return { freq, intensity };
+}
+
+/**
+ * Look up a waveform by name, checking custom waveforms first
+ * Unknown names fall back to steady.
+ */
+export function getWaveform(name, customWaveforms = {}) {
+  return customWaveforms[name] || WAVEFORMS[name] || WAVEFORMS.steady;
+}
+
+export { WAVEFORMS };
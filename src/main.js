@@ -7,31 +7,63 @@
  */
 
 import { connect as connectVibrator } from './haptic/vibrator.js';
+import { DeviceManager } from './haptic/devices.js';
+import { OutputScheduler } from './haptic/scheduler.js';
+import { Watchdog } from './haptic/watchdog.js';
+import { MockBluetooth, MockDevice, listMockDevices } from './haptic/mock.js';
+import { listProtocols } from './haptic/protocols/index.js';
+import { WAVEFORMS, getWaveform, parseWaveform } from './haptic/waveforms.js';
 import { SpeechListener, fuzzyMatch, isSupported as speechSupported } from './speech/recognition.js';
 import {
   loadPrompts, savePrompts, resetPrompts, generateShareUrl, isSharedConfig, DEFAULT_PROMPTS,
   loadSettings, saveSettings, resetSettings, createSession, getNextValues, isSessionComplete,
+  pauseSession, resumeSession, getSessionPhase, getPhaseSettings, getPhaseTimeline, getSessionDuration,
+  randomSeed, normalizeSeed, buildTimeline, parseTimeline, exportTimeline,
   PATTERNS, SESSION_ARCS, onUrlChange, transformPrompt, getPromptVariants,
-  exportConfig, importConfig
+  exportConfig, importConfig, loadCustomWaveforms, saveCustomWaveforms,
+  loadProtocolOverrides, saveProtocolOverride, loadCalibrations, saveCalibration,
+  loadSafetyLimits, saveSafetyLimits, loadCustomPatterns, saveCustomPatterns, parsePattern,
+  loadSharedCustomizations, mergeSharedPatterns, missingPatterns, mergeSharedWaveforms, missingWaveforms,
+  loadCustomArcs, saveCustomArcs, mergeSharedArcs, missingArcs, getSessionArc, evaluateKeyframes
 } from './config.js';
+import { calibrate, profileFromMarks } from './haptic/calibration.js';
+import { clampSettings, clampTimeline, limitsFor } from './haptic/safety.js';
+import { TimelinePlayer } from './haptic/playback.js';
 
 // ============================================================================
 // App State
 // ============================================================================
-let device = null;
+const devices = new DeviceManager();
+const scheduler = new OutputScheduler(devices);
 let micConnected = false;
 let listener = null;
 let prompts = [];
 let settings = {};
+let customWaveforms = {};
+let customPatterns = {};
+let customArcs = {};
+let pendingSeed = randomSeed();  // Next session's seed unless settings.seed fixes one
+let safetyLimits = {};  // Local only - see haptic/safety.js
 let session = null;
+let player = null;  // TimelinePlayer while a precomputed timeline plays back
 let currentPromptIndex = 0;
 let isRunning = false;
+let stopGeneration = 0;  // Bumped by emergencyStop so long-running flows can bail out
 
 // DOM elements
 const statusEl = document.getElementById('status');
+const phaseIndicator = document.getElementById('phaseIndicator');
+const phaseNameEl = document.getElementById('phaseName');
+const phaseTrack = document.getElementById('phaseTrack');
+const playbackToggle = document.getElementById('playbackToggle');
+const playbackSeek = document.getElementById('playbackSeek');
+const playbackTime = document.getElementById('playbackTime');
 const promptEl = document.getElementById('prompt');
 const feedbackEl = document.getElementById('feedback');
 const connectBtn = document.getElementById('connectBtn');
+const panicBtn = document.getElementById('panicBtn');
+const protocolSelect = document.getElementById('protocolSelect');
+const deviceList = document.getElementById('deviceList');
 const connectMicBtn = document.getElementById('connectMicBtn');
 const startBtn = document.getElementById('startBtn');
 const testBtn = document.getElementById('testBtn');
@@ -62,13 +94,67 @@ const rewardMeta = document.getElementById('rewardMeta');
 const rewardPatterns = document.getElementById('rewardPatterns');
 const rewardMin = document.getElementById('rewardMin');
 const rewardMax = document.getElementById('rewardMax');
+const envelopeShape = document.getElementById('envelopeShape');
+const envelopeAttack = document.getElementById('envelopeAttack');
+const envelopeRelease = document.getElementById('envelopeRelease');
+const envelopePeriod = document.getElementById('envelopePeriod');
+const envelopeDepth = document.getElementById('envelopeDepth');
+const envelopeTickRate = document.getElementById('envelopeTickRate');
+const coyoteRouting = document.getElementById('coyoteRouting');
+const coyoteAMeta = document.getElementById('coyoteAMeta');
+const coyoteAMin = document.getElementById('coyoteAMin');
+const coyoteAMax = document.getElementById('coyoteAMax');
+const coyoteBMeta = document.getElementById('coyoteBMeta');
+const coyoteBMin = document.getElementById('coyoteBMin');
+const coyoteBMax = document.getElementById('coyoteBMax');
+const coyoteWaveforms = document.getElementById('coyoteWaveforms');
+// Coyote BF config inputs, keyed by deviceConfig field
+const coyoteConfigInputs = {
+  limitA: document.getElementById('coyoteLimitA'),
+  limitB: document.getElementById('coyoteLimitB'),
+  freqBalanceA: document.getElementById('coyoteFreqBalanceA'),
+  freqBalanceB: document.getElementById('coyoteFreqBalanceB'),
+  intBalanceA: document.getElementById('coyoteIntBalanceA'),
+  intBalanceB: document.getElementById('coyoteIntBalanceB'),
+};
+const coyoteStrengthMode = document.getElementById('coyoteStrengthMode');
+const patternEditSelect = document.getElementById('patternEditSelect');
+const patternNameInput = document.getElementById('patternName');
+const patternStepsInput = document.getElementById('patternSteps');
+const patternPreview = document.getElementById('patternPreview');
+const patternSaveBtn = document.getElementById('patternSaveBtn');
+const patternDeleteBtn = document.getElementById('patternDeleteBtn');
+const waveformEditSelect = document.getElementById('waveformEditSelect');
+const waveformNameInput = document.getElementById('waveformName');
+const waveformFreqInput = document.getElementById('waveformFreq');
+const waveformIntensityInput = document.getElementById('waveformIntensity');
+const waveformPreview = document.getElementById('waveformPreview');
+const waveformSaveBtn = document.getElementById('waveformSaveBtn');
+const waveformTestBtn = document.getElementById('waveformTestBtn');
+const waveformDeleteBtn = document.getElementById('waveformDeleteBtn');
 const switchMin = document.getElementById('switchMin');
 const switchMax = document.getElementById('switchMax');
 const settingsDuration = document.getElementById('settingsDuration');
 const petNameInput = document.getElementById('petName');
 const pronounProgressionInput = document.getElementById('pronounProgression');
 const clickerEnabledInput = document.getElementById('clickerEnabled');
+const ambientEnabled = document.getElementById('ambientEnabled');
+const ambientMin = document.getElementById('ambientMin');
+const ambientMax = document.getElementById('ambientMax');
+const ambientMeta = document.getElementById('ambientMeta');
+const ambientEstim = document.getElementById('ambientEstim');
+const transportSelect = document.getElementById('transportSelect');
+const simDisconnectBtn = document.getElementById('simDisconnectBtn');
+const simFailWriteBtn = document.getElementById('simFailWriteBtn');
 const randomizePromptsInput = document.getElementById('randomizePrompts');
+const safetyMaxIntensity = document.getElementById('safetyMaxIntensity');
+const safetyMaxReward = document.getElementById('safetyMaxReward');
+const safetyMinDelay = document.getElementById('safetyMinDelay');
+const safetyMaxSession = document.getElementById('safetyMaxSession');
+const safetyRampRate = document.getElementById('safetyRampRate');
+const safetyNotice = document.getElementById('safetyNotice');
+const safetyNoticeText = document.getElementById('safetyNoticeText');
+const safetyNoticeClose = document.getElementById('safetyNoticeClose');
 
 // Clicker audio - works in Vite build (inlined) and raw serving (relative path)
 let clickerAudio = null;
@@ -104,6 +190,23 @@ function showFeedback(text, success = true) {
   promptEl.classList.remove('visible');
 }
 
+/**
+ * Program phase indicator - name plus one track segment per phase
+ * @param {object|null} phase - from getSessionPhase(), null hides it
+ * @param {object[]} [timeline] - All phases, from getPhaseTimeline()
+ */
+function showPhase(phase, timeline = session?.timeline || []) {
+  if (!phaseIndicator) return;
+  phaseIndicator.classList.toggle('visible', !!phase);
+  if (!phase) return;
+
+  phaseNameEl.textContent = `${phase.name} · ${phase.index + 1}/${timeline.length}`;
+  phaseTrack.innerHTML = timeline.map(p => {
+    const state = p.index < phase.index ? 'done' : p.index === phase.index ? 'current' : '';
+    return `<div class="phase-segment ${state}" style="flex: ${p.end - p.start}" title="${escapeHtml(p.name)}"></div>`;
+  }).join('');
+}
+
 // ============================================================================
 // Settings Panel
 // ============================================================================
@@ -167,6 +270,7 @@ function updatePromptPreviews() {
 
 function populatePatternCheckboxes() {
   const patternNames = [...Object.keys(PATTERNS), 'random'];
+  const customNames = Object.keys(customPatterns);
   [intensityPatterns, delayPatterns, rewardPatterns].forEach(container => {
     if (!container) return;
     container.innerHTML = patternNames.map(name =>
@@ -174,10 +278,31 @@ function populatePatternCheckboxes() {
         <input type="checkbox" value="${name}">
         ${name.charAt(0).toUpperCase() + name.slice(1)}
       </label>`
+    ).join('') + customNames.map(name =>
+      `<label class="pattern-checkbox">
+        <input type="checkbox" value="${escapeHtml(name)}">
+        ${escapeHtml(name)}
+      </label>`
     ).join('');
   });
 }
 
+function formatPatternName(name) {
+  return (name.charAt(0).toUpperCase() + name.slice(1)).replace(/_/g, ' ');
+}
+
+function populateWaveformCheckboxes() {
+  if (!coyoteWaveforms) return;
+  const names = [...Object.keys(WAVEFORMS), ...Object.keys(customWaveforms)];
+  coyoteWaveforms.innerHTML = names.map(name =>
+    `<label class="pattern-checkbox">
+      <input type="checkbox" value="${escapeHtml(name)}">
+      ${escapeHtml(formatPatternName(name))}
+    </label>`
+  ).join('');
+  setPatternCheckboxes(coyoteWaveforms, settings.coyote.waveforms);
+}
+
 function setPatternCheckboxes(container, selectedPatterns) {
   if (!container) return;
   container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
@@ -188,6 +313,7 @@ function setPatternCheckboxes(container, selectedPatterns) {
 }
 
 function renderSettings() {
+  populateArcSelects();
   if (rewardTextInput) rewardTextInput.value = settings.rewardText;
   if (petNameInput) petNameInput.value = settings.petName || 'Puppet';
   if (pronounProgressionInput) pronounProgressionInput.checked = settings.pronounProgression !== false;
@@ -207,7 +333,33 @@ function renderSettings() {
   if (rewardMeta) rewardMeta.value = settings.reward.metapattern;
   if (rewardMin) rewardMin.value = settings.reward.min;
   if (rewardMax) rewardMax.value = settings.reward.max;
+  if (envelopeShape) envelopeShape.value = settings.envelope.shape;
+  if (envelopeAttack) envelopeAttack.value = settings.envelope.attack;
+  if (envelopeRelease) envelopeRelease.value = settings.envelope.release;
+  if (envelopePeriod) envelopePeriod.value = settings.envelope.period;
+  if (envelopeDepth) envelopeDepth.value = Math.round(settings.envelope.depth * 100);
+  if (envelopeTickRate) envelopeTickRate.value = settings.envelope.tickRate;
+  if (ambientEnabled) ambientEnabled.checked = settings.ambient.enabled;
+  if (ambientMin) ambientMin.value = Math.round(settings.ambient.min * 100);
+  if (ambientMax) ambientMax.value = Math.round(settings.ambient.max * 100);
+  if (ambientMeta) ambientMeta.value = settings.ambient.metapattern;
+  if (ambientEstim) ambientEstim.checked = settings.ambient.estim;
   setPatternCheckboxes(rewardPatterns, settings.reward.patterns);
+  if (coyoteRouting) coyoteRouting.value = settings.coyote.routing;
+  if (coyoteAMeta) coyoteAMeta.value = settings.coyote.channelA.metapattern;
+  if (coyoteAMin) coyoteAMin.value = Math.round(settings.coyote.channelA.min * 100);
+  if (coyoteAMax) coyoteAMax.value = Math.round(settings.coyote.channelA.max * 100);
+  if (coyoteBMeta) coyoteBMeta.value = settings.coyote.channelB.metapattern;
+  if (coyoteBMin) coyoteBMin.value = Math.round(settings.coyote.channelB.min * 100);
+  if (coyoteBMax) coyoteBMax.value = Math.round(settings.coyote.channelB.max * 100);
+  setPatternCheckboxes(coyoteWaveforms, settings.coyote.waveforms);
+  Object.entries(coyoteConfigInputs).forEach(([key, el]) => {
+    if (el) el.value = settings.coyote.deviceConfig[key];
+  });
+  if (coyoteStrengthMode) coyoteStrengthMode.value = settings.coyote.deviceConfig.strengthMode;
+  renderSafetyLimits();
+  renderPhaseList();
+  updateCollapsibleSummaries();
 }
 
 function escapeHtml(str) {
@@ -301,6 +453,11 @@ function shouldGreyOutMin(metapattern, patterns) {
 }
 
 function updateFieldStates() {
+  // A program sets its own length
+  if (settingsDuration) {
+    settingsDuration.disabled = settings.phases.length > 0;
+    settingsDuration.style.opacity = settingsDuration.disabled ? '0.4' : '1';
+  }
   // Grey out min fields when both metapattern and micro pattern are constant
   if (intensityMin) {
     intensityMin.disabled = shouldGreyOutMin(settings.intensity.metapattern, settings.intensity.patterns);
@@ -337,6 +494,28 @@ function handleSettingsChange() {
   settings.reward.patterns = getSelectedPatterns(rewardPatterns);
   settings.reward.min = Math.max(0.1, parseFloat(rewardMin?.value) || 2);
   settings.reward.max = Math.max(0.1, parseFloat(rewardMax?.value) || 4);
+  settings.envelope.shape = envelopeShape?.value || 'pulse';
+  settings.envelope.attack = Math.max(0, parseFloat(envelopeAttack?.value) || 0);
+  settings.envelope.release = Math.max(0, parseFloat(envelopeRelease?.value) || 0);
+  settings.envelope.period = Math.max(0.1, parseFloat(envelopePeriod?.value) || 1);
+  settings.envelope.depth = Math.max(0, Math.min(1, (parseInt(envelopeDepth?.value) || 0) / 100));
+  settings.envelope.tickRate = Math.max(1, Math.min(50, parseInt(envelopeTickRate?.value) || 20));
+  settings.ambient.enabled = ambientEnabled?.checked ?? false;
+  settings.ambient.min = Math.max(0, Math.min(1, (parseInt(ambientMin?.value) || 0) / 100));
+  settings.ambient.max = Math.max(settings.ambient.min, Math.min(1, (parseInt(ambientMax?.value) || 0) / 100));
+  settings.ambient.metapattern = ambientMeta?.value || 'constant';
+  settings.ambient.estim = ambientEstim?.checked ?? false;
+  settings.coyote.routing = coyoteRouting?.value || 'both';
+  if (coyoteWaveforms) {
+    const checked = [...coyoteWaveforms.querySelectorAll('input[type="checkbox"]:checked')].map(cb => cb.value);
+    settings.coyote.waveforms = checked.length > 0 ? checked : ['steady'];
+  }
+  settings.coyote.channelA.metapattern = coyoteAMeta?.value || 'constant';
+  settings.coyote.channelA.min = Math.max(0, Math.min(1, (parseInt(coyoteAMin?.value) || 0) / 100));
+  settings.coyote.channelA.max = Math.max(0, Math.min(1, (parseInt(coyoteAMax?.value) || 0) / 100));
+  settings.coyote.channelB.metapattern = coyoteBMeta?.value || 'constant';
+  settings.coyote.channelB.min = Math.max(0, Math.min(1, (parseInt(coyoteBMin?.value) || 0) / 100));
+  settings.coyote.channelB.max = Math.max(0, Math.min(1, (parseInt(coyoteBMax?.value) || 0) / 100));
 
   // Ensure patternSwitch min <= max
   if (settings.patternSwitch.minInstances > settings.patternSwitch.maxInstances) {
@@ -378,13 +557,34 @@ function handleSettingsChange() {
     }
   }
 
+  const prevDeviceConfig = JSON.stringify(settings.coyote.deviceConfig);
+  Object.entries(coyoteConfigInputs).forEach(([key, el]) => {
+    if (!el) return;
+    const max = key.startsWith('limit') ? 200 : 255;
+    const value = parseInt(el.value);
+    settings.coyote.deviceConfig[key] = Number.isFinite(value) ? Math.min(max, Math.max(0, value)) : settings.coyote.deviceConfig[key];
+    el.value = settings.coyote.deviceConfig[key];
+  });
+  settings.coyote.deviceConfig.strengthMode = coyoteStrengthMode?.value === 'absolute' ? 'absolute' : 'relative';
+  if (JSON.stringify(settings.coyote.deviceConfig) !== prevDeviceConfig) {
+    devices.configure(settings.coyote.deviceConfig);
+  }
+
+  // Channel ranges: clamp min down rather than pushing max up (e-stim safety)
+  [[settings.coyote.channelA, coyoteAMin], [settings.coyote.channelB, coyoteBMin]].forEach(([ch, minEl]) => {
+    if (ch.min > ch.max) {
+      ch.min = ch.max;
+      if (minEl) minEl.value = Math.round(ch.min * 100);
+    }
+  });
+
   saveSettings(settings);
   updateFieldStates();
   updatePromptPreviews();
 }
 
 function handleShare() {
-  const url = generateShareUrl(prompts, settings);
+  const url = generateShareUrl(prompts, settings, { patterns: customPatterns, arcs: customArcs, waveforms: customWaveforms });
   navigator.clipboard.writeText(url).then(() => {
     setStatus('Share link copied!', 'success');
     setTimeout(() => setStatus('Ready', 'info'), 2000);
@@ -394,7 +594,7 @@ function handleShare() {
 }
 
 function handleExport() {
-  const blob = exportConfig(prompts, settings);
+  const blob = exportConfig(prompts, settings, { patterns: customPatterns, arcs: customArcs, waveforms: customWaveforms });
   navigator.clipboard.writeText(blob).then(() => {
     setStatus('Config copied to clipboard!', 'success');
     setTimeout(() => setStatus('Ready', 'info'), 2000);
@@ -419,7 +619,11 @@ function handleImport() {
   savePrompts(prompts);
 
   if (config.settings) {
-    settings = { ...settings, ...config.settings };
+    // Coyote soft limits are local-only - imported configs never replace them
+    const coyote = { ...settings.coyote, ...config.settings.coyote, deviceConfig: settings.coyote.deviceConfig };
+    settings = { ...settings, ...config.settings, coyote };
+    applySharedCustomizations(config, 'Imported config');
+    enforceSafetyLimits('Imported config');
     saveSettings(settings);
   }
 
@@ -428,79 +632,1304 @@ function handleImport() {
   renderSettings();
   updateFieldStates();
 
-  setStatus('Config imported!', 'success');
-  setTimeout(() => setStatus('Ready', 'info'), 2000);
+  setStatus('Config imported!', 'success');
+  setTimeout(() => setStatus('Ready', 'info'), 2000);
+}
+
+// ============================================================================
+// Safety Limits
+// ============================================================================
+function renderSafetyLimits() {
+  if (safetyMaxIntensity) safetyMaxIntensity.value = Math.round(safetyLimits.maxIntensity * 100);
+  if (safetyMaxReward) safetyMaxReward.value = safetyLimits.maxReward;
+  if (safetyMinDelay) safetyMinDelay.value = safetyLimits.minDelay;
+  if (safetyMaxSession) safetyMaxSession.value = Math.round(safetyLimits.maxSession / 60);
+  if (safetyRampRate) safetyRampRate.value = Math.round(safetyLimits.maxRampRate * 100);
+}
+
+function handleSafetyChange() {
+  const number = (el, fallback) => (Number.isFinite(parseFloat(el?.value)) ? parseFloat(el.value) : fallback);
+  saveSafetyLimits({
+    ...safetyLimits,
+    maxIntensity: number(safetyMaxIntensity, safetyLimits.maxIntensity * 100) / 100,
+    maxReward: number(safetyMaxReward, safetyLimits.maxReward),
+    minDelay: number(safetyMinDelay, safetyLimits.minDelay),
+    maxSession: number(safetyMaxSession, safetyLimits.maxSession / 60) * 60,
+    maxRampRate: number(safetyRampRate, safetyLimits.maxRampRate * 100) / 100,
+  });
+  safetyLimits = loadSafetyLimits();
+  devices.setSafetyLimits(safetyLimits);
+  renderSafetyLimits();
+  renderDeviceList();
+}
+
+function handleDeviceCapChange(id, input) {
+  const entry = devices.get(id);
+  if (!entry) return;
+  const value = parseFloat(input.value);
+  const caps = { ...safetyLimits.devices };
+  // At or above the global cap there's nothing extra to remember
+  if (Number.isFinite(value) && value / 100 < safetyLimits.maxIntensity) {
+    caps[entry.device.name] = value / 100;
+  } else {
+    delete caps[entry.device.name];
+  }
+  saveSafetyLimits({ ...safetyLimits, devices: caps });
+  safetyLimits = loadSafetyLimits();
+  devices.setSafetyLimits(safetyLimits);
+  input.value = Math.round(limitsFor(safetyLimits, entry.device.name).maxIntensity * 100);
+}
+
+/**
+ * Pull shared/imported settings inside the local safety limits and say what changed
+ */
+function enforceSafetyLimits(source) {
+  const { settings: limited, clamped } = clampSettings(settings, safetyLimits);
+  settings = limited;
+  if (clamped.length > 0) {
+    console.warn(`${source} clamped by safety limits:`, clamped);
+    showSafetyNotice(`${source} went past your safety limits and was clamped: ${clamped.join(', ')}`);
+  }
+}
+
+function showSafetyNotice(text) {
+  if (!safetyNotice) return;
+  safetyNoticeText.textContent = text;
+  safetyNotice.classList.add('visible');
+}
+
+// ============================================================================
+// Pattern Editor
+// ============================================================================
+const DRAW_STEPS = 8;  // Bars on an empty canvas
+
+function populatePatternEditSelect(selected = '') {
+  if (!patternEditSelect) return;
+  patternEditSelect.innerHTML =
+    `<option value="">New pattern</option>` +
+    Object.keys(customPatterns).map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('') +
+    Object.keys(PATTERNS).map(name => `<option value="${name}">${formatPatternName(name)} (built-in)</option>`).join('');
+  patternEditSelect.value = selected;
+  const summary = document.getElementById('patternSummary');
+  if (summary) summary.textContent = `${Object.keys(customPatterns).length} saved`;
+}
+
+function handlePatternSelect() {
+  const name = patternEditSelect.value;
+  const steps = customPatterns[name] || PATTERNS[name];
+  // Built-ins are read-only - loading one starts a copy
+  patternNameInput.value = PATTERNS[name] ? '' : name;
+  patternStepsInput.value = steps ? steps.map(v => Math.round(v * 100)).join(', ') : '';
+  drawPatternPreview();
+}
+
+function readPatternEditor() {
+  return parsePattern(patternStepsInput.value);
+}
+
+function drawPatternPreview() {
+  if (!patternPreview) return;
+  const ctx = patternPreview.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+  const rect = patternPreview.getBoundingClientRect();
+  patternPreview.width = rect.width * dpr;
+  patternPreview.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+  ctx.fillStyle = '#0a0a12';
+  ctx.fillRect(0, 0, rect.width, rect.height);
+
+  let steps;
+  try {
+    steps = readPatternEditor();
+  } catch {
+    return;  // Incomplete input - leave preview blank
+  }
+
+  const barWidth = rect.width / steps.length;
+  ctx.fillStyle = 'rgba(0, 212, 255, 0.6)';
+  steps.forEach((level, i) => {
+    const h = Math.max(2, level * (rect.height - 4));
+    ctx.fillRect(i * barWidth + 1, rect.height - h, Math.max(1, barWidth - 2), h);
+  });
+}
+
+// Click or drag on the preview to set the bar under the pointer
+function handlePatternDraw(e) {
+  if (e.type === 'pointermove' && !e.buttons) return;
+  if (e.type === 'pointerdown') patternPreview.setPointerCapture(e.pointerId);
+
+  let steps;
+  try {
+    steps = readPatternEditor().map(v => Math.round(v * 100));
+  } catch {
+    steps = new Array(DRAW_STEPS).fill(0);
+  }
+  const rect = patternPreview.getBoundingClientRect();
+  const i = Math.min(steps.length - 1, Math.max(0, Math.floor((e.clientX - rect.left) / rect.width * steps.length)));
+  steps[i] = Math.round(Math.min(1, Math.max(0, 1 - (e.clientY - rect.top) / rect.height)) * 100);
+  patternStepsInput.value = steps.join(', ');
+  drawPatternPreview();
+}
+
+function handlePatternSave() {
+  const name = patternNameInput.value.trim();
+  if (!name) {
+    setStatus('Pattern needs a name', 'error');
+    return;
+  }
+  if (PATTERNS[name] || name === 'random') {
+    setStatus(`"${name}" is a built-in pattern - pick another name`, 'error');
+    return;
+  }
+
+  try {
+    customPatterns[name] = readPatternEditor();
+  } catch (e) {
+    setStatus(e.message, 'error');
+    return;
+  }
+
+  saveCustomPatterns(customPatterns);
+  populatePatternCheckboxes();
+  renderSettings();
+  populatePatternEditSelect(name);
+  setStatus(`Pattern "${name}" saved`, 'success');
+}
+
+function handlePatternDelete() {
+  const name = patternEditSelect.value;
+  if (!customPatterns[name]) return;
+  if (!confirm(`Delete pattern "${name}"?`)) return;
+
+  delete customPatterns[name];
+  saveCustomPatterns(customPatterns);
+  dropPatterns([name]);
+  saveSettings(settings);
+
+  populatePatternCheckboxes();
+  renderSettings();
+  populatePatternEditSelect();
+  handlePatternSelect();
+}
+
+// Unselect patterns everywhere, falling back to constant when none are left
+function dropPatterns(names) {
+  [settings.intensity, settings.delay, settings.reward].forEach(cat => {
+    const kept = cat.patterns.filter(p => !names.includes(p));
+    cat.patterns = kept.length > 0 ? kept : ['constant'];
+  });
+}
+
+/**
+ * Bring in the custom patterns, arcs and waveforms a shared link / import carries,
+ * then drop references to any that are still missing (older links, hand-edited configs)
+ */
+function applySharedCustomizations({ patterns = {}, arcs = {}, waveforms = {} }, source) {
+  const quote = (names) => names.map(n => `"${n}"`).join(', ');
+
+  const mergedPatterns = mergeSharedPatterns(customPatterns, patterns, settings);
+  settings = mergedPatterns.settings;
+  if (Object.keys(patterns).length > 0) {
+    customPatterns = mergedPatterns.patterns;
+    saveCustomPatterns(customPatterns);
+  }
+  const notes = Object.entries(mergedPatterns.renamed).map(([from, to]) => `pattern "${from}" saved as "${to}"`);
+  const missing = missingPatterns(settings, customPatterns);
+  if (missing.length > 0) {
+    dropPatterns(missing);
+    notes.push(`missing pattern${missing.length > 1 ? 's' : ''} ${quote(missing)} skipped`);
+  }
+
+  const mergedArcs = mergeSharedArcs(customArcs, arcs, settings);
+  settings = mergedArcs.settings;
+  if (Object.keys(arcs).length > 0) {
+    customArcs = mergedArcs.arcs;
+    saveCustomArcs(customArcs);
+  }
+  notes.push(...Object.entries(mergedArcs.renamed).map(([from, to]) => `arc "${from}" saved as "${to}"`));
+  const missingArcNames = missingArcs(settings, customArcs);
+  if (missingArcNames.length > 0) {
+    dropArcs(missingArcNames);
+    notes.push(`missing arc${missingArcNames.length > 1 ? 's' : ''} ${quote(missingArcNames)} replaced by constant`);
+  }
+
+  const mergedWaveforms = mergeSharedWaveforms(customWaveforms, waveforms, settings);
+  settings = mergedWaveforms.settings;
+  if (Object.keys(waveforms).length > 0) {
+    customWaveforms = mergedWaveforms.waveforms;
+    saveCustomWaveforms(customWaveforms);
+  }
+  notes.push(...Object.entries(mergedWaveforms.renamed).map(([from, to]) => `waveform "${from}" saved as "${to}"`));
+  const missingWaveformNames = missingWaveforms(settings, customWaveforms);
+  if (missingWaveformNames.length > 0) {
+    const kept = settings.coyote.waveforms.filter(n => !missingWaveformNames.includes(n));
+    settings.coyote.waveforms = kept.length > 0 ? kept : ['steady'];
+    notes.push(`missing waveform${missingWaveformNames.length > 1 ? 's' : ''} ${quote(missingWaveformNames)} skipped`);
+  }
+
+  if (notes.length > 0) {
+    console.warn(`${source}:`, notes);
+    setStatus(`${source}: ${notes.join(', ')}`, 'info');
+  }
+}
+
+// ============================================================================
+// Arc Editor - keyframe session arcs, drawn next to the session preview
+// ============================================================================
+const arcEditSelect = document.getElementById('arcEditSelect');
+const arcNameInput = document.getElementById('arcName');
+const arcEasing = document.getElementById('arcEasing');
+const arcApply = document.getElementById('arcApply');
+const arcCanvas = document.getElementById('arcCanvas');
+const arcSaveBtn = document.getElementById('arcSaveBtn');
+const arcDeleteBtn = document.getElementById('arcDeleteBtn');
+
+const ARC_HANDLE_RADIUS = 8;  // px - how close a click must be to grab a keyframe
+const MAX_ARC_KEYFRAMES = 32;
+
+let arcDraft = null;  // { easing, keyframes } being edited
+let arcDrag = null;   // { index, edge: 'min' | 'max' } while dragging a handle
+
+// Settings blocks with a session arc, keyed like the "Use for" options
+function arcTargets() {
+  return {
+    intensity: settings.intensity,
+    delay: settings.delay,
+    reward: settings.reward,
+    ambient: settings.ambient,
+    channelA: settings.coyote.channelA,
+    channelB: settings.coyote.channelB,
+  };
+}
+
+// Custom arcs as an extra group in every Session Arc select
+function populateArcSelects() {
+  const names = Object.keys(customArcs);
+  [intensityMeta, delayMeta, rewardMeta, ambientMeta, coyoteAMeta, coyoteBMeta].forEach(select => {
+    if (!select) return;
+    const value = select.value;
+    select.querySelector('optgroup.custom-arcs')?.remove();
+    if (names.length > 0) {
+      select.insertAdjacentHTML('beforeend', `<optgroup class="custom-arcs" label="Custom">${
+        names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')
+      }</optgroup>`);
+    }
+    select.value = value;
+  });
+}
+
+// Point settings using arcs that no longer exist back at constant
+function dropArcs(names) {
+  Object.values(arcTargets()).forEach(holder => {
+    if (holder && names.includes(holder.metapattern)) holder.metapattern = 'constant';
+  });
+  // Phases fall back to the top-level arc instead
+  settings.phases.forEach(phase => {
+    for (const range of [phase.intensity, phase.delay, phase.reward]) {
+      if (names.includes(range.metapattern)) delete range.metapattern;
+    }
+  });
+}
+
+function populateArcEditSelect(selected = '') {
+  if (!arcEditSelect) return;
+  arcEditSelect.innerHTML =
+    `<option value="">New arc</option>` +
+    Object.keys(customArcs).map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('') +
+    Object.keys(SESSION_ARCS).map(name => `<option value="${name}">${formatPatternName(name)} (built-in)</option>`).join('');
+  arcEditSelect.value = selected;
+}
+
+function handleArcSelect() {
+  const name = arcEditSelect.value;
+  if (customArcs[name]) {
+    arcDraft = JSON.parse(JSON.stringify(customArcs[name]));
+  } else if (SESSION_ARCS[name]) {
+    // Built-ins are read-only - loading one starts a keyframed copy
+    arcDraft = {
+      easing: 'linear',
+      keyframes: [0, 0.25, 0.5, 0.75, 1].map(t => ({ t, ...SESSION_ARCS[name](t) })),
+    };
+  } else {
+    arcDraft = { easing: 'linear', keyframes: [{ t: 0, min: 0, max: 1 }, { t: 1, min: 0, max: 1 }] };
+  }
+  arcNameInput.value = customArcs[name] ? name : '';
+  arcEasing.value = arcDraft.easing;
+  drawArcEditor();
+}
+
+function drawArcEditor() {
+  if (!arcCanvas || !arcDraft) return;
+  const ctx = arcCanvas.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+  const rect = arcCanvas.getBoundingClientRect();
+  arcCanvas.width = rect.width * dpr;
+  arcCanvas.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+  const x = (t) => t * rect.width;
+  const y = (v) => (1 - v) * rect.height;
+
+  ctx.fillStyle = '#0a0a12';
+  ctx.fillRect(0, 0, rect.width, rect.height);
+  ctx.strokeStyle = '#1a1a2e';
+  ctx.lineWidth = 1;
+  for (let i = 1; i < 4; i++) {
+    ctx.beginPath();
+    ctx.moveTo(0, rect.height * i / 4);
+    ctx.lineTo(rect.width, rect.height * i / 4);
+    ctx.stroke();
+  }
+
+  // Allowed range band, sampled so easing shows
+  const samples = Array.from({ length: 101 }, (_, i) => ({ t: i / 100, ...evaluateKeyframes(arcDraft, i / 100) }));
+  ctx.fillStyle = 'rgba(0, 255, 136, 0.15)';
+  ctx.beginPath();
+  samples.forEach((p, i) => (i === 0 ? ctx.moveTo(x(p.t), y(p.max)) : ctx.lineTo(x(p.t), y(p.max))));
+  [...samples].reverse().forEach(p => ctx.lineTo(x(p.t), y(p.min)));
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.strokeStyle = '#00ff88';
+  ctx.lineWidth = 1.5;
+  for (const edge of ['max', 'min']) {
+    ctx.beginPath();
+    samples.forEach((p, i) => (i === 0 ? ctx.moveTo(x(p.t), y(p[edge])) : ctx.lineTo(x(p.t), y(p[edge]))));
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = '#fff';
+  arcDraft.keyframes.forEach(k => {
+    for (const edge of ['max', 'min']) {
+      ctx.beginPath();
+      ctx.arc(x(k.t), y(k[edge]), 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  });
+}
+
+function arcPointer(e) {
+  const rect = arcCanvas.getBoundingClientRect();
+  const unit = (v) => Math.min(1, Math.max(0, v));
+  return {
+    t: unit((e.clientX - rect.left) / rect.width),
+    value: unit(1 - (e.clientY - rect.top) / rect.height),
+    px: e.clientX - rect.left,
+    py: e.clientY - rect.top,
+    rect,
+  };
+}
+
+function findArcHandle(e) {
+  const { px, py, rect } = arcPointer(e);
+  for (const [index, k] of arcDraft.keyframes.entries()) {
+    for (const edge of ['max', 'min']) {
+      if (Math.hypot(k.t * rect.width - px, (1 - k[edge]) * rect.height - py) <= ARC_HANDLE_RADIUS) {
+        return { index, edge };
+      }
+    }
+  }
+  return null;
+}
+
+function handleArcPointerDown(e) {
+  if (!arcDraft) return;
+  arcDrag = findArcHandle(e);
+  if (arcDrag) arcCanvas.setPointerCapture(e.pointerId);
+}
+
+function handleArcPointerMove(e) {
+  if (!arcDrag) return;
+  const { t, value } = arcPointer(e);
+  const keys = arcDraft.keyframes;
+  const i = arcDrag.index;
+  const k = keys[i];
+  // First and last keyframes stay pinned to the start and end of the session
+  if (i > 0 && i < keys.length - 1) k.t = Math.min(keys[i + 1].t, Math.max(keys[i - 1].t, t));
+  if (arcDrag.edge === 'min') k.min = Math.min(value, k.max);
+  else k.max = Math.max(value, k.min);
+  drawArcEditor();
+}
+
+function handleArcPointerUp() {
+  arcDrag = null;
+}
+
+// Double-click empty space to add a keyframe, a keyframe to remove it
+function handleArcDoubleClick(e) {
+  if (!arcDraft) return;
+  const keys = arcDraft.keyframes;
+  const hit = findArcHandle(e);
+  if (hit) {
+    if (hit.index > 0 && hit.index < keys.length - 1) keys.splice(hit.index, 1);
+  } else if (keys.length < MAX_ARC_KEYFRAMES) {
+    const { t } = arcPointer(e);
+    keys.push({ t, ...evaluateKeyframes(arcDraft, t) });
+    keys.sort((a, b) => a.t - b.t);
+  }
+  drawArcEditor();
+}
+
+function handleArcSave() {
+  const name = arcNameInput.value.trim();
+  if (!name) {
+    setStatus('Arc needs a name', 'error');
+    return;
+  }
+  if (SESSION_ARCS[name]) {
+    setStatus(`"${name}" is a built-in arc - pick another name`, 'error');
+    return;
+  }
+
+  const round = (v) => Math.round(v * 1000) / 1000;
+  customArcs[name] = {
+    easing: arcEasing.value,
+    keyframes: arcDraft.keyframes.map(k => ({ t: round(k.t), min: round(k.min), max: round(k.max) })),
+  };
+  saveCustomArcs(customArcs);
+  populateArcSelects();
+  populateArcEditSelect(name);
+
+  const target = arcTargets()[arcApply.value];
+  if (target) {
+    target.metapattern = name;
+    saveSettings(settings);
+    renderSettings();
+  }
+  regenerateVisualization();
+  setStatus(`Arc "${name}" saved`, 'success');
+}
+
+function handleArcDelete() {
+  const name = arcEditSelect.value;
+  if (!customArcs[name]) return;
+  if (!confirm(`Delete arc "${name}"?`)) return;
+
+  delete customArcs[name];
+  saveCustomArcs(customArcs);
+  dropArcs([name]);
+  saveSettings(settings);
+  populateArcSelects();
+  renderSettings();
+  populateArcEditSelect();
+  handleArcSelect();
+  regenerateVisualization();
+}
+
+// ============================================================================
+// Program Editor - phases (warm-up, main, cool-down...) run in order
+// ============================================================================
+const phaseList = document.getElementById('phaseList');
+const addPhaseBtn = document.getElementById('addPhaseBtn');
+const programTemplateBtn = document.getElementById('programTemplateBtn');
+const startProgram = document.getElementById('startProgram');
+const startSeed = document.getElementById('startSeed');
+const startPlayback = document.getElementById('startPlayback');
+const startTimelineBtn = document.getElementById('startTimelineBtn');
+const startTimelineInput = document.getElementById('startTimelineInput');
+
+// Range fields in a phase card: display unit → stored value
+const PHASE_RANGES = {
+  intensity: { label: 'Intensity %', toValue: v => v / 100, toDisplay: v => Math.round(v * 100) },
+  delay: { label: 'Delay s', toValue: v => v, toDisplay: v => v },
+  reward: { label: 'Reward s', toValue: v => v, toDisplay: v => v },
+};
+
+function formatMinutes(seconds) {
+  return `${Math.round(seconds / 6) / 10}m`;
+}
+
+function updateProgramSummary() {
+  const summary = document.getElementById('programSummary');
+  if (!summary) return;
+  const count = settings.phases.length;
+  summary.textContent = count > 0
+    ? `${count} phase${count !== 1 ? 's' : ''} | ${formatMinutes(getSessionDuration(settings))}`
+    : 'Off';
+}
+
+function renderPhaseList() {
+  if (!phaseList) return;
+  // Same arcs as the top-level selects, built-in and custom
+  const arcOptions = intensityMeta?.innerHTML || '';
+  const promptChoices = prompts.filter(p => p.trim());
+
+  phaseList.innerHTML = settings.phases.map((phase, i) => `
+    <div class="phase-card" data-index="${i}">
+      <div class="settings-row">
+        <div class="settings-group">
+          <label>Name</label>
+          <input type="text" data-field="name" value="${escapeHtml(phase.name)}">
+        </div>
+        <div class="settings-group">
+          <label>Minutes</label>
+          <input type="number" data-field="duration" min="0.5" step="0.5" value="${Math.round(phase.duration / 6) / 10}">
+        </div>
+        <div class="settings-group">
+          <label>Mode</label>
+          <select data-field="mode">
+            <option value="call"${phase.mode === 'call' ? ' selected' : ''}>Call & response</option>
+            <option value="loading"${phase.mode === 'loading' ? ' selected' : ''}>Loading</option>
+          </select>
+        </div>
+      </div>
+      ${Object.entries(PHASE_RANGES).map(([key, { label, toDisplay }]) => `
+        <div class="settings-row">
+          <div class="settings-group">
+            <label>${label} min</label>
+            <input type="number" data-range="${key}" data-key="min" step="any" placeholder="${toDisplay(settings[key].min)}" value="${phase[key].min != null ? toDisplay(phase[key].min) : ''}">
+          </div>
+          <div class="settings-group">
+            <label>max</label>
+            <input type="number" data-range="${key}" data-key="max" step="any" placeholder="${toDisplay(settings[key].max)}" value="${phase[key].max != null ? toDisplay(phase[key].max) : ''}">
+          </div>
+          <div class="settings-group">
+            <label>Arc</label>
+            <select data-range="${key}" data-key="metapattern"><option value="">Default</option>${arcOptions}</select>
+          </div>
+        </div>`).join('')}
+      <div class="settings-group">
+        <label>Prompts (none ticked = all)</label>
+        <div class="pattern-checkboxes">
+          ${promptChoices.map(text => `
+            <label class="pattern-checkbox${phase.prompts.includes(text) ? ' checked' : ''}">
+              <input type="checkbox" data-field="prompts" value="${escapeHtml(text)}"${phase.prompts.includes(text) ? ' checked' : ''}>
+              ${escapeHtml(text)}
+            </label>`).join('')}
+        </div>
+      </div>
+      <div class="phase-actions">
+        <button data-action="up" title="Move up"${i === 0 ? ' disabled' : ''}>↑</button>
+        <button data-action="down" title="Move down"${i === settings.phases.length - 1 ? ' disabled' : ''}>↓</button>
+        <button class="delete-prompt" data-action="remove" title="Remove phase">×</button>
+      </div>
+    </div>
+  `).join('');
+
+  // Selected arcs can't go in the template string - the options are shared markup
+  phaseList.querySelectorAll('select[data-key="metapattern"]').forEach(select => {
+    const phase = settings.phases[select.closest('.phase-card').dataset.index];
+    select.value = phase[select.dataset.range].metapattern || '';
+  });
+  updateProgramSummary();
+}
+
+function handlePhaseChange(e) {
+  const card = e.target.closest('.phase-card');
+  if (!card) return;
+  const phase = settings.phases[card.dataset.index];
+  const { field, range, key } = e.target.dataset;
+
+  if (field === 'name') {
+    phase.name = e.target.value.trim() || `Phase ${Number(card.dataset.index) + 1}`;
+  } else if (field === 'duration') {
+    phase.duration = Math.max(10, Math.round((parseFloat(e.target.value) || 1) * 60));
+  } else if (field === 'mode') {
+    phase.mode = e.target.value;
+  } else if (field === 'prompts') {
+    e.target.closest('.pattern-checkbox')?.classList.toggle('checked', e.target.checked);
+    phase.prompts = [...card.querySelectorAll('input[data-field="prompts"]:checked')].map(cb => cb.value);
+  } else if (range && key === 'metapattern') {
+    if (e.target.value) phase[range].metapattern = e.target.value;
+    else delete phase[range].metapattern;
+  } else if (range) {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value)) phase[range][key] = PHASE_RANGES[range].toValue(value);
+    else delete phase[range][key];
+  }
+  saveSettings(settings);
+  updateProgramSummary();
+  updateFieldStates();
+}
+
+function handlePhaseAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const i = Number(button.closest('.phase-card').dataset.index);
+  const phases = settings.phases;
+
+  if (button.dataset.action === 'remove') {
+    phases.splice(i, 1);
+  } else {
+    const j = button.dataset.action === 'up' ? i - 1 : i + 1;
+    if (j < 0 || j >= phases.length) return;
+    [phases[i], phases[j]] = [phases[j], phases[i]];
+  }
+  saveSettings(settings);
+  renderPhaseList();
+  updateFieldStates();
+}
+
+function newPhase(name, duration, overrides = {}) {
+  return { name, duration, mode: 'call', prompts: [], intensity: {}, delay: {}, reward: {}, ...overrides };
+}
+
+function handleAddPhase() {
+  settings.phases.push(newPhase(`Phase ${settings.phases.length + 1}`, 300));
+  saveSettings(settings);
+  renderPhaseList();
+  updateFieldStates();
+}
+
+// Warm-up / main / cool-down split of the current session length
+function handleProgramTemplate() {
+  if (settings.phases.length > 0 && !confirm('Replace the current phases?')) return;
+  const total = settings.sessionDuration;
+  const edge = Math.max(60, Math.round(total * 0.2 / 60) * 60);
+  settings.phases = [
+    newPhase('Warm-up', edge, { intensity: { metapattern: 'slide_up' } }),
+    newPhase('Main', Math.max(60, total - edge * 2)),
+    newPhase('Cool-down', edge, { intensity: { metapattern: 'slide_down' } }),
+  ];
+  saveSettings(settings);
+  renderPhaseList();
+  updateFieldStates();
+}
+
+// ============================================================================
+// Waveform Editor
+// ============================================================================
+function populateWaveformEditSelect(selected = '') {
+  if (!waveformEditSelect) return;
+  const customNames = Object.keys(customWaveforms);
+  waveformEditSelect.innerHTML =
+    `<option value="">New waveform</option>` +
+    customNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('') +
+    Object.keys(WAVEFORMS).map(name => `<option value="${name}">${formatPatternName(name)} (built-in)</option>`).join('');
+  waveformEditSelect.value = selected;
+}
+
+function handleWaveformSelect() {
+  const name = waveformEditSelect.value;
+  if (!name) {
+    waveformNameInput.value = '';
+    waveformFreqInput.value = '';
+    waveformIntensityInput.value = '';
+  } else {
+    const waveform = getWaveform(name, customWaveforms);
+    // Built-ins are read-only - loading one starts a copy
+    waveformNameInput.value = WAVEFORMS[name] ? '' : name;
+    waveformFreqInput.value = waveform.freq.join(', ');
+    waveformIntensityInput.value = waveform.intensity.join(', ');
+  }
+  drawWaveformPreview();
+}
+
+function readWaveformEditor() {
+  return parseWaveform(waveformFreqInput.value, waveformIntensityInput.value);
+}
+
+function drawWaveformPreview() {
+  if (!waveformPreview) return;
+  const ctx = waveformPreview.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+  const rect = waveformPreview.getBoundingClientRect();
+  waveformPreview.width = rect.width * dpr;
+  waveformPreview.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+  ctx.fillStyle = '#0a0a12';
+  ctx.fillRect(0, 0, rect.width, rect.height);
+
+  let waveform;
+  try {
+    waveform = readWaveformEditor();
+  } catch {
+    return;  // Incomplete input - leave preview blank
+  }
+
+  // Intensity as bars, frequency as a line (log scale, 10-1000)
+  const barWidth = rect.width / waveform.intensity.length;
+  ctx.fillStyle = 'rgba(255, 107, 107, 0.6)';
+  waveform.intensity.forEach((level, i) => {
+    const h = (level / 100) * (rect.height - 4);
+    ctx.fillRect(i * barWidth + 1, rect.height - h, Math.max(1, barWidth - 2), h);
+  });
+
+  ctx.strokeStyle = '#00d4ff';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  waveform.freq.forEach((f, i) => {
+    const x = i * barWidth + barWidth / 2;
+    const y = rect.height - 2 - (Math.log10(f) - 1) / 2 * (rect.height - 4);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+}
+
+function handleWaveformSave() {
+  const name = waveformNameInput.value.trim();
+  if (!name) {
+    setStatus('Waveform needs a name', 'error');
+    return;
+  }
+  if (WAVEFORMS[name]) {
+    setStatus(`"${name}" is a built-in waveform - pick another name`, 'error');
+    return;
+  }
+
+  try {
+    customWaveforms[name] = readWaveformEditor();
+  } catch (e) {
+    setStatus(e.message, 'error');
+    return;
+  }
+
+  saveCustomWaveforms(customWaveforms);
+  populateWaveformCheckboxes();
+  populateWaveformEditSelect(name);
+  setStatus(`Waveform "${name}" saved`, 'success');
+}
+
+function handleWaveformDelete() {
+  const name = waveformEditSelect.value;
+  if (!customWaveforms[name]) return;
+  if (!confirm(`Delete waveform "${name}"?`)) return;
+
+  delete customWaveforms[name];
+  saveCustomWaveforms(customWaveforms);
+  settings.coyote.waveforms = settings.coyote.waveforms.filter(w => w !== name);
+  if (settings.coyote.waveforms.length === 0) settings.coyote.waveforms = ['steady'];
+  saveSettings(settings);
+
+  populateWaveformCheckboxes();
+  populateWaveformEditSelect();
+  handleWaveformSelect();
+}
+
+async function handleWaveformTest() {
+  const estim = devices.list().filter(e => e.device.features.waveforms);
+  if (estim.length === 0) {
+    setStatus('Connect a Coyote to test waveforms', 'error');
+    return;
+  }
+
+  let waveform;
+  try {
+    waveform = readWaveformEditor();
+  } catch (e) {
+    setStatus(e.message, 'error');
+    return;
+  }
+
+  try {
+    const intensity = 0.10;  // Fixed 10% for safety testing
+    setStatus(`Testing waveform at ${Math.round(intensity * 100)}%...`, 'info');
+    devices.setWaveform(waveform);
+    await devices.activate(0, { a: intensity, b: intensity });
+    await sleep(2000);
+    await devices.stop();
+    setStatus('Waveform test done', 'info');
+  } catch (e) {
+    setStatus(`Test failed: ${e.message}`, 'error');
+    console.error(e);
+  }
+}
+
+function openSettings() {
+  populatePatternCheckboxes();
+  populatePatternEditSelect();
+  populateWaveformCheckboxes();
+  populateWaveformEditSelect();
+  renderPromptList();
+  renderSettings();
+  updateFieldStates();
+  settingsPanel.classList.add('visible');
+}
+
+function closeSettings() {
+  prompts = prompts.filter(p => p.trim());
+  if (prompts.length === 0) {
+    prompts = [...DEFAULT_PROMPTS];
+  }
+  savePrompts(prompts);
+  handleSettingsChange();
+  settingsPanel.classList.remove('visible');
+}
+
+// ============================================================================
+// Device & Speech
+// ============================================================================
+async function handleConnectMic() {
+  if (micConnected) return;
+
+  if (!speechSupported()) {
+    setStatus('Speech recognition not supported in this browser', 'error');
+    return;
+  }
+
+  try {
+    setStatus('Requesting microphone...', 'info');
+
+    // Request mic permission via getUserMedia (more reliable than SpeechRecognition)
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    stream.getTracks().forEach(track => track.stop());  // Release immediately
+
+    micConnected = true;
+    connectMicBtn.textContent = '✓ Mic';
+    connectMicBtn.disabled = true;
+    setStatus('Microphone connected', 'success');
+  } catch (e) {
+    setStatus(`Microphone access denied: ${e.message}`, 'error');
+    console.error(e);
+  }
+}
+
+async function handleConnect() {
+  try {
+    setStatus('Connecting...', 'info');
+    // Simulated transport when picked in Advanced (dev/testing without hardware)
+    const bluetooth = transportSelect?.value ? new MockBluetooth(transportSelect.value) : undefined;
+    const device = await connectVibrator({
+      coyote: settings.coyote.deviceConfig,
+      bluetooth,
+      protocol: protocolSelect?.value || undefined,
+      protocolOverrides: loadProtocolOverrides(),
+      safety: safetyLimits,
+    });
+    // A protocol picked at connect time sticks to this device from now on
+    if (protocolSelect?.value) saveProtocolOverride(device.name, protocolSelect.value);
+    devices.add(device, loadCalibrations()[device.name]);
+    console.log(`Detection for ${device.name}:\n${formatDetection(device.detection)}`);
+    setStatus(`Connected: ${device.name} (${device.protocol}, ${formatDetection(device.detection, true)})`, 'success');
+  } catch (e) {
+    setStatus(`Connection failed: ${e.message}`, 'error');
+    console.error(e);
+  }
+}
+
+function renderDeviceList() {
+  const entries = devices.list();
+  connectBtn.textContent = entries.length > 0 ? '+ Device' : 'Connect Device';
+  testBtn.disabled = entries.length === 0;
+  if (!deviceList) return;
+
+  deviceList.innerHTML = entries.map(({ id, device, scale, enabled, calibration, output }) => `
+    <div class="device-row${enabled ? '' : ' disabled'}${device.connectionState === 'reconnecting' ? ' reconnecting' : ''}" data-id="${id}">
+      <input type="checkbox" class="device-enabled" ${enabled ? 'checked' : ''} title="Enable">
+      <span class="device-name" title="${escapeHtml(formatDetection(device.detection))}">${escapeHtml(device.name || 'Unknown')}</span>
+      ${device.features.motorCount > 1 ? `<span class="device-motors">${device.features.motorCount} motors</span>` : ''}
+      ${device.device instanceof MockDevice ? `<span class="device-motors">sim</span>` : ''}
+      <select class="device-protocol" title="Protocol - remembered for this device when overridden">
+        <option value="">Auto${device.detection.override ? '' : ` (${device.protocol})`}</option>
+        ${listProtocols().map(p => `<option value="${p.id}"${device.detection.override === p.id ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+      </select>
+      ${device.features.type === 'vibrator' ? `<button class="device-probe" title="Try each protocol">?</button>` : ''}
+      <input type="range" class="device-scale" min="0" max="100" value="${Math.round(scale * 100)}" title="Intensity scale">
+      <span class="device-scale-value">${Math.round(scale * 100)}%</span>
+      <span class="device-step" title="Step being sent / device resolution">${formatSteps(output, device.features.maxIntensity)}</span>
+      <button class="device-calibrate" title="Dead-zone floor and response curve">cal</button>
+      ${device.features.feedback ? `<span class="device-telemetry" title="Actual / requested strength (0-200)">A -/- B -/-</span>` : ''}
+      <button class="device-remove" title="Disconnect">×</button>
+      ${calibrating.has(id) ? `
+        <div class="device-calibration">
+          ${wizard?.id === id ? `
+            <span class="wizard-level">Level 0%</span>
+            <button class="wizard-mark" data-mark="felt">First felt</button>
+            <button class="wizard-mark" data-mark="comfortable">Comfortable</button>
+            ${wizard.manual ? '<button class="wizard-next" title="Raise the output one notch">Step up</button>' : ''}
+            <button class="wizard-mark" data-mark="max">Maximum</button>
+            <button class="wizard-stop">Stop</button>
+          ` : `
+            <label>Floor <input type="number" class="device-floor" min="0" max="90" step="1" value="${Math.round(calibration.floor * 100)}">%</label>
+            <label>Gamma <input type="number" class="device-gamma" min="0.2" max="5" step="0.1" value="${Math.round(calibration.gamma * 100) / 100}"></label>
+            <label>Max <input type="number" class="device-ceiling" min="1" max="100" step="1" value="${Math.round(calibration.ceiling * 100)}">%</label>
+            <label title="Safety cap - output is clipped here no matter what the session asks for">Cap <input type="number" class="device-cap" min="0" max="100" step="1" value="${Math.round(limitsFor(safetyLimits, device.name).maxIntensity * 100)}">%</label>
+            <button class="wizard-start" title="Ramp up slowly and mark what you feel">Wizard</button>
+            <span class="device-curve">${describeCurve(calibration, device.features.maxIntensity)}</span>
+          `}
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+// ============================================================================
+// Calibration
+// ============================================================================
+const calibrating = new Set();  // Device ids with the calibration panel open
+
+function formatSteps(output, steps) {
+  return `${(output || [0]).join('/')} of ${steps}`;
+}
+
+/**
+ * Where a few reference levels land on this device, e.g. "2% → 1/20"
+ */
+function describeCurve(calibration, steps) {
+  return [0.02, 0.1, 0.5, 1]
+    .map(level => `${Math.round(level * 100)}% → ${calibrate(level, calibration, steps).step}/${steps}`)
+    .join(' · ');
+}
+
+function handleCalibrationChange(row) {
+  const id = parseInt(row.dataset.id);
+  const entry = devices.get(id);
+  if (!entry) return;
+  devices.setCalibration(id, {
+    floor: parseFloat(row.querySelector('.device-floor').value) / 100,
+    gamma: parseFloat(row.querySelector('.device-gamma').value),
+    ceiling: parseFloat(row.querySelector('.device-ceiling').value) / 100,
+  });
+  saveCalibration(entry.device.name, entry.calibration);
+  row.querySelector('.device-curve').textContent = describeCurve(entry.calibration, entry.device.features.maxIntensity);
+}
+
+/**
+ * Calibration wizard - ramps the device up from zero one notch at a time while
+ * the user marks "first felt", "comfortable" and "maximum". Drives the device
+ * directly (no scale/calibration) so the marks are raw device levels, then
+ * saves them as the device's profile (see profileFromMarks).
+ * E-stim only goes up when the user presses "Step up", and reaching the top of
+ * the range stops output - only the user's own mark ever saves a maximum.
+ */
+const WIZARD_HOLD = 1500;  // ms per notch
+
+let wizard = null;  // { id, level, notch, manual, marks, timer }
+
+async function startWizard(id) {
+  const entry = devices.get(id);
+  if (!entry || wizard || isRunning) return;
+  const { device } = entry;
+  const estim = device.features.type === 'estim';
+  // E-stim sensitivity varies most - go up in finer notches
+  const notch = Math.max(1 / device.features.maxIntensity, estim ? 0.01 : 0.05);
+
+  wizard = { id, level: 0, notch, manual: estim, marks: {}, timer: null };
+  renderDeviceList();
+  if (estim) {
+    setStatus(`Calibrating ${device.name} - press Step up to raise it, mark when you first feel it`, 'info');
+    return;
+  }
+  setStatus(`Calibrating ${device.name} - mark when you first feel it`, 'info');
+  stepWizard();
+}
+
+/**
+ * Raise the wizard one notch - on a timer, or per press for e-stim
+ */
+async function stepWizard() {
+  if (!wizard || wizard.level >= 1) return;
+  clearTimeout(wizard.timer);
+  const { id, notch, manual } = wizard;
+  const entry = devices.get(id);
+  if (!entry) return;
+  const { device } = entry;
+
+  wizard.level = Math.min(1, wizard.level + notch);
+  try {
+    await driveWizard(device, wizard.level);
+  } catch (e) {
+    setStatus(`Calibration stopped: ${e.message}`, 'error');
+    await stopWizard();
+    return;
+  }
+  if (wizard?.id !== id) return;  // Stopped while the write was in flight
+  const label = deviceList?.querySelector(`.device-row[data-id="${id}"] .wizard-level`);
+  if (label) label.textContent = `Level ${Math.round(wizard.level * 100)}% (${Math.round(wizard.level * device.features.maxIntensity)}/${device.features.maxIntensity})`;
+
+  // Top of the range: stop and let the user decide - never saved as maximum on its own
+  if (wizard.level >= 1) {
+    try {
+      await device.stop();
+    } catch (e) {
+      console.warn('Stop failed:', e);
+    }
+    setStatus(`${device.name} reached 100% and was stopped - press Maximum to save that as your top, or Stop to cancel`, 'info');
+    return;
+  }
+  if (!manual) wizard.timer = setTimeout(stepWizard, WIZARD_HOLD);
+}
+
+function driveWizard(device, level) {
+  return device.features.type === 'estim' && device.features.motorCount > 1
+    ? device.activateMotors([level, level])
+    : device.activate(level);
+}
+
+async function markWizard(mark) {
+  if (!wizard) return;
+  const { id, level, marks } = wizard;
+  marks[mark] = level;
+  if (mark === 'felt') setStatus('Keep going - mark where it feels comfortable', 'info');
+  if (mark === 'comfortable') setStatus('Mark the most you want - the wizard stops there', 'info');
+  if (mark !== 'max') return;
+
+  await stopWizard();
+  const entry = devices.get(id);
+  if (!entry) return;
+  const profile = profileFromMarks({ felt: marks.felt ?? 0, comfortable: marks.comfortable ?? null, max: level });
+  devices.setCalibration(id, profile);
+  saveCalibration(entry.device.name, { ...entry.calibration, marks });
+  renderDeviceList();
+  const pct = (v) => (v === undefined ? '-' : `${Math.round(v * 100)}%`);
+  setStatus(`Saved ${entry.device.name} profile: felt ${pct(marks.felt)}, comfortable ${pct(marks.comfortable)}, max ${pct(level)}`, 'success');
+}
+
+async function stopWizard() {
+  if (!wizard) return;
+  clearTimeout(wizard.timer);
+  const entry = devices.get(wizard.id);
+  wizard = null;
+  try {
+    await entry?.device.stop();
+  } catch (e) {
+    console.warn('Stop failed:', e);
+  }
+  renderDeviceList();
+}
+
+function handleDeviceOutput(entry, out) {
+  const el = deviceList?.querySelector(`.device-row[data-id="${entry.id}"] .device-step`);
+  if (el) el.textContent = formatSteps(out.map(o => o.step), entry.device.features.maxIntensity);
+}
+
+/**
+ * "Why was this protocol picked" - one line for the status bar, or the full
+ * report with runner-ups for the device row tooltip and console
+ */
+function formatDetection(detection, short = false) {
+  if (!detection) return '';
+  const reason = (c) => [
+    c.pattern && (c.matchedBy.startsWith('config') ? `device table "${c.pattern}"` : `name ${c.pattern}`),
+    c.uuid && `service ${c.uuid}`,
+  ].filter(Boolean).join(' + ') + (c.overridden ? ' (ignored - device table says otherwise)' : '');
+
+  const known = detection.device;
+  const unsupported = known && !known.protocol ? `${known.label || known.source} (${known.source}) isn't supported, ` : '';
+  const matched = detection.id
+    ? `matched ${reason(detection)}`
+    : `${unsupported}no match, using ${detection.fallback} as fallback`;
+  const picked = detection.override
+    ? `manual override (auto-detect: ${detection.id || 'no match'})`
+    : matched;
+  if (short) return picked;
+
+  const runnersUp = detection.candidates.slice(detection.id ? 1 : 0);
+  return [
+    `Protocol: ${detection.override || detection.id || detection.fallback} - ${picked}`,
+    ...(runnersUp.length
+      ? ['Runner-ups:', ...runnersUp.map(c => `  ${c.id} - ${reason(c)}`)]
+      : ['No other candidates']),
+  ].join('\n');
+}
+
+function handleDeviceFeedback(entry, event) {
+  const telemetry = deviceList?.querySelector(`.device-row[data-id="${entry.id}"] .device-telemetry`);
+  if (telemetry) {
+    telemetry.textContent = `A ${event.a}/${event.requestedA} B ${event.b}/${event.requestedB}`;
+    const offset = event.offsetA !== 0 || event.offsetB !== 0;
+    telemetry.classList.toggle('manual', offset);
+  }
+  if (event.manual) {
+    const fmt = (n) => (n >= 0 ? `+${n}` : `${n}`);
+    setStatus(`${entry.device.name} dial: A ${fmt(event.offsetA)}, B ${fmt(event.offsetB)}`, 'info');
+  }
+}
+
+function handleDeviceConnection(entry, state) {
+  const row = deviceList?.querySelector(`.device-row[data-id="${entry.id}"]`);
+  row?.classList.toggle('reconnecting', state === 'reconnecting');
+
+  const name = entry.device.name;
+  if (state === 'reconnecting') {
+    setStatus(`${name} disconnected - reconnecting...`, 'error');
+  } else if (state === 'connected') {
+    setStatus(`Reconnected: ${name}`, 'success');
+  } else {
+    // Reconnect gave up - drop it so the session carries on with the rest
+    devices.remove(entry.id);
+    setStatus(`Lost connection: ${name}`, 'error');
+  }
+}
+
+/**
+ * Pause the session while a device reconnects, then pick up where it left off
+ */
+async function waitForReconnect() {
+  if (!devices.reconnecting) return;
+  if (session) pauseSession(session);
+  const resumePlayback = player?.playing;
+  player?.pause();
+  await devices.whenConnected();
+  if (session) resumeSession(session);
+  if (resumePlayback) player?.play();
+}
+
+// ============================================================================
+// Protocol Override
+// ============================================================================
+const PROBE_INTENSITY = 0.3;
+const PROBE_DURATION = 1500;  // ms per candidate
+let probing = false;
+
+function populateProtocolSelect() {
+  if (!protocolSelect) return;
+  protocolSelect.innerHTML = `<option value="">Auto-detect</option>` +
+    listProtocols().map(({ id, name }) => `<option value="${id}">${escapeHtml(name)}</option>`).join('');
 }
 
-function openSettings() {
-  populatePatternCheckboxes();
-  renderPromptList();
-  renderSettings();
-  updateFieldStates();
-  settingsPanel.classList.add('visible');
+/**
+ * Switch a connected device's protocol and remember it (null = auto-detect)
+ */
+async function handleProtocolOverride(id, protocolId) {
+  const entry = devices.get(id);
+  if (!entry) return;
+  const { device } = entry;
+  try {
+    await device.setProtocol(protocolId);
+    saveProtocolOverride(device.name, protocolId);
+    setStatus(`${device.name}: ${protocolId ? `using ${device.protocol}` : `auto-detected ${device.protocol}`}`, 'success');
+  } catch (e) {
+    setStatus(`Could not switch ${device.name} to ${protocolId}: ${e.message}`, 'error');
+    console.error(e);
+  }
+  renderDeviceList();
 }
 
-function closeSettings() {
-  prompts = prompts.filter(p => p.trim());
-  if (prompts.length === 0) {
-    prompts = [...DEFAULT_PROMPTS];
+/**
+ * "Try each protocol" - send a short pulse per vibrator protocol, detection
+ * candidates first, and ask whether the toy moved. The first yes is remembered.
+ * E-stim is never probed.
+ */
+async function runProtocolWizard(id) {
+  const entry = devices.get(id);
+  if (!entry || probing || isRunning) return;
+  const { device } = entry;
+  const original = device.detection.override || null;
+  const ranked = device.detection.candidates.map(c => c.id);
+  const rank = (p) => (ranked.indexOf(p.id) + 1) || Infinity;
+  const candidates = listProtocols().filter(p => p.id !== 'coyote').sort((a, b) => rank(a) - rank(b));
+
+  probing = true;
+  const generation = stopGeneration;
+  try {
+    for (const [i, { id: protocolId, name }] of candidates.entries()) {
+      if (generation !== stopGeneration) return;
+      setStatus(`Trying ${name} (${i + 1}/${candidates.length})...`, 'info');
+      try {
+        await device.setProtocol(protocolId);
+        await device.send(PROBE_INTENSITY);
+        await sleep(PROBE_DURATION);
+        await device.stop();
+        if (generation !== stopGeneration) return;
+      } catch (e) {
+        console.warn(`Probe with ${name} failed:`, e);
+        continue;
+      }
+      if (confirm(`Did ${device.name} vibrate just now? (${name})`)) {
+        saveProtocolOverride(device.name, protocolId);
+        setStatus(`${device.name} now uses ${name} - remembered for next time`, 'success');
+        return;
+      }
+    }
+
+    await device.setProtocol(original).catch(e => console.warn('Could not restore protocol:', e));
+    setStatus(`No protocol worked for ${device.name} - it may not be supported yet`, 'error');
+  } finally {
+    probing = false;
+    renderDeviceList();
   }
-  savePrompts(prompts);
-  handleSettingsChange();
-  settingsPanel.classList.remove('visible');
 }
 
 // ============================================================================
-// Device & Speech
+// Simulated Devices
 // ============================================================================
-async function handleConnectMic() {
-  if (micConnected) return;
+function populateTransportSelect() {
+  if (!transportSelect) return;
+  transportSelect.innerHTML = `<option value="">Bluetooth</option>` +
+    listMockDevices().map(({ id, label }) => `<option value="${id}">Simulated ${escapeHtml(label)}</option>`).join('');
+}
 
-  if (!speechSupported()) {
-    setStatus('Speech recognition not supported in this browser', 'error');
+function getMockDevices() {
+  return devices.list().map(e => e.device.device).filter(d => d instanceof MockDevice);
+}
+
+function handleSimDisconnect() {
+  const mocks = getMockDevices();
+  if (mocks.length === 0) {
+    setStatus('No simulated devices connected', 'error');
     return;
   }
+  mocks.forEach(d => d.simulateDisconnect());
+}
 
-  try {
-    setStatus('Requesting microphone...', 'info');
+function handleSimFailWrite() {
+  getMockDevices().forEach(d => d.failWrites(1));
+}
 
-    // Request mic permission via getUserMedia (more reliable than SpeechRecognition)
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    stream.getTracks().forEach(track => track.stop());  // Release immediately
+function getDeviceRowId(el) {
+  return parseInt(el.closest('.device-row')?.dataset.id);
+}
 
-    micConnected = true;
-    connectMicBtn.textContent = '✓ Mic';
-    connectMicBtn.disabled = true;
-    setStatus('Microphone connected', 'success');
-  } catch (e) {
-    setStatus(`Microphone access denied: ${e.message}`, 'error');
-    console.error(e);
+function handleDeviceListInput(e) {
+  if (!e.target.classList.contains('device-scale')) return;
+  const id = getDeviceRowId(e.target);
+  const valueEl = e.target.parentElement.querySelector('.device-scale-value');
+  if (valueEl) valueEl.textContent = `${e.target.value}%`;
+  devices.setScale(id, parseInt(e.target.value) / 100);
+}
+
+function handleDeviceListChange(e) {
+  if (e.target.matches('.device-floor, .device-gamma, .device-ceiling')) {
+    handleCalibrationChange(e.target.closest('.device-row'));
+    return;
+  }
+  if (e.target.classList.contains('device-cap')) {
+    handleDeviceCapChange(getDeviceRowId(e.target), e.target);
+    return;
   }
+  if (e.target.classList.contains('device-protocol')) {
+    handleProtocolOverride(getDeviceRowId(e.target), e.target.value || null);
+    return;
+  }
+  if (!e.target.classList.contains('device-enabled')) return;
+  e.target.closest('.device-row').classList.toggle('disabled', !e.target.checked);
+  devices.setEnabled(getDeviceRowId(e.target), e.target.checked);
 }
 
-async function handleConnect() {
-  try {
-    setStatus('Connecting...', 'info');
-    device = await connectVibrator();
-    setStatus(`Connected: ${device.name}`, 'success');
-    connectBtn.textContent = `✓ ${device.name}`;
-    connectBtn.disabled = true;
-    testBtn.disabled = false;
-  } catch (e) {
-    setStatus(`Connection failed: ${e.message}`, 'error');
-    console.error(e);
+function handleDeviceListClick(e) {
+  if (e.target.classList.contains('wizard-start')) {
+    startWizard(getDeviceRowId(e.target));
+    return;
+  }
+  if (e.target.classList.contains('wizard-mark')) {
+    markWizard(e.target.dataset.mark);
+    return;
+  }
+  if (e.target.classList.contains('wizard-next')) {
+    stepWizard();
+    return;
+  }
+  if (e.target.classList.contains('wizard-stop')) {
+    stopWizard().then(() => setStatus('Calibration cancelled', 'info'));
+    return;
+  }
+  if (e.target.classList.contains('device-calibrate')) {
+    const id = getDeviceRowId(e.target);
+    if (!calibrating.delete(id)) calibrating.add(id);
+    renderDeviceList();
+    return;
+  }
+  if (e.target.classList.contains('device-probe')) {
+    runProtocolWizard(getDeviceRowId(e.target));
+    return;
   }
+  if (!e.target.classList.contains('device-remove')) return;
+  const id = getDeviceRowId(e.target);
+  const name = devices.get(id)?.device.name;
+  if (wizard?.id === id) stopWizard();
+  devices.remove(id).then(() => setStatus(`Disconnected: ${name}`, 'info'));
 }
 
 async function handleTest() {
-  if (!device) return;
+  if (devices.size === 0) return;
   try {
     const intensity = 0.10;  // Fixed 10% for safety testing
     setStatus(`Testing vibe at ${Math.round(intensity * 100)}%...`, 'info');
-    await device.send(intensity);
+    await devices.send(intensity);
     setStatus('Vibe ON', 'success');
-    await new Promise(r => setTimeout(r, 2000));
-    await device.send(0);
+    await sleep(2000);
+    await devices.send(0);
     setStatus('Vibe OFF', 'info');
   } catch (e) {
     setStatus(`Test failed: ${e.message}`, 'error');
@@ -508,11 +1937,71 @@ async function handleTest() {
   }
 }
 
+// Session waits - resolved early by cancelSleeps() so a stopped session stops waiting
+const pendingSleeps = new Set();
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    const pending = { resolve };
+    pending.timer = setTimeout(() => {
+      pendingSleeps.delete(pending);
+      resolve();
+    }, ms);
+    pendingSleeps.add(pending);
+  });
+}
+
+function cancelSleeps() {
+  for (const { timer, resolve } of pendingSleeps) {
+    clearTimeout(timer);
+    resolve();
+  }
+  pendingSleeps.clear();
+}
+
+/**
+ * Drive the devices for one reward - a flat pulse, or a streamed envelope
+ */
+async function playReward(intensity, channels, waveform, reward) {
+  if (devices.size === 0) {
+    await sleep(reward);  // still wait reward duration
+    return;
+  }
+
+  devices.setWaveform(getWaveform(waveform, customWaveforms));
+  if (settings.envelope.shape === 'pulse') {
+    await devices.activate(intensity, channels);
+    await sleep(reward);
+  } else {
+    await scheduler.play({ intensity, channels, duration: reward, envelope: settings.envelope });
+  }
+  await devices.stop();
+  await sleep(50);  // Let device settle after stop
+}
+
+/**
+ * Start the idle level for the delay phase - runs until the next reward or stop
+ */
+async function startAmbient(level) {
+  if (level <= 0 || devices.size === 0) return;
+  // E-stim stays off between rewards unless explicitly included
+  const channels = settings.ambient.estim ? { a: level, b: level } : { a: 0, b: 0 };
+  await devices.activate(level, channels);
+}
+
+// Prompts for one program phase - its own subset if it has one, else all of them
+function promptsForPhase(sessionPrompts, phase) {
+  const subset = settings.phases[phase?.index]?.prompts || [];
+  const picked = sessionPrompts.filter(p => subset.includes(p));
+  return picked.length > 0 ? picked : sessionPrompts;
+}
+
 async function runSequence() {
-  // Mic connected = call-and-response mode, otherwise loading mode
-  const promptMode = micConnected;
+  // Mic connected = call-and-response mode, otherwise loading mode.
+  // Program phases can switch to loading mode on their own.
+  const micMode = micConnected;
 
-  if (promptMode) {
+  if (micMode) {
     const validPrompts = prompts.filter(p => p.trim());
     if (validPrompts.length === 0) {
       setStatus('No prompts configured', 'error');
@@ -523,8 +2012,12 @@ async function runSequence() {
     listener = new SpeechListener();
   }
 
+  await stopWizard();
   isRunning = true;
-  session = createSession(settings);
+  const { settings: limited, clamped } = clampSettings(settings, safetyLimits);
+  if (clamped.length > 0) showSafetyNotice(`This session is limited by your safety settings: ${clamped.join(', ')}`);
+  session = createSession(limited, customPatterns, customArcs, takeSeed());
+  console.log('Session seed:', session.seed);
   document.body.classList.add('session-active');
   startBtn.textContent = 'Stop';
 
@@ -533,23 +2026,32 @@ async function runSequence() {
   if (settings.randomizePrompts && sessionPrompts.length > 1) {
     // Fisher-Yates shuffle
     for (let i = sessionPrompts.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(session.cueRandom() * (i + 1));
       [sessionPrompts[i], sessionPrompts[j]] = [sessionPrompts[j], sessionPrompts[i]];
     }
   }
 
   try {
     while (isRunning) {
+      watchdog.arm(RECONNECT_DEADLINE);
+      await waitForReconnect();
+      if (!isRunning) break;
+
       // Check if session duration has elapsed
       if (isSessionComplete(session)) {
-        setStatus('Session complete!', 'success');
+        setStatus(`Session complete! (seed ${session.seed})`, 'success');
         showFeedback('Session Complete', true);
         break;
       }
 
+      const phase = getSessionPhase(session);
+      const promptMode = micMode && phase?.mode !== 'loading';
+      showPhase(phase);
+
       if (promptMode) {
         // Call-and-response mode with speech recognition
-        const basePrompt = sessionPrompts[currentPromptIndex % sessionPrompts.length];
+        const phasePrompts = promptsForPhase(sessionPrompts, phase);
+        const basePrompt = phasePrompts[currentPromptIndex % phasePrompts.length];
 
         // Get current progress for display (without advancing state)
         const currentProgress = (Date.now() - session.startTime) / session.duration;
@@ -558,7 +2060,7 @@ async function runSequence() {
         if (settings.pronounProgression && settings.petName) {
           // Blend probability: 0% at progress<0.4, then linear to 100% at progress=1
           const blendChance = currentProgress < 0.4 ? 0 : (currentProgress - 0.4) / 0.6;
-          if (Math.random() < blendChance) {
+          if (session.cueRandom() < blendChance) {
             displayPrompt = transformPrompt(basePrompt, settings.petName);
           }
         }
@@ -566,6 +2068,10 @@ async function runSequence() {
         showPrompt(`Say: ${displayPrompt}`);
         setStatus('Listening...', 'info');
 
+        // Ambient may be running - don't leave it on forever if nobody answers.
+        // With nothing running a long silence is just a quiet user, not a stall.
+        if (devices.isActive) watchdog.arm(LISTEN_DEADLINE);
+        else watchdog.disarm();
         const transcript = await listener.listen();
         if (!isRunning) break;
 
@@ -581,41 +2087,41 @@ async function runSequence() {
         console.log('Match result:', result, 'against variants:', variants);
 
         if (result.match) {
-          const { intensity, delay, reward, progress } = getNextValues(settings, session);
+          watchdog.arm(RECONNECT_DEADLINE);
+          await waitForReconnect();
+          if (!isRunning) break;
+          const { intensity, delay, reward, channels, waveform, ambient, progress } = getNextValues(clampSettings(settings, safetyLimits).settings, session);
 
           // Click first, then vibe (forward conditioning)
           if (settings.clickerEnabled) {
             playClick();
-            await new Promise(r => setTimeout(r, 200 + Math.random() * 300));  // 200-500ms before vibe
+            await sleep(200 + session.cueRandom() * 300);  // 200-500ms before vibe
           }
+          if (!isRunning) break;
 
           showFeedback(settings.rewardText, true);
           const progressPct = Math.round(progress * 100);
           setStatus(`${progressPct}% | ${Math.round(intensity * 100)}% for ${(reward / 1000).toFixed(1)}s`, 'success');
           console.log(`Progress: ${progressPct}%, Intensity: ${Math.round(intensity * 100)}%, Reward: ${reward}ms, Next delay: ${delay}ms`);
 
-          if (device) {
-            await device.activate(intensity);
-            await new Promise(r => setTimeout(r, reward));
-            await device.stop();
-            await new Promise(r => setTimeout(r, 50));  // Let device settle after stop
-          } else {
-            await new Promise(r => setTimeout(r, reward));  // still wait reward duration
-          }
+          watchdog.arm(reward + WATCHDOG_GRACE);
+          await playReward(intensity, channels, waveform, reward);
 
           currentPromptIndex = (currentPromptIndex + 1) % sessionPrompts.length;
 
           // Delay starts AFTER reward/stim finishes
           if (!isRunning) break;
-          await new Promise(r => setTimeout(r, delay));
+          watchdog.arm(delay + WATCHDOG_GRACE);
+          await startAmbient(ambient);  // Keeps running while listening for the next prompt
+          await sleep(delay);
         } else {
           showFeedback('Try again', false);
           setStatus(`No match: "${transcript}"`, 'error');
-          await new Promise(r => setTimeout(r, 1500));
+          await sleep(1500);
         }
       } else {
         // Loading/pairing mode - auto clicker+vibe on timer, no speech
-        const { intensity, delay, reward, progress } = getNextValues(settings, session);
+        const { intensity, delay, reward, channels, waveform, ambient, progress } = getNextValues(clampSettings(settings, safetyLimits).settings, session);
 
         promptEl.classList.remove('visible');
         feedbackEl.classList.remove('visible');
@@ -623,25 +2129,22 @@ async function runSequence() {
         // Click first, then vibe (forward conditioning)
         if (settings.clickerEnabled) {
           playClick();
-          await new Promise(r => setTimeout(r, 200 + Math.random() * 300));  // 200-500ms before vibe
+          await sleep(200 + session.cueRandom() * 300);  // 200-500ms before vibe
         }
+        if (!isRunning) break;
 
         const progressPct = Math.round(progress * 100);
         setStatus(`Loading ${progressPct}% | ${Math.round(intensity * 100)}% for ${(reward / 1000).toFixed(1)}s`, 'success');
         console.log(`Loading mode - Progress: ${progressPct}%, Intensity: ${Math.round(intensity * 100)}%, Reward: ${reward}ms, Next delay: ${delay}ms`);
 
-        if (device) {
-          await device.activate(intensity);
-          await new Promise(r => setTimeout(r, reward));
-          await device.stop();
-          await new Promise(r => setTimeout(r, 50));  // Let device settle after stop
-        } else {
-          await new Promise(r => setTimeout(r, reward));  // still wait reward duration
-        }
+        watchdog.arm(reward + WATCHDOG_GRACE);
+        await playReward(intensity, channels, waveform, reward);
 
         // Delay starts AFTER reward/stim finishes
         if (!isRunning) break;
-        await new Promise(r => setTimeout(r, delay));
+        watchdog.arm(delay + WATCHDOG_GRACE);
+        await startAmbient(ambient);
+        await sleep(delay);
       }
     }
   } catch (e) {
@@ -650,36 +2153,265 @@ async function runSequence() {
       console.error(e);
     }
   } finally {
-    isRunning = false;
-    session = null;
-    if (listener) {
-      listener.stop();  // Fully stop recognition
+    await endSession();
+  }
+}
+
+/**
+ * Cleanup once the live loop or a playback exits
+ */
+async function endSession() {
+  isRunning = false;
+  session = null;
+  player = null;
+  watchdog.disarm();
+  await devices.stop();  // Ambient level may still be running
+  if (listener) {
+    listener.stop();  // Fully stop recognition
+  }
+  document.body.classList.remove('session-active', 'playback-active');
+  startBtn.textContent = 'Start';
+  promptEl.classList.remove('visible');
+  feedbackEl.classList.remove('visible');
+  showPhase(null);
+}
+
+// ============================================================================
+// Timeline Playback - a precomputed session played back on its own clock,
+// timed like loading mode (no speech), with pause and seek
+// ============================================================================
+const PLAYBACK_POLL = 250;  // ms - longest wait before re-checking the clock
+let seekPreview = false;    // Seek slider being dragged - don't move it under the pointer
+
+function formatClock(ms) {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function updatePlaybackBar() {
+  if (!player) return;
+  const { position } = player;
+  const { duration, phases } = player.timeline;
+  if (!seekPreview) {
+    playbackSeek.max = Math.round(duration / 1000);
+    playbackSeek.value = Math.round(position / 1000);
+  }
+  playbackTime.textContent = `${formatClock(position)} / ${formatClock(duration)}`;
+  playbackToggle.textContent = player.playing ? 'Pause' : 'Play';
+  showPhase(phases.find(p => position < p.end) || phases[phases.length - 1] || null, phases);
+}
+
+// Cut the current step short - output stops, pending waits resolve
+function interruptPlayback() {
+  scheduler.cancel();
+  cancelSleeps();
+  devices.stop().catch(e => console.warn('Stop failed:', e));
+}
+
+function handlePlaybackToggle() {
+  if (!player) return;
+  if (player.playing) {
+    player.pause();
+    interruptPlayback();
+    setStatus('Paused', 'info');
+  } else {
+    player.play();
+  }
+  updatePlaybackBar();
+}
+
+function handlePlaybackSeek() {
+  seekPreview = false;
+  if (!player) return;
+  player.seek(Number(playbackSeek.value) * 1000);
+  interruptPlayback();
+  updatePlaybackBar();
+}
+
+/**
+ * Play a timeline (buildTimeline / parseTimeline) step by step at its own times
+ */
+async function runPlayback(timeline) {
+  if (isRunning) return;
+  await stopWizard();
+  const { timeline: limited, clamped } = clampTimeline(timeline, safetyLimits);
+  if (clamped.length > 0) showSafetyNotice(`This playback is limited by your safety settings: ${clamped.join(', ')}`);
+  if (limited.steps.length === 0) {
+    setStatus('Timeline has nothing to play', 'error');
+    return;
+  }
+
+  isRunning = true;
+  player = new TimelinePlayer(limited);
+  document.body.classList.add('session-active', 'playback-active');
+  startBtn.textContent = 'Stop';
+  promptEl.classList.remove('visible');
+  console.log('Playback seed:', limited.seed);
+  player.play();
+  updatePlaybackBar();
+  const barTimer = setInterval(updatePlaybackBar, PLAYBACK_POLL);
+
+  try {
+    while (isRunning) {
+      watchdog.arm(RECONNECT_DEADLINE);
+      await waitForReconnect();
+      if (!isRunning) break;
+
+      if (player.ended) {
+        setStatus(`Playback complete! (seed ${limited.seed})`, 'success');
+        showFeedback('Session Complete', true);
+        break;
+      }
+      if (!player.playing) {
+        watchdog.disarm();
+        await sleep(PLAYBACK_POLL);
+        continue;
+      }
+
+      // Wait for the next step (or the end) in short slices so pause/seek land quickly
+      const step = player.nextStep;
+      const wait = (step ? step.time : limited.duration) - player.position;
+      if (wait > 0) {
+        const ms = Math.min(wait, PLAYBACK_POLL);
+        watchdog.arm(ms + WATCHDOG_GRACE);
+        await sleep(ms);
+        continue;
+      }
+      if (!step) continue;
+
+      const version = player.version;
+      player.advance();
+      feedbackEl.classList.remove('visible');
+
+      // Click first, then vibe (forward conditioning)
+      if (settings.clickerEnabled) playClick();
+      watchdog.arm(step.cue + WATCHDOG_GRACE);
+      await sleep(step.cue);
+      if (!isRunning) break;
+      if (player.version !== version) continue;
+
+      showFeedback(settings.rewardText, true);
+      setStatus(`Playback ${Math.round(step.progress * 100)}% | ${Math.round(step.intensity * 100)}% for ${(step.reward / 1000).toFixed(1)}s`, 'success');
+
+      watchdog.arm(step.reward + WATCHDOG_GRACE);
+      await playReward(step.intensity, step.channels, step.waveform, step.reward);
+      if (!isRunning) break;
+      if (player.version !== version) continue;
+      await startAmbient(step.ambient);  // Runs until the next step
+    }
+  } catch (e) {
+    if (isRunning) {
+      setStatus(`Error: ${e.message}`, 'error');
+      console.error(e);
     }
-    document.body.classList.remove('session-active');
-    startBtn.textContent = 'Start';
-    promptEl.classList.remove('visible');
-    feedbackEl.classList.remove('visible');
+  } finally {
+    clearInterval(barTimer);
+    await endSession();
   }
 }
 
-function stopSequence() {
+/**
+ * End the session loop: no new output, pending waits resolve right away
+ */
+function haltSession() {
   isRunning = false;
+  watchdog.disarm();
   if (listener) {
     listener.stop();  // Fully stop recognition (not just cancel)
   }
-  device?.stop();
-  document.body.classList.remove('session-active');
+  scheduler.cancel();
+  cancelSleeps();
+  document.body.classList.remove('session-active', 'playback-active');
   startBtn.textContent = 'Start';
   promptEl.classList.remove('visible');
   feedbackEl.classList.remove('visible');
+}
+
+async function stopSequence() {
+  haltSession();
   setStatus('Stopped', 'info');
+  await devices.stop();
+}
+
+// ============================================================================
+// Emergency Stop & Watchdog
+// ============================================================================
+const WATCHDOG_GRACE = 3000;        // ms on top of a step's expected length
+const LISTEN_DEADLINE = 120000;     // ms of listening (with ambient on) before outputs stop
+const RECONNECT_DEADLINE = 40000;   // ms - longer than the full reconnect backoff
+
+// Loop step overran its deadline - cut output, the loop resumes if it recovers
+const watchdog = new Watchdog((overdue) => {
+  console.warn(`Session loop stalled (${overdue}ms past deadline), stopping output`);
+  scheduler.cancel();
+  devices.emergencyStop();
+  setStatus('Session stalled - output stopped for safety', 'error');
+});
+
+/**
+ * Panic stop: end the session, cancel pending timers, calibration and
+ * protocol probes, and stop every device (all Coyote channels included)
+ */
+function emergencyStop(reason = 'Emergency stop') {
+  stopGeneration++;
+  haltSession();
+  stopWizard();
+  setStatus(`${reason} - all devices stopped`, 'error');
+  return devices.emergencyStop();
+}
+
+// Typing a space into a prompt shouldn't trigger the panic stop
+function isTextEntry(el) {
+  return el?.matches?.('textarea, select, [contenteditable], input:not([type=checkbox]):not([type=radio]):not([type=range]):not([type=button])');
+}
+
+// Anything driving a device - what the panic keys are for
+function outputActive() {
+  return isRunning || devices.isActive || !!wizard || probing;
+}
+
+// Escape while idle closes the topmost modal instead
+function closeTopModal() {
+  if (startModal.classList.contains('visible')) hideStartModal();
+  else if (vizModal.classList.contains('visible')) hideVisualization();
+  else if (settingsPanel.classList.contains('visible')) closeSettings();
+}
+
+function handleHotkey(e) {
+  if (e.key === 'Escape') {
+    if (outputActive()) emergencyStop();
+    else closeTopModal();
+    return;
+  }
+  // Space only panics while something runs - otherwise it presses the focused button as usual
+  if (e.code === 'Space' && outputActive() && !isTextEntry(e.target)) {
+    e.preventDefault();  // Space would otherwise click the focused button
+    emergencyStop();
+  }
+}
+
+function handleVisibilityChange() {
+  if (document.hidden && outputActive()) {
+    emergencyStop('Page hidden');
+  }
 }
 
 function showStartModal() {
-  sessionDurationInput.value = Math.round(settings.sessionDuration / 60);
+  // A program sets its own length
+  const program = getPhaseTimeline(settings);
+  sessionDurationInput.value = Math.round(getSessionDuration(settings) / 60);
+  sessionDurationInput.disabled = program.length > 0;
+  if (startProgram) {
+    startProgram.textContent = program.map(p => `${p.name} ${formatMinutes((p.end - p.start) / 1000)}`).join(' → ');
+  }
+  if (startSeed) startSeed.textContent = `Seed ${sessionSeed()}${settings.seed != null ? ' (fixed)' : ''}`;
   startModal.classList.add('visible');
-  sessionDurationInput.focus();
-  sessionDurationInput.select();
+  if (program.length > 0) {
+    startSessionBtn.focus();
+  } else {
+    sessionDurationInput.focus();
+    sessionDurationInput.select();
+  }
 }
 
 function hideStartModal() {
@@ -687,12 +2419,34 @@ function hideStartModal() {
 }
 
 function beginSession() {
-  settings.sessionDuration = Math.max(60, (parseInt(sessionDurationInput?.value) || 10) * 60);
-  saveSettings(settings);
+  if (settings.phases.length === 0) {
+    settings.sessionDuration = Math.max(60, (parseInt(sessionDurationInput?.value) || 10) * 60);
+    saveSettings(settings);
+  }
   hideStartModal();
+  if (startPlayback?.checked) {
+    const limited = clampSettings(settings, safetyLimits).settings;
+    runPlayback(buildTimeline(limited, customPatterns, customArcs, takeSeed()));
+    return;
+  }
   runSequence();  // session-active class is added inside runSequence after validation
 }
 
+// Play back a timeline exported earlier
+async function handleTimelineFile() {
+  const file = startTimelineInput.files[0];
+  startTimelineInput.value = '';
+  if (!file) return;
+  try {
+    const timeline = parseTimeline(await file.text());
+    hideStartModal();
+    runPlayback(timeline);
+  } catch (e) {
+    console.warn('Failed to load timeline:', e);
+    setStatus(`Can't play ${file.name}: ${e.message}`, 'error');
+  }
+}
+
 function handleStartStop() {
   if (isRunning) {
     stopSequence();
@@ -706,15 +2460,27 @@ function handleStartStop() {
 // ============================================================================
 prompts = loadPrompts();
 settings = loadSettings();
+customWaveforms = loadCustomWaveforms();
+safetyLimits = loadSafetyLimits();
+customPatterns = loadCustomPatterns();
+customArcs = loadCustomArcs();
+populateTransportSelect();
+populateProtocolSelect();
 
 if (isSharedConfig()) {
   setStatus('Loaded shared config - customize in settings', 'success');
+  applySharedCustomizations(loadSharedCustomizations(), 'Shared config');
+  enforceSafetyLimits('Shared config');
 }
 
 // Event listeners
 connectBtn?.addEventListener('click', handleConnect);
 connectMicBtn?.addEventListener('click', handleConnectMic);
 startBtn?.addEventListener('click', handleStartStop);
+panicBtn?.addEventListener('click', () => emergencyStop());
+document.addEventListener('keydown', handleHotkey);
+document.addEventListener('visibilitychange', handleVisibilityChange);
+window.addEventListener('pagehide', () => emergencyStop('Page closing'));
 testBtn?.addEventListener('click', handleTest);
 settingsBtn?.addEventListener('click', openSettings);
 closeSettingsBtn?.addEventListener('click', closeSettings);
@@ -727,21 +2493,55 @@ startModal?.addEventListener('click', (e) => {
   if (e.target === startModal) hideStartModal();
 });
 startSessionBtn?.addEventListener('click', beginSession);
+startTimelineBtn?.addEventListener('click', () => startTimelineInput?.click());
+startTimelineInput?.addEventListener('change', handleTimelineFile);
+playbackToggle?.addEventListener('click', handlePlaybackToggle);
+playbackSeek?.addEventListener('input', () => { seekPreview = true; });
+playbackSeek?.addEventListener('change', handlePlaybackSeek);
 sessionDurationInput?.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') beginSession();
-  if (e.key === 'Escape') hideStartModal();
 });
 addPromptBtn?.addEventListener('click', handleAddPrompt);
 resetPromptsBtn?.addEventListener('click', handleReset);
 shareBtn?.addEventListener('click', handleShare);
 exportBtn?.addEventListener('click', handleExport);
 importBtn?.addEventListener('click', handleImport);
+[safetyMaxIntensity, safetyMaxReward, safetyMinDelay, safetyMaxSession, safetyRampRate].forEach(el => {
+  el?.addEventListener('blur', handleSafetyChange);
+});
+safetyNoticeClose?.addEventListener('click', () => safetyNotice?.classList.remove('visible'));
 settingsPanel?.addEventListener('click', handleSelectAll);
 promptList?.addEventListener('input', handlePromptChange);
 promptList?.addEventListener('click', handleDeletePrompt);
+deviceList?.addEventListener('input', handleDeviceListInput);
+deviceList?.addEventListener('change', handleDeviceListChange);
+deviceList?.addEventListener('click', handleDeviceListClick);
+devices.onChange(renderDeviceList);
+devices.onFeedback(handleDeviceFeedback);
+devices.onConnectionChange(handleDeviceConnection);
+devices.onOutput(handleDeviceOutput);
+simDisconnectBtn?.addEventListener('click', handleSimDisconnect);
+simFailWriteBtn?.addEventListener('click', handleSimFailWrite);
+waveformEditSelect?.addEventListener('change', handleWaveformSelect);
+[waveformFreqInput, waveformIntensityInput].forEach(el => {
+  el?.addEventListener('input', drawWaveformPreview);
+});
+patternEditSelect?.addEventListener('change', handlePatternSelect);
+patternStepsInput?.addEventListener('input', drawPatternPreview);
+patternPreview?.addEventListener('pointerdown', handlePatternDraw);
+patternPreview?.addEventListener('pointermove', handlePatternDraw);
+phaseList?.addEventListener('change', handlePhaseChange);
+phaseList?.addEventListener('click', handlePhaseAction);
+addPhaseBtn?.addEventListener('click', handleAddPhase);
+programTemplateBtn?.addEventListener('click', handleProgramTemplate);
+patternSaveBtn?.addEventListener('click', handlePatternSave);
+patternDeleteBtn?.addEventListener('click', handlePatternDelete);
+waveformSaveBtn?.addEventListener('click', handleWaveformSave);
+waveformDeleteBtn?.addEventListener('click', handleWaveformDelete);
+waveformTestBtn?.addEventListener('click', handleWaveformTest);
 
 // Settings change listeners - use blur for text/number inputs, change for selects/checkboxes
-[intensityPatterns, delayPatterns, rewardPatterns].forEach(container => {
+[intensityPatterns, delayPatterns, rewardPatterns, coyoteWaveforms].forEach(container => {
   container?.addEventListener('change', (e) => {
     if (e.target.type === 'checkbox') {
       e.target.closest('.pattern-checkbox')?.classList.toggle('checked', e.target.checked);
@@ -749,14 +2549,16 @@ promptList?.addEventListener('click', handleDeletePrompt);
     }
   });
 });
-[intensityMeta, delayMeta, rewardMeta].forEach(el => {
+[intensityMeta, delayMeta, rewardMeta, envelopeShape, ambientMeta, coyoteRouting, coyoteAMeta, coyoteBMeta, coyoteStrengthMode].forEach(el => {
   el?.addEventListener('change', handleSettingsChange);
 });
-[rewardTextInput, petNameInput, settingsDuration, switchMin, switchMax, intensityMin, intensityMax, delayMin, delayMax, rewardMin, rewardMax].forEach(el => {
+[rewardTextInput, petNameInput, settingsDuration, switchMin, switchMax, intensityMin, intensityMax, delayMin, delayMax, rewardMin, rewardMax, envelopeAttack, envelopeRelease, envelopePeriod, envelopeDepth, envelopeTickRate, ambientMin, ambientMax, coyoteAMin, coyoteAMax, coyoteBMin, coyoteBMax, ...Object.values(coyoteConfigInputs)].forEach(el => {
   el?.addEventListener('blur', handleSettingsChange);
 });
 pronounProgressionInput?.addEventListener('change', handleSettingsChange);
 clickerEnabledInput?.addEventListener('change', handleSettingsChange);
+ambientEnabled?.addEventListener('change', handleSettingsChange);
+ambientEstim?.addEventListener('change', handleSettingsChange);
 randomizePromptsInput?.addEventListener('change', handleSettingsChange);
 
 // Collapsible sections
@@ -771,22 +2573,35 @@ function updateCollapsibleSummaries() {
   const intensitySummary = document.getElementById('intensitySummary');
   const rewardSummary = document.getElementById('rewardSummary');
   const delaySummary = document.getElementById('delaySummary');
+  const coyoteSummary = document.getElementById('coyoteSummary');
+  const ambientSummary = document.getElementById('ambientSummary');
 
   if (intensitySummary) {
     intensitySummary.textContent = `${intensityMin?.value || 10}-${intensityMax?.value || 70}%`;
   }
   if (rewardSummary) {
-    rewardSummary.textContent = `${rewardMin?.value || 0.5}-${rewardMax?.value || 1.2}s`;
+    const shapeLabel = envelopeShape?.value && envelopeShape.value !== 'pulse' ? ` | ${envelopeShape.selectedOptions[0].textContent}` : '';
+    rewardSummary.textContent = `${rewardMin?.value || 0.5}-${rewardMax?.value || 1.2}s${shapeLabel}`;
   }
   if (delaySummary) {
     delaySummary.textContent = `${delayMin?.value || 4}-${delayMax?.value || 12}s`;
   }
+  if (ambientSummary) {
+    ambientSummary.textContent = ambientEnabled?.checked ? `${ambientMin?.value || 0}-${ambientMax?.value || 0}%` : 'Off';
+  }
+  if (coyoteSummary) {
+    const routingLabel = coyoteRouting?.selectedOptions[0]?.textContent || '';
+    coyoteSummary.textContent = `${routingLabel} | A ${coyoteAMin?.value || 0}-${coyoteAMax?.value || 0}% | B ${coyoteBMin?.value || 0}-${coyoteBMax?.value || 0}%`;
+  }
 }
 
 // Update summaries on input change
-[intensityMin, intensityMax, rewardMin, rewardMax, delayMin, delayMax].forEach(el => {
+[intensityMin, intensityMax, rewardMin, rewardMax, delayMin, delayMax, ambientMin, ambientMax, coyoteAMin, coyoteAMax, coyoteBMin, coyoteBMax].forEach(el => {
   el?.addEventListener('input', updateCollapsibleSummaries);
 });
+coyoteRouting?.addEventListener('change', updateCollapsibleSummaries);
+envelopeShape?.addEventListener('change', updateCollapsibleSummaries);
+ambientEnabled?.addEventListener('change', updateCollapsibleSummaries);
 updateCollapsibleSummaries();
 
 // Handle URL changes (for shared links pasted into already-open page)
@@ -795,6 +2610,8 @@ onUrlChange(() => {
   settings = loadSettings();
   if (isSharedConfig()) {
     setStatus('Loaded shared config!', 'success');
+    applySharedCustomizations(loadSharedCustomizations(), 'Shared config');
+    enforceSafetyLimits('Shared config');
   }
 });
 
@@ -803,75 +2620,63 @@ onUrlChange(() => {
 // ============================================================================
 const vizModal = document.getElementById('vizModal');
 const vizCanvas = document.getElementById('vizCanvas');
+const vizSeed = document.getElementById('vizSeed');
+const vizSeedLock = document.getElementById('vizSeedLock');
+const vizExport = document.getElementById('vizExport');
+const vizPlay = document.getElementById('vizPlay');
+let previewTimeline = null;  // Last timeline drawn, for export and playback
 const vizRegenerate = document.getElementById('vizRegenerate');
 const vizClose = document.getElementById('vizClose');
 const vizStats = document.getElementById('vizStats');
 const visualizeBtn = document.getElementById('visualizeBtn');
 
 function simulateSession() {
-  // Create a fresh session using current settings
-  const simSession = createSession(settings);
-  const durationMs = settings.sessionDuration * 1000;
-  const avgDelayMs = (settings.delay.min + settings.delay.max) / 2 * 1000;
-  const estimatedPrompts = Math.ceil(durationMs / avgDelayMs) + 10; // +buffer
-
-  const dataPoints = [];
-  let simulatedTime = 0;
-
-  // Track pattern switches
-  let lastIntensityPattern = simSession.intensity.currentPattern;
-  let lastDelayPattern = simSession.delay.currentPattern;
-  let lastRewardPattern = simSession.reward.currentPattern;
-
-  for (let i = 0; i < estimatedPrompts && simulatedTime < durationMs; i++) {
-    // Override session start time to simulate progress
-    simSession.startTime = Date.now() - simulatedTime;
-    const progress = simulatedTime / durationMs;
-
-    // Calculate session arc bounds for this point in time
-    const intensityArc = SESSION_ARCS[settings.intensity.metapattern]?.(progress) || { min: 0, max: 1 };
-    const delayArc = SESSION_ARCS[settings.delay.metapattern]?.(progress) || { min: 0, max: 1 };
-    const rewardArc = SESSION_ARCS[settings.reward.metapattern]?.(progress) || { min: 0, max: 1 };
-
-    // Detect pattern switches
-    const patternSwitches = [];
-    if (simSession.intensity.currentPattern !== lastIntensityPattern) {
-      patternSwitches.push('intensity');
-      lastIntensityPattern = simSession.intensity.currentPattern;
-    }
-    if (simSession.delay.currentPattern !== lastDelayPattern) {
-      patternSwitches.push('delay');
-      lastDelayPattern = simSession.delay.currentPattern;
-    }
-    if (simSession.reward.currentPattern !== lastRewardPattern) {
-      patternSwitches.push('reward');
-      lastRewardPattern = simSession.reward.currentPattern;
-    }
-
-    const values = getNextValues(settings, simSession);
-
-    dataPoints.push({
-      time: simulatedTime,
-      progress,
-      intensity: values.intensity,
-      delay: values.delay,
-      reward: values.reward,
-      // Arc bounds (normalized 0-1 within configured min/max)
-      intensityArcMin: settings.intensity.min + (settings.intensity.max - settings.intensity.min) * intensityArc.min,
-      intensityArcMax: settings.intensity.min + (settings.intensity.max - settings.intensity.min) * intensityArc.max,
-      delayArcMin: settings.delay.min + (settings.delay.max - settings.delay.min) * delayArc.min,
-      delayArcMax: settings.delay.min + (settings.delay.max - settings.delay.min) * delayArc.max,
-      rewardArcMin: settings.reward.min + (settings.reward.max - settings.reward.min) * rewardArc.min,
-      rewardArcMax: settings.reward.min + (settings.reward.max - settings.reward.min) * rewardArc.max,
+  // The exact timeline a playback with this seed would run
+  const limited = clampSettings(settings, safetyLimits).settings;
+  previewTimeline = buildTimeline(limited, customPatterns, customArcs, sessionSeed());
+  const lastPatterns = {};
+
+  const dataPoints = previewTimeline.steps.map(step => {
+    // Session arc bounds at this step - arcs run per phase in a program
+    const phase = previewTimeline.phases[step.phase];
+    const active = getPhaseSettings(limited, step.phase);
+    const arcProgress = phase ? (step.time - phase.start) / (phase.end - phase.start) : step.progress;
+    const arcBounds = (key) => {
+      const arc = getSessionArc(active[key].metapattern, arcProgress, customArcs);
+      const { min, max } = active[key];
+      return [min + (max - min) * arc.min, min + (max - min) * arc.max];
+    };
+    const [intensityArcMin, intensityArcMax] = arcBounds('intensity');
+    const [delayArcMin, delayArcMax] = arcBounds('delay');
+    const [rewardArcMin, rewardArcMax] = arcBounds('reward');
+
+    // Pattern switches since the previous step
+    const patternSwitches = Object.keys(step.patterns)
+      .filter(key => lastPatterns[key] && lastPatterns[key] !== step.patterns[key]);
+    Object.assign(lastPatterns, step.patterns);
+
+    return {
+      time: step.time,
+      progress: step.progress,
+      intensity: step.intensity,
+      ambient: step.ambient,
+      delay: step.delay,
+      reward: step.reward,
+      intensityArcMin,
+      intensityArcMax,
+      delayArcMin,
+      delayArcMax,
+      rewardArcMin,
+      rewardArcMax,
+      phase: step.phase,
       patternSwitches,
-    });
-
-    simulatedTime += values.delay;
-  }
+    };
+  });
 
   // Debug: log time gaps to verify spacing
   console.log('Session simulation:', {
-    duration: `${settings.sessionDuration / 60}min`,
+    seed: previewTimeline.seed,
+    duration: `${previewTimeline.duration / 60000}min`,
     delaySettings: `${settings.delay.min}-${settings.delay.max}s, arc=${settings.delay.metapattern}`,
     totalPrompts: dataPoints.length,
     first5times: dataPoints.slice(0, 5).map(d => (d.time / 1000).toFixed(1)),
@@ -883,6 +2688,26 @@ function simulateSession() {
   return dataPoints;
 }
 
+// Save the previewed timeline as JSON - "Play timeline" on the start screen replays it
+function handleTimelineExport() {
+  if (!previewTimeline) return;
+  const url = URL.createObjectURL(new Blob([exportTimeline(previewTimeline)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `timeline-${previewTimeline.seed}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Play exactly what the preview shows
+function handleTimelinePlay() {
+  if (!previewTimeline || isRunning) return;
+  const timeline = previewTimeline;
+  takeSeed();
+  hideVisualization();
+  runPlayback(timeline);
+}
+
 function drawVisualization(dataPoints) {
   const ctx = vizCanvas.getContext('2d');
   const dpr = window.devicePixelRatio || 1;
@@ -902,7 +2727,16 @@ function drawVisualization(dataPoints) {
 
   if (dataPoints.length === 0) return;
 
-  const durationMs = settings.sessionDuration * 1000;
+  // Duration and phases as the timeline ran them - after any safety caps
+  const { duration: durationMs, phases: timeline } = previewTimeline;
+
+  // With a program the scale covers every phase's range
+  const phaseSettings = [settings, ...timeline.map(p => getPhaseSettings(settings, p.index))];
+  const scale = (key) => ({
+    min: Math.min(...phaseSettings.map(s => s[key].min)),
+    max: Math.max(...phaseSettings.map(s => s[key].max)),
+  });
+  const arcName = (key) => (timeline.length > 0 ? 'per phase' : settings[key].metapattern);
 
   // Three stacked sub-graphs
   const graphs = [
@@ -911,15 +2745,15 @@ function drawVisualization(dataPoints) {
       color: '#00ff88',
       colorFaded: 'rgba(0, 255, 136, 0.15)',
       getValue: d => d.intensity,
+      getBaseline: settings.ambient.enabled ? d => d.ambient : null,
       getArcMin: d => d.intensityArcMin,
       getArcMax: d => d.intensityArcMax,
-      min: settings.intensity.min,
-      max: settings.intensity.max,
+      ...scale('intensity'),
       configMin: settings.intensity.min,
       configMax: settings.intensity.max,
       unit: '%',
       formatVal: v => Math.round(v * 100),
-      metapattern: settings.intensity.metapattern,
+      metapattern: arcName('intensity'),
     },
     {
       label: 'Delay',
@@ -928,13 +2762,12 @@ function drawVisualization(dataPoints) {
       getValue: d => d.delay / 1000,
       getArcMin: d => d.delayArcMin,
       getArcMax: d => d.delayArcMax,
-      min: settings.delay.min,
-      max: settings.delay.max,
+      ...scale('delay'),
       configMin: settings.delay.min,
       configMax: settings.delay.max,
       unit: 's',
       formatVal: v => v.toFixed(1),
-      metapattern: settings.delay.metapattern,
+      metapattern: arcName('delay'),
     },
     {
       label: 'Reward',
@@ -943,13 +2776,12 @@ function drawVisualization(dataPoints) {
       getValue: d => d.reward / 1000,
       getArcMin: d => d.rewardArcMin,
       getArcMax: d => d.rewardArcMax,
-      min: settings.reward.min,
-      max: settings.reward.max,
+      ...scale('reward'),
       configMin: settings.reward.min,
       configMax: settings.reward.max,
       unit: 's',
       formatVal: v => v.toFixed(1),
-      metapattern: settings.reward.metapattern,
+      metapattern: arcName('reward'),
     },
   ];
 
@@ -1062,6 +2894,22 @@ function drawVisualization(dataPoints) {
     });
     ctx.stroke();
 
+    // Ambient baseline between rewards (clamped to the plot)
+    if (graph.getBaseline) {
+      ctx.strokeStyle = graph.color;
+      ctx.globalAlpha = 0.5;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      dataPoints.forEach((d, i) => {
+        const x = timeToX(d.time);
+        const y = Math.min(graphBottom, Math.max(graphTop, valueToY(graph.getBaseline(d))));
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
     // Draw dots
     ctx.fillStyle = graph.color;
     dataPoints.forEach(d => {
@@ -1096,12 +2944,36 @@ function drawVisualization(dataPoints) {
     ctx.fillText(`(${arcLabel})`, padding.left + 6 + ctx.measureText(graph.label).width + 6, graphTop + 5);
   });
 
+  // Program phase boundaries across all three graphs, names along the bottom
+  if (timeline.length > 0) {
+    const plotBottom = height - padding.bottom;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    timeline.slice(1).forEach(p => {
+      const x = padding.left + (p.start / durationMs) * plotWidth;
+      ctx.beginPath();
+      ctx.moveTo(x, padding.top);
+      ctx.lineTo(x, plotBottom);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px system-ui';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    timeline.forEach(p => {
+      ctx.fillText(p.name, padding.left + (p.start / durationMs) * plotWidth + 4, plotBottom - 3);
+    });
+  }
+
   // X-axis labels (only once at bottom)
   ctx.fillStyle = '#888';
   ctx.font = '11px monospace';
   ctx.textAlign = 'center';
   ctx.textBaseline = 'top';
-  const durationMin = settings.sessionDuration / 60;
+  const durationMin = durationMs / 60000;
   for (let i = 0; i <= 4; i++) {
     const x = padding.left + (plotWidth / 4) * i;
     const mins = (durationMin / 4) * i;
@@ -1116,14 +2988,65 @@ function drawVisualization(dataPoints) {
   vizStats.innerHTML = `<strong>${dataPoints.length} prompts</strong> over ${durationMin.toFixed(0)} min &nbsp;|&nbsp; ` +
     `<span style="color:#00ff88">Avg intensity: ${Math.round(avgIntensity * 100)}%</span> &nbsp;|&nbsp; ` +
     `<span style="color:#00d4ff">Avg delay: ${avgDelay.toFixed(1)}s</span> &nbsp;|&nbsp; ` +
-    `<span style="color:#ff6b6b">Avg reward: ${avgReward.toFixed(2)}s</span>`;
+    `<span style="color:#ff6b6b">Avg reward: ${avgReward.toFixed(2)}s</span> &nbsp;|&nbsp; ` +
+    `Seed ${sessionSeed()}`;
+}
+
+// Seed the next session and the preview share - fixed in settings, or rolled per session
+function sessionSeed() {
+  return settings.seed ?? pendingSeed;
+}
+
+// Seed for a session starting now - the next preview/session gets a fresh one unless it's fixed
+function takeSeed() {
+  const seed = sessionSeed();
+  if (settings.seed == null) pendingSeed = randomSeed();
+  return seed;
+}
+
+function renderSeed() {
+  if (vizSeed) vizSeed.value = sessionSeed();
+  if (vizSeedLock) vizSeedLock.checked = settings.seed != null;
+}
+
+function handleSeedInput() {
+  const seed = normalizeSeed(vizSeed.value);
+  if (seed == null) {
+    renderSeed();
+    return;
+  }
+  pendingSeed = seed;
+  if (settings.seed != null) {
+    settings.seed = seed;
+    saveSettings(settings);
+  }
+  renderSeed();
+  regenerateVisualization();
+}
+
+// A fixed seed is saved and shared with the config
+function handleSeedLock() {
+  settings.seed = vizSeedLock.checked ? sessionSeed() : null;
+  saveSettings(settings);
+  renderSeed();
+}
+
+// New seed unless it's fixed - then Regenerate just redraws
+function handleRegenerate() {
+  if (settings.seed == null) pendingSeed = randomSeed();
+  renderSeed();
+  regenerateVisualization();
 }
 
 function showVisualization() {
   // Make sure settings are up to date
   handleSettingsChange();
   vizModal.classList.add('visible');
+  renderSeed();
   regenerateVisualization();
+  // Start from the intensity arc - the one most worth reshaping
+  populateArcEditSelect(settings.intensity.metapattern);
+  handleArcSelect();
 }
 
 function regenerateVisualization() {
@@ -1136,12 +3059,29 @@ function hideVisualization() {
 }
 
 visualizeBtn?.addEventListener('click', showVisualization);
-vizRegenerate?.addEventListener('click', regenerateVisualization);
+vizRegenerate?.addEventListener('click', handleRegenerate);
+vizExport?.addEventListener('click', handleTimelineExport);
+vizPlay?.addEventListener('click', handleTimelinePlay);
+vizSeed?.addEventListener('change', handleSeedInput);
+vizSeedLock?.addEventListener('change', handleSeedLock);
 vizClose?.addEventListener('click', hideVisualization);
 vizModal?.addEventListener('click', (e) => {
   if (e.target === vizModal) hideVisualization();
 });
 
+arcEditSelect?.addEventListener('change', handleArcSelect);
+arcEasing?.addEventListener('change', () => {
+  if (!arcDraft) return;
+  arcDraft.easing = arcEasing.value;
+  drawArcEditor();
+});
+arcCanvas?.addEventListener('pointerdown', handleArcPointerDown);
+arcCanvas?.addEventListener('pointermove', handleArcPointerMove);
+arcCanvas?.addEventListener('pointerup', handleArcPointerUp);
+arcCanvas?.addEventListener('dblclick', handleArcDoubleClick);
+arcSaveBtn?.addEventListener('click', handleArcSave);
+arcDeleteBtn?.addEventListener('click', handleArcDelete);
+
 // Init status
 if (!isSharedConfig()) {
   setStatus('Ready', 'info');
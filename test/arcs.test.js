@@ -0,0 +1,82 @@
+/**
+ * Keyframe session arc tests - interpolation, sharing round trip and merging
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SETTINGS, evaluateKeyframes, getSessionArc, exportConfig, importConfig,
+  mergeSharedArcs, missingArcs, createSession, getNextValues,
+} from '../src/config.js';
+
+console.warn = () => {};
+
+const RAMP = { easing: 'linear', keyframes: [{ t: 0, min: 0, max: 0.5 }, { t: 1, min: 0.5, max: 1 }] };
+
+const settingsWith = (metapattern) => {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  settings.intensity.metapattern = metapattern;
+  return settings;
+};
+
+test('evaluateKeyframes interpolates linearly and holds past the ends', () => {
+  assert.deepEqual(evaluateKeyframes(RAMP, 0.5), { min: 0.25, max: 0.75 });
+
+  const late = { easing: 'linear', keyframes: [{ t: 0.25, min: 0.1, max: 0.3 }, { t: 0.75, min: 0.4, max: 0.9 }] };
+  assert.deepEqual(evaluateKeyframes(late, 0), { min: 0.1, max: 0.3 });
+  assert.deepEqual(evaluateKeyframes(late, 1), { min: 0.4, max: 0.9 });
+});
+
+test('eased arcs match linear at the midpoint but start slower', () => {
+  const eased = { ...RAMP, easing: 'ease' };
+  assert.deepEqual(evaluateKeyframes(eased, 0.5), evaluateKeyframes(RAMP, 0.5));
+  assert.ok(evaluateKeyframes(eased, 0.1).max < evaluateKeyframes(RAMP, 0.1).max);
+});
+
+test('getSessionArc prefers built-ins, then custom, else the full range', () => {
+  assert.deepEqual(getSessionArc('ramp', 1, { ramp: RAMP }), { min: 0.5, max: 1 });
+  assert.deepEqual(getSessionArc('nope', 0.5, { ramp: RAMP }), { min: 0, max: 1 });
+});
+
+test('export carries only the custom arcs the settings use', () => {
+  const arcs = { ramp: RAMP, unused: RAMP };
+  const config = importConfig(exportConfig(['I obey'], settingsWith('ramp'), { arcs }));
+  assert.deepEqual(config.arcs, { ramp: RAMP });
+  assert.equal(config.settings.intensity.metapattern, 'ramp');
+});
+
+test('importConfig sorts keyframes and drops arcs shadowing built-ins', () => {
+  const arcs = {
+    flipped: { keyframes: [{ t: 1, min: 1, max: 0.5 }, { t: 0, min: 0, max: 0 }] },
+    constant: RAMP,
+    bad: { keyframes: [{ t: 'x' }] },
+  };
+  const config = importConfig(btoa(JSON.stringify({ prompts: ['x'], arcs })));
+  assert.deepEqual(config.arcs, {
+    flipped: { easing: 'linear', keyframes: [{ t: 0, min: 0, max: 0 }, { t: 1, min: 0.5, max: 1 }] },
+  });
+});
+
+test('a shared arc never overwrites a different local one', () => {
+  const local = { ramp: { ...RAMP, easing: 'ease' } };
+  const merged = mergeSharedArcs(local, { ramp: RAMP }, settingsWith('ramp'));
+  assert.deepEqual(merged.renamed, { ramp: 'ramp 2' });
+  assert.deepEqual(merged.arcs['ramp 2'], RAMP);
+  assert.equal(merged.settings.intensity.metapattern, 'ramp 2');
+  assert.deepEqual(merged.arcs.ramp, local.ramp);
+});
+
+test('missingArcs lists unknown arc names only', () => {
+  assert.deepEqual(missingArcs(settingsWith('ghost'), { ramp: RAMP }), ['ghost']);
+  assert.deepEqual(missingArcs(settingsWith('ramp'), { ramp: RAMP }), []);
+});
+
+test('a session follows its custom arc', () => {
+  const settings = settingsWith('flat');
+  settings.intensity.min = 0;
+  settings.intensity.max = 1;
+  const flat = { easing: 'linear', keyframes: [{ t: 0, min: 0.4, max: 0.4 }] };
+  const session = createSession(settings, {}, { flat });
+  assert.equal(getNextValues(settings, session).intensity, 0.4);
+});
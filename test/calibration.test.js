@@ -0,0 +1,69 @@
+/**
+ * Calibration tests - floor, gamma and step quantization across device resolutions
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calibrate, normalizeCalibration, profileFromMarks, DEFAULT_CALIBRATION } from '../src/haptic/calibration.js';
+import { DeviceManager } from '../src/haptic/devices.js';
+
+test('default calibration is plain rounding to the device step', () => {
+  assert.deepEqual(calibrate(0.5, DEFAULT_CALIBRATION, 20), { level: 0.5, step: 10, steps: 20 });
+  // Low levels still vanish on coarse devices without a floor
+  assert.equal(calibrate(0.02, DEFAULT_CALIBRATION, 20).step, 0);
+  assert.equal(calibrate(0.02, DEFAULT_CALIBRATION, 255).step, 5);
+});
+
+test('floor lifts any non-zero request to at least one step', () => {
+  const cal = { floor: 0.1, gamma: 1 };
+  assert.equal(calibrate(0.02, cal, 20).step, 2);
+  assert.equal(calibrate(0.001, { floor: 0.01, gamma: 1 }, 20).step, 1);
+  assert.equal(calibrate(0, cal, 20).step, 0);
+  assert.equal(calibrate(1, cal, 20).step, 20);
+});
+
+test('gamma bends the curve above the floor', () => {
+  assert.equal(calibrate(0.25, { floor: 0, gamma: 0.5 }, 100).step, 50);
+  assert.equal(calibrate(0.5, { floor: 0, gamma: 2 }, 100).step, 25);
+});
+
+test('profileFromMarks: felt -> floor, maximum -> ceiling, comfortable at 0.5', () => {
+  const profile = profileFromMarks({ felt: 0.1, comfortable: 0.2, max: 0.5 });
+  assert.equal(profile.floor, 0.1);
+  assert.equal(profile.ceiling, 0.5);
+  assert.equal(calibrate(0.5, profile, 200).step, 40);  // comfortable
+  assert.equal(calibrate(1, profile, 200).step, 100);   // maximum
+  assert.equal(calibrate(0.001, profile, 200).step, 20); // just above first felt
+
+  // No comfortable mark keeps a linear curve
+  assert.equal(profileFromMarks({ felt: 0.1, max: 0.5 }).gamma, 1);
+});
+
+test('normalizeCalibration clamps stored values', () => {
+  assert.deepEqual(normalizeCalibration({ floor: 2, gamma: 0 }), { floor: 0.9, gamma: 0.2, ceiling: 1 });
+  assert.deepEqual(normalizeCalibration({ floor: 0.3, ceiling: 0.1 }), { floor: 0.3, gamma: 1, ceiling: 0.3 });
+  assert.deepEqual(normalizeCalibration({ floor: 'x' }), DEFAULT_CALIBRATION);
+});
+
+test('device manager sends the calibrated step and reports it', async () => {
+  const sent = [];
+  const device = {
+    name: 'fake',
+    connected: true,
+    features: { motorCount: 1, maxIntensity: 20, type: 'vibrator', commandInterval: 50 },
+    onFeedback: () => () => {},
+    onConnectionChange: () => () => {},
+    send: async (level) => sent.push(level),
+  };
+  const devices = new DeviceManager();
+  const entry = devices.add(device, { floor: 0.1, gamma: 1 });
+  const reports = [];
+  devices.onOutput((e, out) => reports.push(out));
+
+  devices.setScale(entry.id, 0.5);
+  await devices.send(0.04);  // 0.02 after scale -> floor -> 2 of 20
+  assert.deepEqual(sent, [0.1]);
+  assert.deepEqual(entry.output, [2]);
+  assert.deepEqual(reports, [[{ level: 0.1, step: 2, steps: 20 }]]);
+});
@@ -0,0 +1,113 @@
+/**
+ * Protocol detection tests - real advertised names against the expected protocol
+ * Names come from the buttplug device config (src/haptic/device-config.json)
+ * and the DG-LAB docs. Run with `npm test`
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectProtocol, explainDetection } from '../src/haptic/protocols/index.js';
+
+const base = (short) => `0000${short}-0000-1000-8000-00805f9b34fb`;
+const service = (uuid) => ({ uuid });
+
+// Detection logs its pick - mocked per test, restored after each
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+// [advertised name, expected protocol id (null = unsupported)]
+const NAMES = [
+  ['LVS-Lush3', 'lovense'],
+  ['LVS-Domi', 'lovense'],
+  ['LVS-Max', 'lovense'],
+  ['SF Curvy 2+', 'satisfyer'],
+  ['Satisfyer Pro', 'satisfyer'],
+  ['Nova', 'wevibe'],
+  ['Nova 2', 'wevibe'],
+  ['Sync Lite', 'wevibe'],
+  ['Jive 2', 'wevibe'],
+  ['F1s', 'lelo'],
+  ['Hugo2', 'lelo'],
+  ['Ida Wave', 'lelo'],
+  ['Tiani Harmony', 'lelo'],
+  ['Pearl3', 'kiiroo'],
+  ['Onyx2.1', 'kiiroo'],
+  ['Titan1.1', 'kiiroo'],
+  ['Cliona', 'kiiroo'],
+  ['Alex NEO 2', 'svakom'],
+  ['Sam Neo 2 Pro', 'svakom'],
+  ['Emma Neo 2', 'svakom'],
+  ['Iker Neo', 'svakom'],
+  ['Pulse Union', 'svakom'],
+  ['Pulse Galaxie', 'svakom'],
+  ['Kegel Coach', 'magicmotion'],
+  ['Flamingo T', 'magicmotion'],
+  ['Eidolon', 'magicmotion'],
+  ['Massage Demo', 'aneros'],
+  ['47L121000', 'coyote'],
+  ['D-LAB ESTIM01', 'coyote'],
+  // Unsupported brands that used to collide with short patterns
+  ['Pulse Interactive', null],  // Hot Octopuss, not Svakom
+  ['Viviana', null],            // Svakom, not the Aneros Vivi
+  ['We-Vibe Rocketman', null],  // Kiiroo protocol despite the name
+  ['116', null],
+];
+
+for (const [name, expected] of NAMES) {
+  test(`detects ${name} as ${expected ?? 'unknown'}`, () => {
+    assert.equal(explainDetection(name, []).id, expected);
+    assert.equal(detectProtocol(name, [])?.id ?? null, expected);
+  });
+}
+
+test('only Svakom Pulse models match the Pulse pattern', () => {
+  for (const name of ['Pulse Union', 'Pulse Galaxie', 'Pulse Lite Neo', 'pulse lite']) {
+    const report = explainDetection(name, []);
+    assert.equal(report.id, 'svakom', name);
+    assert.equal(report.pattern, '/^Pulse (Union|Galaxie|Lite)/i');
+  }
+  for (const name of ['Pulse Solo', 'Pulse', 'PulseUnion']) {
+    assert.equal(explainDetection(name, []).id, null, name);
+  }
+});
+
+test('Coyote names need one of its advertised prefixes', () => {
+  assert.equal(explainDetection('DG-LAB Coyote', []).id, 'coyote');
+  // Used to match a bare /estim/i anywhere in the name
+  for (const name of ['My Estim Box', 'ESTIM-2B', 'D-LAB Other']) {
+    assert.equal(explainDetection(name, []).id, null, name);
+  }
+});
+
+test('service UUID alone identifies nameless devices', () => {
+  const report = explainDetection('', [service('5a300001-0024-4bd4-bbd5-a6920e4c5653')]);
+  assert.equal(report.id, 'lovense');
+  assert.equal(report.matchedBy, 'service');
+  assert.equal(report.uuid, '5a300001-0024-4bd4-bbd5-a6920e4c5653');
+  assert.equal(report.pattern, null);
+});
+
+test('a name match beats a generic service UUID from another brand', () => {
+  // fff0 is Satisfyer's service but also used by plenty of cheap devices
+  const report = explainDetection('Nova 2', [service(base('fff0'))]);
+  assert.equal(report.id, 'wevibe');
+  assert.equal(report.matchedBy, 'name');
+  assert.equal(report.pattern, '/^Nova/');
+  assert.deepEqual(report.candidates.map(c => [c.id, c.matchedBy]), [['wevibe', 'name'], ['satisfyer', 'service']]);
+});
+
+test('name and service together are reported as such', () => {
+  const report = explainDetection('Nova', [service(base('fff0')), service('f000bb03-0451-4000-b000-000000000000')]);
+  assert.equal(report.id, 'wevibe');
+  assert.equal(report.matchedBy, 'config+service');
+  assert.equal(report.uuid, 'f000bb03-0451-4000-b000-000000000000');
+  assert.deepEqual(report.candidates.map(c => c.id), ['wevibe', 'satisfyer']);
+});
+
+test('unknown devices report no candidates', () => {
+  const report = explainDetection('Mystery Toy', [service(base('180f'))]);
+  assert.deepEqual(report, { id: null, matchedBy: null, pattern: null, uuid: null, device: null, candidates: [] });
+  assert.equal(detectProtocol('Mystery Toy', [service(base('180f'))]), null);
+});
@@ -0,0 +1,161 @@
+/**
+ * Generated device table tests - update-devices extraction, diff/check and detection
+ * Uses a small excerpt in buttplug's config shape, so no network is needed.
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import {
+  extractDeviceConfig, parseFeatures, v2Features, buildDeviceConfig, diffDeviceConfig,
+} from '../scripts/device-metadata.js';
+import { explainDetection, applyDeviceMetadata, lovense, svakom, wevibe } from '../src/haptic/protocols/index.js';
+
+const vibrate = (max) => ({ output: { vibrate: { value: [0, max] } } });
+
+const BUTTPLUG = {
+  version: { major: 4, minor: 1 },
+  protocols: {
+    'lovense': {
+      communication: [{ btle: { names: ['LVS-*'], services: { '5A300001-0024-4BD4-BBD5-A6920E4C5653': { tx: '5a300002-0024-4bd4-bbd5-a6920e4c5653', rx: '5a300003-0024-4bd4-bbd5-a6920e4c5653' } } } }],
+      defaults: { name: 'Lovense Device', features: [vibrate(20)] },
+      configurations: [{ identifier: ['P'], name: 'Lovense Edge', features: [vibrate(20), vibrate(20)] }],
+    },
+    'svakom-v1': {
+      communication: [{ btle: { names: ['Emma NEO'], services: { '0000ffe0-0000-1000-8000-00805f9b34fb': { tx: '0000ffe1-0000-1000-8000-00805f9b34fb' } } } }],
+      defaults: { name: 'Svakom Device', features: [vibrate(10)] },
+    },
+    'hot-octopuss': {
+      communication: [{ btle: { names: ['Pulse Interactive', 'Sam Pulse'], services: { '0000fff0-0000-1000-8000-00805f9b34fb': { tx: '0000fff1-0000-1000-8000-00805f9b34fb' } } } }],
+      defaults: { name: 'Hot Octopuss Pulse', features: [vibrate(100), { output: { oscillate: { value: [0, 100] } } }] },
+    },
+    'serial-only': {
+      communication: [{ serial: { port: 'default' } }],
+    },
+  },
+};
+
+const { filters, services, protocols, devices } = extractDeviceConfig(BUTTPLUG);
+
+test('extracts filters and lower-cased service UUIDs', () => {
+  assert.deepEqual(filters, [{ name: 'Emma NEO' }, { name: 'Pulse Interactive' }, { name: 'Sam Pulse' }, { namePrefix: 'LVS-' }]);
+  assert.ok(services.includes('5a300001-0024-4bd4-bbd5-a6920e4c5653'));
+  assert.equal(services.length, 3);
+});
+
+test('per-device metadata: protocol, label, feature counts, steps', () => {
+  assert.deepEqual(devices.find(d => d.name === 'Emma NEO'), {
+    name: 'Emma NEO', source: 'svakom-v1', protocol: 'svakom', label: 'Svakom Device', features: { vibrate: 1 }, steps: [10],
+  });
+  // Unsupported protocols are kept so the device is still recognised
+  const pulse = devices.find(d => d.name === 'Pulse Interactive');
+  assert.equal(pulse.protocol, null);
+  assert.deepEqual(pulse.features, { vibrate: 1, oscillate: 1 });
+  assert.deepEqual(protocols['svakom-v1'].services, { '0000ffe0-0000-1000-8000-00805f9b34fb': { tx: '0000ffe1-0000-1000-8000-00805f9b34fb' } });
+});
+
+test('parseFeatures accepts v3 actuator features', () => {
+  const v3 = [{ 'feature-type': 'Vibrate', actuator: { 'step-range': [0, 15], messages: ['ScalarCmd'] } }];
+  assert.deepEqual(parseFeatures(v3), { features: { vibrate: 1 }, steps: [15] });
+});
+
+test('v2 configs: btle per protocol, outputs per message', () => {
+  const v2 = extractDeviceConfig({
+    version: { major: 2, minor: 17 },
+    protocols: {
+      'svakom': {
+        btle: { names: ['Emma NEO'], services: { '0000FFE0-0000-1000-8000-00805f9b34fb': { tx: '0000ffe1-0000-1000-8000-00805f9b34fb' } } },
+        defaults: { name: 'Svakom Device', messages: { ScalarCmd: [{ StepRange: [0, 19], ActuatorType: 'Vibrate' }] } },
+      },
+      'lelo-f1s': {
+        btle: { names: ['F1s'], services: {} },
+        defaults: { name: 'Lelo F1s', messages: { ScalarCmd: [{ StepRange: [0, 100], ActuatorType: 'Vibrate' }, { StepRange: [0, 100], ActuatorType: 'Vibrate' }] } },
+      },
+      'hid-only': { hid: {} },
+    },
+  });
+  assert.deepEqual(v2.devices.map(d => [d.name, d.protocol, d.steps]), [['Emma NEO', 'svakom', [19]], ['F1s', 'lelo', [100, 100]]]);
+  assert.ok(v2.services.includes('0000ffe0-0000-1000-8000-00805f9b34fb'));
+  assert.deepEqual(parseFeatures(v2Features({ RotateCmd: [{ StepRange: [0, 20] }] })).features, { rotate: 1 });
+});
+
+test('detection prefers the generated table and silences conflicting patterns', () => {
+  // /^Sam/ says Svakom, but the table knows this name belongs to an unsupported brand
+  const report = explainDetection('Sam Pulse', [], devices);
+  assert.equal(report.id, null);
+  assert.equal(report.device.source, 'hot-octopuss');
+  assert.equal(report.candidates[0].overridden, true);
+
+  const emma = explainDetection('Emma NEO', [], devices);
+  assert.equal(emma.id, 'svakom');
+  assert.equal(emma.matchedBy, 'config');
+  assert.equal(emma.pattern, 'Emma NEO');
+
+  assert.equal(explainDetection('LVS-Gush', [], devices).device.namePrefix, 'LVS-');
+
+  // Another protocol revision of the same brand keeps the brand's pattern
+  const alex = explainDetection('Alex NEO 2', [], [{ name: 'Alex NEO 2', source: 'svakom-alex-v2', protocol: null }]);
+  assert.equal(alex.id, 'svakom');
+  assert.equal(alex.matchedBy, 'name');
+});
+
+test('applyDeviceMetadata scales the builder to the device step range', () => {
+  const emma = explainDetection('Emma NEO', [], devices).device;
+  const tuned = applyDeviceMetadata(svakom, emma);
+  assert.equal(tuned.maxIntensity, 10);
+  assert.deepEqual([...tuned.buildCommand(0.5)], [0x55, 0x04, 0x03, 0x00, 0x01, 5]);
+  assert.equal(svakom.maxIntensity, 255);  // Shared builder untouched
+
+  // Only applies to the protocol the table names, never widens motor count
+  assert.equal(applyDeviceMetadata(lovense, emma), lovense);
+  assert.equal(applyDeviceMetadata(wevibe, { protocol: 'wevibe', steps: [15] }).motorCount, 1);
+});
+
+test('buildDeviceConfig always carries the Coyote entries', () => {
+  const built = buildDeviceConfig(BUTTPLUG);
+  assert.equal(built._version, '4.1');
+  assert.ok(built.filters.some(f => f.namePrefix === '47L'));
+  assert.ok(built.services.includes('0000180c-0000-1000-8000-00805f9b34fb'));
+
+  // Upstream never lists them, so an update against the committed config keeps them
+  const diff = diffDeviceConfig({ filters: [{ namePrefix: '47L' }], services: ['0000180c-0000-1000-8000-00805f9b34fb'] }, built);
+  assert.deepEqual([diff.removedFilters, diff.removedServices], [[], []]);
+});
+
+test('diff report', () => {
+  const before = { filters: [{ name: 'Nova' }, { namePrefix: '47L' }], services: ['0000180c-0000-1000-8000-00805f9b34fb', 'aaaa'] };
+  const after = { filters: [{ name: 'Nova 2' }], services: ['aaaa', 'bbbb'] };
+  const diff = diffDeviceConfig(before, after);
+  assert.deepEqual(diff, {
+    addedFilters: ['Nova 2'],
+    removedFilters: ['Nova', '47L*'],
+    addedServices: ['bbbb'],
+    removedServices: ['0000180c-0000-1000-8000-00805f9b34fb'],
+  });
+});
+
+test('--check exits non-zero when the committed config is stale', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devices-'));
+  const source = path.join(dir, 'buttplug.json');
+  fs.writeFileSync(source, JSON.stringify(BUTTPLUG));
+
+  const run = spawnSync(process.execPath, ['scripts/update-devices.js', source, '--check'], { encoding: 'utf8' });
+  fs.rmSync(dir, { recursive: true });
+
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /stale/);
+  assert.match(run.stdout, /- filter  Nova/);
+});
+
+test('the shipped device-config.json resolves known devices through its table', () => {
+  const shipped = JSON.parse(fs.readFileSync(new URL('../src/haptic/device-config.json', import.meta.url), 'utf8'));
+  const report = explainDetection('LVS-Lush3', [], shipped.devices);
+  assert.equal(report.id, 'lovense');
+  assert.equal(report.matchedBy, 'config');
+  assert.equal(report.device.source, 'lovense');
+  assert.ok(shipped.protocols.lovense.services['5a300001-0024-4bd4-bbd5-a6920e4c5653']?.tx);
+});
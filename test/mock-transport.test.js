@@ -0,0 +1,251 @@
+/**
+ * Mock transport tests - drive vibrator.js connect() against simulated devices
+ * Run with `npm test`
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from '../src/haptic/vibrator.js';
+import { MockBluetooth } from '../src/haptic/mock.js';
+
+const bytes = (...values) => new Uint8Array(values);
+const text = (data) => new TextDecoder().decode(data);
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Keep test output readable - the connect path logs a lot. Mocked per test
+// (restored after each) so nothing else loses its console.
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('lovense: writes text vibrate commands', async () => {
+  const bluetooth = new MockBluetooth('lovense');
+  const device = await connect({ bluetooth });
+  await device.send(0.5);
+  await device.stop();
+  device.disconnect();
+
+  assert.deepEqual(bluetooth.device.writtenTo().map(text), ['Vibrate:10;', 'Vibrate:0;']);
+});
+
+test('satisfyer: init byte, then 4 bytes per motor', async () => {
+  const bluetooth = new MockBluetooth('satisfyer');
+  const device = await connect({ bluetooth });
+  await device.send(1);
+  await device.stop();
+  device.disconnect();
+
+  assert.deepEqual(bluetooth.device.writtenTo(), [bytes(0x01), bytes(100, 100, 100, 100), bytes(0, 0, 0, 0)]);
+});
+
+test('coyote v2: waveform init, then power on the power characteristic', async () => {
+  const bluetooth = new MockBluetooth('coyote-v2');
+  const device = await connect({ bluetooth });
+  await device.sendMotors([0.5, 0]);
+  await device.stop();
+  device.disconnect();
+
+  const power = bluetooth.device.writtenTo('955a1504-0fe2-f5aa-a094-84b8d4f3e8ad');
+  assert.ok(power.length >= 2);
+  assert.deepEqual(power.at(-1), bytes(0, 0, 0));
+  assert.equal(bluetooth.device.writtenTo('955a1506-0fe2-f5aa-a094-84b8d4f3e8ad').length >= 2, true);
+});
+
+test('coyote v3: limits are sent and strength is acknowledged via B1', async () => {
+  const bluetooth = new MockBluetooth('coyote-v3');
+  const device = await connect({ bluetooth, coyote: { limitA: 60, limitB: 40, strengthMode: 'absolute' } });
+  const events = [];
+  device.onFeedback(e => events.push(e));
+
+  await device.sendMotors([0.2, 0.1]);
+  await wait(20);  // Acknowledged writes finish in the background
+  assert.deepEqual(bluetooth.device.state, { a: 40, b: 20, limitA: 60, limitB: 40 });
+  assert.equal(events.at(-1).a, 40);
+  assert.equal(events.at(-1).manual, false);
+
+  // Requests above the soft limit are clamped on the host side too
+  await device.sendMotors([1, 1]);
+  await wait(20);
+  assert.deepEqual([bluetooth.device.state.a, bluetooth.device.state.b], [60, 40]);
+
+  await device.stop();
+  await wait(20);
+  device.disconnect();
+  assert.deepEqual([bluetooth.device.state.a, bluetooth.device.state.b], [0, 0]);
+  assert.equal(bluetooth.device.writtenTo()[0][0], 0xBF);
+});
+
+test('coyote v3: relative ramps stay inside the soft limits', async () => {
+  const bluetooth = new MockBluetooth('coyote-v3');
+  const device = await connect({ bluetooth, coyote: { limitA: 60, limitB: 60 } });
+
+  // Resolves once the acknowledged ramp has reached the target
+  await device.activateMotors([1, 1]);
+  assert.deepEqual([bluetooth.device.state.a, bluetooth.device.state.b], [60, 60]);
+
+  // Above the limit either way, so nothing changes - no undershoot to zero
+  await device.activateMotors([0.6, 0.6]);
+  await wait(50);
+  assert.deepEqual([bluetooth.device.state.a, bluetooth.device.state.b], [60, 60]);
+
+  await device.activateMotors([0.2, 0.1]);
+  await wait(50);
+  assert.deepEqual([bluetooth.device.state.a, bluetooth.device.state.b], [40, 20]);
+
+  await device.stop();
+  await wait(20);
+  device.disconnect();
+  assert.deepEqual([bluetooth.device.state.a, bluetooth.device.state.b], [0, 0]);
+});
+
+test('coyote v3: a newer target replaces the one being ramped toward', async () => {
+  const bluetooth = new MockBluetooth('coyote-v3');
+  const device = await connect({ bluetooth });
+
+  const first = device.activateMotors([1, 1]);
+  await device.activateMotors([0.1, 0.05]);
+  await first;
+  assert.deepEqual([bluetooth.device.state.a, bluetooth.device.state.b], [20, 10]);
+
+  await device.stop();
+  device.disconnect();
+});
+
+test('coyote v3: a strength change that is never acknowledged rejects', async () => {
+  const bluetooth = new MockBluetooth('coyote-v3');
+  const device = await connect({ bluetooth });
+  bluetooth.device.notifyStrength = () => {};  // B1 echoes lost
+
+  await assert.rejects(device.activateMotors([0.5, 0.5]), /acknowledge/);
+  // Every caller that joined the ramp hears about it
+  const joined = [device.activateMotors([0.2, 0.2]), device.activateMotors([0.3, 0.3])];
+  for (const call of joined) await assert.rejects(call, /acknowledge/);
+  device.disconnect();
+});
+
+test('coyote v3: dial changes come back as manual feedback', async () => {
+  const bluetooth = new MockBluetooth('coyote-v3');
+  const device = await connect({ bluetooth, coyote: { strengthMode: 'absolute' } });
+  const events = [];
+  device.onFeedback(e => events.push(e));
+
+  await device.sendMotors([0.1, 0.1]);
+  bluetooth.device.turnDial('a', 5);
+  await wait(20);
+
+  assert.equal(events.at(-1).manual, true);
+  assert.equal(events.at(-1).offsetA, 5);
+  await device.stop();
+  device.disconnect();
+});
+
+test('write failures surface to the caller', async () => {
+  const bluetooth = new MockBluetooth('lovense');
+  const device = await connect({ bluetooth });
+  bluetooth.device.failWrites(1);
+
+  await assert.rejects(device.send(0.5), /GATT operation failed/);
+  await device.send(0.5);
+  device.disconnect();
+});
+
+test('dropped link reconnects, re-runs init and resumes', async () => {
+  const bluetooth = new MockBluetooth('satisfyer');
+  const device = await connect({ bluetooth });
+  const states = [];
+  device.onConnectionChange(state => states.push(state));
+
+  bluetooth.device.failConnects(1);  // First reconnect attempt fails, second works
+  bluetooth.device.clearWrites();
+  bluetooth.device.simulateDisconnect();
+  assert.equal(device.connected, false);
+  await assert.rejects(device.send(0.5), /reconnecting/);
+
+  while (!device.connected) await wait(50);
+  assert.deepEqual(states, ['reconnecting', 'connected']);
+  // Init byte again, then a stop so the device comes back idle
+  assert.deepEqual(bluetooth.device.writtenTo(), [bytes(0x01), bytes(0, 0, 0, 0)]);
+
+  await device.send(0.5);
+  device.disconnect();
+});
+
+test('coyote v2: reconnects replace the disconnect listener instead of adding one', async () => {
+  const bluetooth = new MockBluetooth('coyote-v2');
+  const device = await connect({ bluetooth });
+  const listeners = bluetooth.device._listeners.size;
+
+  for (let i = 0; i < 2; i++) {
+    bluetooth.device.simulateDisconnect();
+    while (!device.connected) await wait(50);
+  }
+  assert.equal(bluetooth.device._listeners.size, listeners);
+  device.disconnect();
+});
+
+test('features follow the characteristics found on reconnect', async () => {
+  const bluetooth = new MockBluetooth('coyote-v3');
+  const device = await connect({ bluetooth });
+  assert.equal(device.features.feedback, true);
+
+  // Same device, but B1 notifications are gone after the drop
+  const control = bluetooth.device._services[0];
+  control._chars = control._chars.filter(c => !c.properties.notify);
+  bluetooth.device.simulateDisconnect();
+  while (!device.connected) await wait(50);
+
+  assert.equal(device.features.feedback, false);
+  device.disconnect();
+});
+
+test('protocol override: remembered by name, switchable on the live link', async () => {
+  const bluetooth = new MockBluetooth('lovense');
+  const device = await connect({ bluetooth, protocolOverrides: { 'LVS-Lush3': 'satisfyer' } });
+  assert.equal(device.protocol, 'satisfyer');
+  assert.equal(device.detection.override, 'satisfyer');
+  assert.equal(device.detection.id, 'lovense');
+
+  bluetooth.device.clearWrites();
+  await device.setProtocol(null);
+  await device.send(0.5);
+  device.disconnect();
+
+  assert.equal(device.protocol, 'lovense');
+  assert.equal(device.detection.override, undefined);
+  // Stop in the old protocol, then the new one's command
+  const writes = bluetooth.device.writtenTo();
+  assert.deepEqual(writes[0], bytes(0, 0, 0, 0));
+  assert.equal(text(writes[1]), 'Vibrate:10;');
+});
+
+test('protocol picked at connect time beats the remembered one', async () => {
+  const bluetooth = new MockBluetooth('satisfyer');
+  const device = await connect({ bluetooth, protocol: 'wevibe', protocolOverrides: { 'SF Curvy 2+': 'lovense' } });
+  assert.equal(device.protocol, 'wevibe');
+  assert.equal(device.features.motorCount, 1, 'the table lists this device under another protocol');
+  device.disconnect();
+});
+
+test('motor count comes from the device, not the protocol', async () => {
+  // Same packet format, one motor vs two according to the device table
+  for (const [name, motors] of [['Nova', 2], ['Jive', 1]]) {
+    const bluetooth = new MockBluetooth('satisfyer');
+    bluetooth.device.name = name;
+    const device = await connect({ bluetooth, protocol: 'wevibe' });
+    assert.equal(device.features.motorCount, motors, name);
+    device.disconnect();
+  }
+});
+
+test('safety limits: capped level, ramped up over several writes', async () => {
+  const bluetooth = new MockBluetooth('lovense');
+  const device = await connect({ bluetooth, safety: { maxIntensity: 1, maxRampRate: 4, devices: { 'LVS-Lush3': 0.5 } } });
+  await device.send(1);
+  await wait(200);
+  await device.stop();
+  device.disconnect();
+
+  // 4/s over 50ms write intervals = a fifth of the range per write, topping out at the 50% cap
+  assert.deepEqual(bluetooth.device.writtenTo().map(text), ['Vibrate:4;', 'Vibrate:8;', 'Vibrate:10;', 'Vibrate:0;']);
+});
@@ -0,0 +1,67 @@
+/**
+ * Custom pattern tests - parsing, sharing round trip and missing-pattern fallback
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SETTINGS, parsePattern, exportConfig, importConfig, mergeSharedPatterns,
+  missingPatterns, createSession, getNextValues,
+} from '../src/config.js';
+
+console.warn = () => {};
+
+const settingsWith = (patterns) => {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  settings.intensity.patterns = patterns;
+  return settings;
+};
+
+test('parsePattern reads 0-100 steps as normalized levels', () => {
+  assert.deepEqual(parsePattern('0, 50 100'), [0, 0.5, 1]);
+  assert.throws(() => parsePattern(''), /at least one step/);
+  assert.throws(() => parsePattern('10, 120'), /between 0 and 100/);
+});
+
+test('export carries only the custom patterns the settings use', () => {
+  const custom = { Spiky: [0, 1, 0, 1], Unused: [0.5] };
+  const config = importConfig(exportConfig(['I obey'], settingsWith(['climb', 'Spiky']), { patterns: custom }));
+  assert.deepEqual(config.patterns, { Spiky: [0, 1, 0, 1] });
+  assert.deepEqual(config.settings.intensity.patterns, ['climb', 'Spiky']);
+});
+
+test('importConfig drops malformed patterns and ones shadowing built-ins', () => {
+  const blob = btoa(JSON.stringify({ prompts: ['x'], patterns: { ok: [0.2], climb: [1], bad: [2], empty: [] } }));
+  assert.deepEqual(importConfig(blob).patterns, { ok: [0.2] });
+});
+
+test('a shared pattern never overwrites a different local one', () => {
+  const local = { Spiky: [1, 0] };
+  const { patterns, settings, renamed } = mergeSharedPatterns(local, { Spiky: [0, 1, 0, 1] }, settingsWith(['Spiky']));
+  assert.deepEqual(patterns, { 'Spiky': [1, 0], 'Spiky 2': [0, 1, 0, 1] });
+  assert.deepEqual(renamed, { Spiky: 'Spiky 2' });
+  assert.deepEqual(settings.intensity.patterns, ['Spiky 2']);
+  assert.deepEqual(local, { Spiky: [1, 0] });
+
+  // Identical content just matches up
+  assert.deepEqual(mergeSharedPatterns(local, { Spiky: [1, 0] }, settingsWith(['Spiky'])).renamed, {});
+});
+
+test('missing patterns are reported and skipped by the session', () => {
+  const settings = settingsWith(['Gone', 'random']);
+  assert.deepEqual(missingPatterns(settings, {}), ['Gone']);
+
+  const session = createSession(settingsWith(['Gone']), {});
+  assert.deepEqual(session.intensity.patterns, ['constant']);
+});
+
+test('sessions step through custom patterns', () => {
+  const settings = settingsWith(['Spiky']);
+  settings.intensity.metapattern = 'constant';
+  settings.intensity.min = 0;
+  settings.intensity.max = 1;
+  const session = createSession(settings, { Spiky: [0, 1, 0.5] });
+  const levels = [0, 1, 2].map(() => getNextValues(settings, session).intensity);
+  assert.deepEqual(levels, [0, 1, 0.5]);
+});
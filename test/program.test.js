@@ -0,0 +1,127 @@
+/**
+ * Program (multi-phase session) tests - timeline, phase settings, sharing and safety caps
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SETTINGS, normalizePhases, getPhaseTimeline, getSessionDuration, getPhaseSettings,
+  createSession, getNextValues, getSessionPhase, isSessionComplete, exportConfig, importConfig,
+} from '../src/config.js';
+import { clampSettings } from '../src/haptic/safety.js';
+
+console.warn = () => {};
+
+const programSettings = () => {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  settings.intensity = { metapattern: 'constant', patterns: ['constant'], min: 0.2, max: 0.6 };
+  settings.phases = normalizePhases([
+    { name: 'Warm-up', duration: 60, intensity: { max: 0.3 } },
+    { name: 'Main', duration: 120, mode: 'loading' },
+    { name: 'Cool-down', duration: 60, intensity: { min: 0.1, max: 0.1 } },
+  ]);
+  return settings;
+};
+
+// Move the session clock to `seconds` after its start
+const at = (session, seconds) => {
+  session.startTime = Date.now() - seconds * 1000;
+  return session;
+};
+
+test('normalizePhases fills defaults and drops bad fields', () => {
+  const [phase] = normalizePhases([{ duration: 1, mode: 'dance', prompts: ['ok', 3], intensity: { min: 'x', max: 0.5 } }, null]);
+  assert.deepEqual(phase, {
+    name: 'Phase 1', duration: 10, mode: 'call', prompts: ['ok'],
+    intensity: { max: 0.5 }, delay: {}, reward: {},
+  });
+  assert.deepEqual(normalizePhases('nope'), []);
+});
+
+test('a program replaces the session duration', () => {
+  const settings = programSettings();
+  assert.deepEqual(getPhaseTimeline(settings).map(p => [p.name, p.start, p.end]), [
+    ['Warm-up', 0, 60000], ['Main', 60000, 180000], ['Cool-down', 180000, 240000],
+  ]);
+  assert.equal(getSessionDuration(settings), 240);
+  assert.equal(getSessionDuration({ ...settings, phases: [] }), settings.sessionDuration);
+});
+
+test('phase settings override only the ranges they set', () => {
+  const settings = programSettings();
+  assert.deepEqual(getPhaseSettings(settings, 0).intensity, { metapattern: 'constant', patterns: ['constant'], min: 0.2, max: 0.3 });
+  assert.equal(getPhaseSettings(settings, 1).intensity.max, 0.6);
+  assert.equal(getPhaseSettings(settings, 7), settings);
+});
+
+test('a session advances through the phases', () => {
+  const settings = programSettings();
+  const session = createSession(settings);
+  assert.equal(session.duration, 240000);
+
+  assert.equal(getNextValues(settings, at(session, 10)).intensity, 0.3);
+  const main = getSessionPhase(at(session, 90));
+  assert.equal(main.name, 'Main');
+  assert.equal(main.mode, 'loading');
+  assert.equal(main.progress, 0.25);
+
+  const values = getNextValues(settings, at(session, 200));
+  assert.equal(values.phase, 2);
+  assert.equal(values.intensity, 0.1);
+  assert.ok(!isSessionComplete(session));
+  assert.ok(isSessionComplete(at(session, 240)));
+});
+
+test('arcs run over each phase rather than the whole session', () => {
+  const settings = programSettings();
+  settings.phases[1].intensity = { metapattern: 'slide_up_narrow', min: 0, max: 1 };
+  const session = createSession(settings);
+  const start = getNextValues(settings, at(session, 61)).intensity;
+  const end = getNextValues(settings, at(session, 179)).intensity;
+  assert.ok(start < end, `${start} should be below ${end}`);
+});
+
+test('sessions without a program report no phase', () => {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  const session = createSession(settings);
+  assert.equal(getSessionPhase(session), null);
+  assert.equal(getNextValues(settings, session).phase, null);
+});
+
+test('programs travel with exported configs', () => {
+  const settings = programSettings();
+  const config = importConfig(exportConfig(['I obey'], settings));
+  assert.deepEqual(config.settings.phases, settings.phases);
+
+  const legacy = importConfig(btoa(JSON.stringify({ prompts: ['x'], settings: { sessionDuration: 300 } })));
+  assert.ok(!('phases' in legacy.settings));
+});
+
+test('importing an older config keeps the local program and seed', () => {
+  // Exported before phases and fixed seeds existed
+  const older = importConfig(btoa(JSON.stringify({ prompts: ['x'], settings: { sessionDuration: 300, rewardText: 'Good' } })));
+  assert.deepEqual(Object.keys(older.settings), ['sessionDuration', 'rewardText']);
+
+  // Merged over the local settings the way the import dialog does
+  const local = { ...programSettings(), seed: 42 };
+  const merged = { ...local, ...older.settings };
+  assert.deepEqual(merged.phases, local.phases);
+  assert.equal(merged.seed, 42);
+  assert.equal(merged.sessionDuration, 300);
+
+  // An explicit empty program or random seed still replaces them
+  const cleared = importConfig(btoa(JSON.stringify({ prompts: ['x'], settings: { phases: [], seed: null } })));
+  assert.deepEqual({ ...local, ...cleared.settings }.phases, []);
+  assert.equal({ ...local, ...cleared.settings }.seed, null);
+});
+
+test('safety limits cap phase ranges and program length', () => {
+  const settings = programSettings();
+  settings.phases[1].intensity.max = 0.9;
+  const { settings: limited, clamped } = clampSettings(settings, { maxIntensity: 0.5, maxSession: 120 });
+  assert.equal(limited.phases[1].intensity.max, 0.5);
+  assert.deepEqual(limited.phases.map(p => p.duration), [60, 60]);
+  assert.ok(clamped.includes('phase "Main" length 120s → 60s'));
+  assert.ok(clamped.includes('phase "Cool-down" skipped'));
+});
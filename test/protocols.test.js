@@ -0,0 +1,236 @@
+/**
+ * Protocol golden tests - exact bytes per protocol
+ * Vectors follow the buttplug.io protocol implementations and the DG-LAB
+ * V2/V3 Bluetooth docs, so refactors can't silently change what devices get.
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  lovense, satisfyer, wevibe, aneros, kiiroo, svakom, lelo, magicmotion, mysteryvibe, coyote,
+  listProtocols,
+} from '../src/haptic/protocols/index.js';
+
+const bytes = (...values) => new Uint8Array(values);
+const ascii = (str) => new TextEncoder().encode(str);
+const repeat = (value, count) => new Array(count).fill(value);
+
+// Records what init() writes
+function recorder() {
+  const writes = [];
+  return {
+    writes,
+    properties: { write: true },
+    async writeValue(data) { writes.push(new Uint8Array(data)); },
+    async writeValueWithoutResponse(data) { writes.push(new Uint8Array(data)); },
+  };
+}
+
+// ============================================================================
+// Vibrators - buildCommand / buildStopCommand / init
+// ============================================================================
+
+const GOLDEN = {
+  lovense: {
+    protocol: lovense,
+    commands: [
+      [[0.5], ascii('Vibrate:10;')],
+      [[1], ascii('Vibrate:20;')],
+      [[0.02], ascii('Vibrate:0;')],
+    ],
+    stop: ascii('Vibrate:0;'),
+    init: [],
+  },
+  satisfyer: {
+    protocol: satisfyer,
+    commands: [
+      [[0.5], bytes(50, 50, 50, 50)],
+      [[1, 2], bytes(...repeat(100, 8))],
+    ],
+    stop: bytes(0, 0, 0, 0),
+    init: [bytes(0x01)],
+  },
+  wevibe: {
+    protocol: wevibe,
+    commands: [
+      [[1], bytes(0x0f, 0x03, 0x00, 0xff, 0x00, 0x03, 0x00, 0x00)],
+      [[1, 0], bytes(0x0f, 0x03, 0x00, 0xf0, 0x00, 0x03, 0x00, 0x00)],
+      [[0.2, 0.6], bytes(0x0f, 0x03, 0x00, 0x39, 0x00, 0x03, 0x00, 0x00)],
+      [[0], bytes(0x0f, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00)],
+    ],
+    stop: bytes(0x0f, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00),
+    init: [
+      bytes(0x0f, 0x03, 0x00, 0x99, 0x00, 0x03, 0x00, 0x00),
+      bytes(0x0f, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00),
+    ],
+  },
+  aneros: {
+    protocol: aneros,
+    commands: [
+      [[1], bytes(0xf1, 0xff)],
+      [[0.5, 1], bytes(0xf2, 0x80)],
+    ],
+    stop: bytes(0xf1, 0x00),
+    init: [],
+  },
+  kiiroo: {
+    protocol: kiiroo,
+    commands: [
+      [[1], bytes(0xff)],
+      [[0.5, 3], bytes(0x80, 0x80, 0x80)],
+    ],
+    stop: bytes(0x00),
+    init: [],
+  },
+  svakom: {
+    protocol: svakom,
+    commands: [
+      [[1], bytes(0x55, 0x04, 0x03, 0x00, 0x01, 0xff)],
+      [[0.5], bytes(0x55, 0x04, 0x03, 0x00, 0x01, 0x80)],
+      [[0], bytes(0x55, 0x04, 0x03, 0x00, 0x00, 0x00)],
+    ],
+    stop: bytes(0x55, 0x04, 0x03, 0x00, 0x00, 0x00),
+    init: [],
+  },
+  lelo: {
+    protocol: lelo,
+    commands: [
+      [[1], bytes(0x01, 0xff, 0xff)],
+      [[0.5, 0], bytes(0x01, 0x80, 0x00)],
+    ],
+    stop: bytes(0x01, 0x00, 0x00),
+    init: [],
+  },
+  magicmotion: {
+    protocol: magicmotion,
+    commands: [
+      [[1], bytes(0x0b, 0xff, 0x04, 0x0a, 0x32, 0x32, 0x00, 0x04, 0x08, 0xff, 0x64, 0x00, 0x04, 0x08, 0xff)],
+    ],
+    stop: bytes(0x0b, 0xff, 0x04, 0x0a, 0x32, 0x32, 0x00, 0x04, 0x08, 0x00, 0x64, 0x00, 0x04, 0x08, 0x00),
+    init: [],
+  },
+  mysteryvibe: {
+    protocol: mysteryvibe,
+    commands: [
+      [[1], bytes(...repeat(0xff, 6))],
+      [[0.5, 2], bytes(0x80, 0x80)],
+    ],
+    stop: bytes(...repeat(0x00, 6)),
+    init: [],
+  },
+};
+
+test('every registered protocol has golden vectors', () => {
+  const covered = [...Object.keys(GOLDEN), 'coyote'];
+  for (const { id } of listProtocols()) {
+    assert.ok(covered.includes(id), `missing golden vectors for ${id}`);
+  }
+});
+
+for (const [id, golden] of Object.entries(GOLDEN)) {
+  test(`${id}: buildCommand`, () => {
+    for (const [args, expected] of golden.commands) {
+      assert.deepEqual(golden.protocol.buildCommand(...args), expected, `buildCommand(${args.join(', ')})`);
+    }
+  });
+
+  test(`${id}: buildStopCommand`, () => {
+    assert.deepEqual(golden.protocol.buildStopCommand(), golden.stop);
+  });
+
+  test(`${id}: init`, async () => {
+    const char = recorder();
+    assert.equal(await golden.protocol.init(char), true);
+    assert.deepEqual(char.writes, golden.init);
+  });
+}
+
+test('per-motor commands', () => {
+  assert.deepEqual(wevibe.buildMotorsCommand([1, 0.2]), bytes(0x0f, 0x03, 0x00, 0xf3, 0x00, 0x03, 0x00, 0x00));
+  assert.deepEqual(lelo.buildMotorsCommand([0, 1]), bytes(0x01, 0x00, 0xff));
+  assert.deepEqual(kiiroo.buildMotorsCommand([0, 0.5, 1]), bytes(0x00, 0x80, 0xff));
+  assert.deepEqual(satisfyer.buildMotorsCommand([1, 0.25]), bytes(100, 100, 100, 100, 25, 25, 25, 25));
+  assert.deepEqual(mysteryvibe.buildMotorsCommand([1, 0, 0, 0, 0, 0.5]), bytes(0xff, 0, 0, 0, 0, 0x80));
+});
+
+// ============================================================================
+// Coyote V3 - B0 / BF / frequency encoding
+// ============================================================================
+
+const { buildB0Command, buildBFCommand, encodeFrequency, encodeV2Power, encodeV2Wave, STRENGTH_MODE } = coyote;
+
+test('coyote: encodeFrequency', () => {
+  // 10-100 as is, 101-600 in 5Hz steps from 100, 601-1000 in 10Hz steps from 200
+  const vectors = [[10, 10], [55, 55], [100, 100], [200, 120], [600, 200], [700, 210], [1000, 240], [5, 10], [2000, 240]];
+  for (const [hz, expected] of vectors) {
+    assert.equal(encodeFrequency(hz), expected, `${hz}Hz`);
+  }
+});
+
+test('coyote: B0 defaults - absolute, no sequence, 100Hz at 50%', () => {
+  assert.deepEqual(buildB0Command(), bytes(
+    0xb0, 0x0f, 0x00, 0x00,
+    100, 100, 100, 100, 50, 50, 50, 50,
+    100, 100, 100, 100, 50, 50, 50, 50,
+  ));
+});
+
+test('coyote: B0 sequence and per-channel strength modes', () => {
+  // Sequence in the high nibble, then A mode (2 bits), then B mode (2 bits)
+  const cmd = buildB0Command({ sequence: 5, modeA: STRENGTH_MODE.INCREASE, modeB: STRENGTH_MODE.NONE, intensityA: 10 });
+  assert.deepEqual([...cmd.slice(0, 4)], [0xb0, 0x54, 10, 0]);
+
+  const dec = buildB0Command({ sequence: 15, modeA: STRENGTH_MODE.ABSOLUTE, modeB: STRENGTH_MODE.DECREASE, intensityA: 200, intensityB: 3 });
+  assert.deepEqual([...dec.slice(0, 4)], [0xb0, 0xfe, 200, 3]);
+});
+
+test('coyote: B0 clamps strength and waveform values', () => {
+  const cmd = buildB0Command({
+    intensityA: 250,
+    intensityB: -5,
+    waveFreqA: [10, 1000, 5, 2000],
+    waveIntA: [0, 100, 150, -1],
+  });
+  assert.deepEqual([...cmd.slice(2, 12)], [200, 0, 10, 240, 10, 240, 0, 100, 100, 0]);
+});
+
+test('coyote: BF soft limits and balances', () => {
+  assert.deepEqual(buildBFCommand(), bytes(0xbf, 200, 200, 160, 160, 30, 30));
+  assert.deepEqual(
+    buildBFCommand({ limitA: 80, limitB: 40, freqBalanceA: 255, freqBalanceB: 0, intBalanceA: 10, intBalanceB: 20 }),
+    bytes(0xbf, 80, 40, 255, 0, 10, 20),
+  );
+});
+
+test('coyote: buildCommand / buildStopCommand / init', async () => {
+  const char = recorder();
+  await coyote.init(char);
+  assert.deepEqual(char.writes, [bytes(0xbf, 200, 200, 160, 160, 30, 30)]);
+
+  const on = coyote.buildCommand(0.5);
+  assert.deepEqual([...on.slice(0, 4)], [0xb0, 0x0f, 100, 0]);
+  const both = coyote.buildCommand(0.25, 1);
+  assert.deepEqual([...both.slice(0, 4)], [0xb0, 0x0f, 100, 50]);
+  const stop = coyote.buildStopCommand();
+  assert.deepEqual([...stop.slice(0, 4)], [0xb0, 0x0f, 0, 0]);
+});
+
+// ============================================================================
+// Coyote V2 - 3-byte little-endian bit fields
+// ============================================================================
+
+test('coyote: encodeV2Power - A in bits 21-11, B in bits 10-0', () => {
+  assert.deepEqual(encodeV2Power(0, 0), bytes(0x00, 0x00, 0x00));
+  assert.deepEqual(encodeV2Power(1024, 0), bytes(0x00, 0x00, 0x20));
+  assert.deepEqual(encodeV2Power(0, 1024), bytes(0x00, 0x04, 0x00));
+  assert.deepEqual(encodeV2Power(2047, 2047), bytes(0xff, 0xff, 0x3f));
+  assert.deepEqual(encodeV2Power(3000, -1), bytes(0x00, 0xf8, 0x3f));
+});
+
+test('coyote: encodeV2Wave - Z in bits 19-15, Y in bits 14-5, X in bits 4-0', () => {
+  assert.deepEqual(encodeV2Wave(10, 100, 10), bytes(0x8a, 0x0c, 0x05));
+  assert.deepEqual(encodeV2Wave(1, 9, 20), bytes(0x21, 0x01, 0x0a));
+  assert.deepEqual(encodeV2Wave(31, 1023, 31), bytes(0xff, 0xff, 0x0f));
+  assert.deepEqual(encodeV2Wave(0, 0, 1), bytes(0x00, 0x80, 0x00));
+});
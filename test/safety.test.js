@@ -0,0 +1,60 @@
+/**
+ * Safety limit tests - settings clamping and the output limiter
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SAFETY_LIMITS, normalizeSafetyLimits, limitsFor, clampSettings, OutputLimiter } from '../src/haptic/safety.js';
+import { DEFAULT_SETTINGS } from '../src/config.js';
+
+test('normalizeSafetyLimits fills defaults and clamps ranges', () => {
+  assert.deepEqual(normalizeSafetyLimits(), DEFAULT_SAFETY_LIMITS);
+  const limits = normalizeSafetyLimits({ maxIntensity: 3, minDelay: -1, maxRampRate: 'fast', devices: { a: 2, b: 'x' } });
+  assert.equal(limits.maxIntensity, 1);
+  assert.equal(limits.minDelay, 0);
+  assert.equal(limits.maxRampRate, DEFAULT_SAFETY_LIMITS.maxRampRate);
+  assert.deepEqual(limits.devices, { a: 1 });
+});
+
+test('a per-device cap only ever tightens the global one', () => {
+  const limits = { maxIntensity: 0.6, devices: { Lush: 0.4, Domi: 0.9 } };
+  assert.equal(limitsFor(limits, 'Lush').maxIntensity, 0.4);
+  assert.equal(limitsFor(limits, 'Domi').maxIntensity, 0.6);
+  assert.equal(limitsFor(limits, 'Other').maxIntensity, 0.6);
+});
+
+test('clampSettings pulls a hostile config inside the limits and lists what changed', () => {
+  const hostile = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  hostile.intensity.max = 1;
+  hostile.reward.max = 120;
+  hostile.delay.min = 0;
+  hostile.sessionDuration = 10 * 3600;
+
+  const { settings, clamped } = clampSettings(hostile, { maxIntensity: 0.7, maxReward: 5, minDelay: 2, maxSession: 1800 });
+  assert.equal(settings.intensity.max, 0.7);
+  assert.equal(settings.reward.max, 5);
+  assert.equal(settings.delay.min, 2);
+  assert.equal(settings.sessionDuration, 1800);
+  assert.deepEqual(clamped, ['intensity max 100% → 70%', 'reward max 120s → 5s', 'delay min 0s → 2s', 'session length 600min → 30min']);
+  assert.equal(hostile.intensity.max, 1);  // Input left alone
+});
+
+test('clampSettings leaves settings within the limits untouched', () => {
+  const { settings, clamped } = clampSettings(DEFAULT_SETTINGS, DEFAULT_SAFETY_LIMITS);
+  assert.deepEqual(settings, DEFAULT_SETTINGS);
+  assert.deepEqual(clamped, []);
+});
+
+test('OutputLimiter caps, ramps rises and drops instantly', () => {
+  const limiter = new OutputLimiter({ maxIntensity: 0.8, maxRampRate: 2 }, 100);
+  // 2/s over a 100ms interval = 0.2 per write, even after a long idle
+  assert.deepEqual(limiter.limit([1], 10000), { levels: [0.2], ramping: true });
+  assert.deepEqual(limiter.limit([1], 10100), { levels: [0.4], ramping: true });
+  assert.equal(limiter.limit([1], 10200).levels[0].toFixed(2), '0.60');
+  assert.deepEqual(limiter.limit([1], 10300), { levels: [0.8], ramping: false });
+  assert.deepEqual(limiter.limit([0.1], 10310), { levels: [0.1], ramping: false });
+
+  limiter.reset();
+  assert.deepEqual(limiter.limit([0.5], 20000), { levels: [0.2], ramping: true });
+});
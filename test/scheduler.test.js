@@ -0,0 +1,84 @@
+/**
+ * Output scheduler tests - envelope shapes and streaming a reward to devices
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { envelopeLevel, OutputScheduler } from '../src/haptic/scheduler.js';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+const envelope = (overrides) => ({ shape: 'flat', attack: 0, release: 0, period: 1, depth: 0.5, tickRate: 50, ...overrides });
+
+test('attack and release fade the edges of a reward', () => {
+  const shaped = envelope({ attack: 0.2, release: 0.3 });
+  close(envelopeLevel(shaped, 0, 1000), 0);
+  close(envelopeLevel(shaped, 100, 1000), 0.5);
+  close(envelopeLevel(shaped, 500, 1000), 1);
+  close(envelopeLevel(shaped, 850, 1000), 0.5);
+  close(envelopeLevel(shaped, 1000, 1000), 0);
+});
+
+test('attack and release shrink to fit a short reward', () => {
+  // 0.5s of edges in a 250ms reward - both halved
+  const shaped = envelope({ attack: 0.2, release: 0.3 });
+  close(envelopeLevel(shaped, 50, 250), 0.5);
+  close(envelopeLevel(shaped, 100, 250), 1);
+  close(envelopeLevel(shaped, 175, 250), 0.5);
+});
+
+test('ramp, sine and saw dip by depth', () => {
+  close(envelopeLevel(envelope({ shape: 'ramp' }), 0, 1000), 0.5);
+  close(envelopeLevel(envelope({ shape: 'ramp' }), 500, 1000), 0.75);
+
+  close(envelopeLevel(envelope({ shape: 'sine' }), 0, 2000), 0.5);
+  close(envelopeLevel(envelope({ shape: 'sine' }), 500, 2000), 1);
+
+  close(envelopeLevel(envelope({ shape: 'saw' }), 500, 2000), 0.75);
+  close(envelopeLevel(envelope({ shape: 'saw' }), 1000, 2000), 0.5);  // Dropped back at the period
+});
+
+test('out-of-range settings are clamped', () => {
+  close(envelopeLevel(envelope({ shape: 'unknown' }), 300, 1000), 1);  // Falls back to flat
+  close(envelopeLevel(envelope({ shape: 'ramp', depth: 3 }), 0, 1000), 0);
+  close(envelopeLevel(envelope({ shape: 'saw', period: 0 }), 50, 1000), 0.75);  // 100ms minimum period
+});
+
+// Records what the scheduler streams
+const recorder = () => {
+  const calls = [];
+  return { calls, stream: (level, channels) => calls.push([level, channels]) };
+};
+
+test('play streams the shaped level and resolves when the reward ends', async () => {
+  const devices = recorder();
+  const scheduler = new OutputScheduler(devices);
+  const done = scheduler.play({ intensity: 0.8, channels: { a: 1, b: 0.5 }, duration: 60, envelope: envelope() });
+  assert.ok(scheduler.isPlaying);
+  assert.deepEqual(devices.calls[0], [0.8, { a: 1, b: 0.5 }]);
+
+  await done;
+  assert.ok(!scheduler.isPlaying);
+  assert.ok(devices.calls.length >= 2);
+  const count = devices.calls.length;
+  await wait(50);
+  assert.equal(devices.calls.length, count, 'nothing streamed after the reward');
+});
+
+test('cancel ends a reward early and a new play replaces the old one', async () => {
+  const devices = recorder();
+  const scheduler = new OutputScheduler(devices);
+  const first = scheduler.play({ intensity: 1, duration: 10000, envelope: envelope() });
+  assert.equal(devices.calls[0][1], null);  // No channels for plain vibrators
+
+  const second = scheduler.play({ intensity: 0.5, duration: 10000, envelope: envelope() });
+  await first;
+  assert.ok(scheduler.isPlaying);
+
+  scheduler.cancel();
+  await second;
+  assert.ok(!scheduler.isPlaying);
+  assert.equal(devices.calls.at(-1)[0], 0.5);
+});
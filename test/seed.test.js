@@ -0,0 +1,73 @@
+/**
+ * Seeded session tests - same seed + settings gives the same session
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SETTINGS, createRng, normalizeSeed, createSession, getNextValues, exportConfig, importConfig,
+} from '../src/config.js';
+
+console.warn = () => {};
+
+const randomSettings = () => {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  settings.delay.patterns = ['random'];
+  settings.patternSwitch = { minInstances: 1, maxInstances: 3 };
+  return settings;
+};
+
+// Session values with the clock pinned to the start, so only the seed matters
+const run = (settings, seed, steps = 20, between = () => {}) => {
+  const session = createSession(settings, {}, {}, seed);
+  session.pausedAt = session.startTime;  // progress frozen at 0
+  return Array.from({ length: steps }, () => {
+    between(session);
+    const { intensity, delay, reward, waveform } = getNextValues(settings, session);
+    return { intensity, delay, reward, waveform, pattern: session.intensity.currentPattern };
+  });
+};
+
+test('createRng repeats for a seed and stays in [0, 1)', () => {
+  const a = createRng(1234);
+  const b = createRng(1234);
+  const values = Array.from({ length: 100 }, () => a());
+  assert.deepEqual(values, Array.from({ length: 100 }, () => b()));
+  assert.ok(values.every(v => v >= 0 && v < 1));
+  assert.notDeepEqual(values.slice(0, 5), Array.from({ length: 5 }, createRng(1235)));
+});
+
+test('normalizeSeed keeps whole numbers and hashes words', () => {
+  assert.equal(normalizeSeed('42'), 42);
+  assert.equal(normalizeSeed(7), 7);
+  assert.equal(normalizeSeed(''), null);
+  assert.equal(normalizeSeed(null), null);
+  assert.equal(normalizeSeed('warm night'), normalizeSeed(' warm night '));
+  assert.ok(Number.isInteger(normalizeSeed('warm night')));
+});
+
+test('the same seed gives the same session', () => {
+  const settings = randomSettings();
+  assert.deepEqual(run(settings, 99), run(settings, 99));
+  assert.notDeepEqual(run(settings, 99), run(settings, 100));
+});
+
+test('prompt and clicker randomness does not shift the values', () => {
+  const settings = randomSettings();
+  const busy = run(settings, 5, 20, session => { session.cueRandom(); session.cueRandom(); });
+  assert.deepEqual(busy, run(settings, 5));
+});
+
+test('a fixed seed in settings is used by default', () => {
+  const settings = { ...randomSettings(), seed: 77 };
+  assert.equal(createSession(settings).seed, 77);
+  assert.deepEqual(run(settings, undefined), run(settings, 77));
+});
+
+test('a fixed seed travels with exported configs', () => {
+  const config = importConfig(exportConfig(['I obey'], { ...randomSettings(), seed: 31337 }));
+  assert.equal(config.settings.seed, 31337);
+  const unfixed = importConfig(exportConfig(['I obey'], randomSettings()));
+  assert.equal(unfixed.settings.seed, null);
+});
@@ -0,0 +1,117 @@
+/**
+ * Timeline tests - precomputed sessions, JSON round trip, safety caps and the playback clock
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SETTINGS, normalizePhases, buildTimeline, parseTimeline, exportTimeline,
+} from '../src/config.js';
+import { clampTimeline } from '../src/haptic/safety.js';
+import { TimelinePlayer } from '../src/haptic/playback.js';
+
+console.warn = () => {};
+
+const shortSettings = () => {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  settings.sessionDuration = 120;
+  settings.delay.patterns = ['random'];
+  return settings;
+};
+
+test('the same seed builds the same timeline', () => {
+  const settings = shortSettings();
+  assert.deepEqual(buildTimeline(settings, {}, {}, 12), buildTimeline(settings, {}, {}, 12));
+  assert.notDeepEqual(buildTimeline(settings, {}, {}, 12).steps, buildTimeline(settings, {}, {}, 13).steps);
+});
+
+test('steps follow each other by cue, reward and delay', () => {
+  const timeline = buildTimeline(shortSettings(), {}, {}, 4);
+  assert.equal(timeline.seed, 4);
+  const last = timeline.steps.at(-1);
+  assert.equal(timeline.duration, Math.max(120000, last.time + last.cue + last.reward));
+  assert.equal(timeline.steps[0].time, 0);
+  timeline.steps.slice(1).forEach((step, i) => {
+    const prev = timeline.steps[i];
+    assert.equal(step.time, prev.time + prev.cue + prev.reward + prev.delay);
+  });
+  assert.ok(last.time < 120000);
+});
+
+test('program timelines carry their phases', () => {
+  const settings = shortSettings();
+  settings.phases = normalizePhases([{ name: 'A', duration: 30 }, { name: 'B', duration: 30 }]);
+  const timeline = buildTimeline(settings, {}, {}, 1);
+  assert.deepEqual(timeline.phases.map(p => [p.name, p.start, p.end]), [['A', 0, 30000], ['B', 30000, 60000]]);
+  assert.equal(timeline.steps.at(-1).phase, 1);
+});
+
+test('exported timelines parse back unchanged', () => {
+  const timeline = buildTimeline(shortSettings(), {}, {}, 8);
+  assert.deepEqual(parseTimeline(exportTimeline(timeline)), timeline);
+});
+
+test('parseTimeline rejects unusable files', () => {
+  assert.throws(() => parseTimeline('{}'), /no steps/);
+  assert.throws(() => parseTimeline({ steps: [{ time: 0 }] }), /step 1/);
+  assert.throws(() => parseTimeline('not json'));
+  const loose = parseTimeline({ steps: [{ time: 500, intensity: 3, reward: 1000 }] });
+  assert.equal(loose.steps[0].intensity, 1);
+  assert.equal(loose.duration, 1500);
+  assert.equal(loose.seed, null);
+});
+
+test('clampTimeline caps levels and rewards and keeps the minimum delay', () => {
+  const timeline = parseTimeline({
+    duration: 20000,
+    steps: [
+      { time: 0, cue: 0, intensity: 0.9, reward: 5000, ambient: 0.8 },
+      { time: 5500, cue: 0, intensity: 0.3, reward: 1000 },
+    ],
+  });
+  const { timeline: limited, clamped } = clampTimeline(timeline, { maxIntensity: 0.5, maxReward: 2, minDelay: 1 });
+  assert.equal(limited.steps[0].intensity, 0.5);
+  assert.equal(limited.steps[0].ambient, 0.5);
+  assert.equal(limited.steps[0].reward, 2000);
+  assert.equal(limited.steps[1].time, 5500);
+  assert.equal(clamped.length, 2);
+
+  const tight = clampTimeline(timeline, { minDelay: 2 });
+  assert.equal(tight.timeline.steps[1].time, 7000);
+  assert.equal(timeline.steps[1].time, 5500, 'the original is left alone');
+});
+
+test('clampTimeline drops steps past the session cap', () => {
+  const timeline = buildTimeline({ ...shortSettings(), sessionDuration: 600 }, {}, {}, 2);
+  const { timeline: limited, clamped } = clampTimeline(timeline, { maxSession: 60 });
+  assert.equal(limited.duration, 60000);
+  assert.ok(limited.steps.every(step => step.time < 60000));
+  assert.match(clamped.at(-1), /^length 10min → 1min/);
+});
+
+test('TimelinePlayer follows its clock through pause and seek', () => {
+  let now = 1000;
+  const player = new TimelinePlayer({ duration: 10000, steps: [{ time: 0 }, { time: 4000 }, { time: 8000 }] }, () => now);
+  assert.equal(player.position, 0);
+  player.play();
+  now += 3000;
+  assert.equal(player.position, 3000);
+
+  player.pause();
+  now += 5000;
+  assert.equal(player.position, 3000);
+  assert.ok(!player.playing);
+
+  const version = player.version;
+  player.seek(5000);
+  assert.ok(player.version > version);
+  assert.equal(player.nextStep.time, 8000);
+  player.play();
+  now += 6000;
+  assert.ok(player.ended);
+  assert.equal(player.position, 10000);
+
+  player.advance();
+  assert.equal(player.nextStep, null);
+});
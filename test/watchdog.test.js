@@ -0,0 +1,83 @@
+/**
+ * Safety stop tests - watchdog deadlines and DeviceManager stop / emergencyStop
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Watchdog } from '../src/haptic/watchdog.js';
+import { DeviceManager } from '../src/haptic/devices.js';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('fires once when the deadline passes', async () => {
+  const fired = [];
+  const watchdog = new Watchdog(overdue => fired.push(overdue), 5);
+  watchdog.arm(20);
+  await wait(80);
+  assert.equal(fired.length, 1);
+  assert.ok(fired[0] > 0);
+  assert.equal(watchdog.armed, false);
+});
+
+test('re-arming before the deadline holds it off', async () => {
+  let fired = 0;
+  const watchdog = new Watchdog(() => fired++, 5);
+  watchdog.arm(40);
+  await wait(20);
+  watchdog.arm(40);
+  await wait(25);
+  assert.equal(fired, 0);
+  watchdog.disarm();
+});
+
+test('disarm cancels the deadline', async () => {
+  let fired = 0;
+  const watchdog = new Watchdog(() => fired++, 5);
+  watchdog.arm(10);
+  watchdog.disarm();
+  await wait(40);
+  assert.equal(fired, 0);
+  assert.equal(watchdog.armed, false);
+});
+
+// Device whose activate only lands when the test calls land()
+const slowDevice = (log) => {
+  const device = {
+    name: 'Slow',
+    connected: true,
+    isActive: true,
+    features: { type: 'vibrator', motorCount: 1, maxIntensity: 20, commandInterval: 0 },
+    onFeedback: () => () => {},
+    onConnectionChange: () => () => {},
+    activate: (level) => new Promise(r => { device.land = () => { log.push(`activate ${level}`); r(); }; }),
+    stop: async () => log.push('stop'),
+  };
+  return device;
+};
+
+for (const method of ['stop', 'emergencyStop']) {
+  test(`${method} stops before an in-flight stream write lands, and again after`, async () => {
+    const log = [];
+    const device = slowDevice(log);
+    const devices = new DeviceManager();
+    devices.add(device);
+
+    devices.stream(0.5);
+    const stopped = devices[method]();
+    await wait(0);
+    assert.deepEqual(log, ['stop']);  // Didn't wait for the write
+
+    device.land();
+    await stopped;
+    assert.deepEqual(log, ['stop', 'activate 0.5', 'stop']);
+  });
+}
+
+test('stop with nothing in flight stops once', async () => {
+  const log = [];
+  const devices = new DeviceManager();
+  devices.add(slowDevice(log));
+  await devices.stop();
+  assert.deepEqual(log, ['stop']);
+});
@@ -0,0 +1,101 @@
+/**
+ * Coyote waveform tests - parsing, frame playback, stored and shared custom waveforms
+ * Run with `npm test`
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { WAVEFORMS, parseWaveform, getFrame, frameCount, getWaveform, isValidWaveform } from '../src/haptic/waveforms.js';
+import {
+  DEFAULT_SETTINGS, exportConfig, importConfig, loadCustomWaveforms, mergeSharedWaveforms, missingWaveforms,
+} from '../src/config.js';
+
+// Loading warns about what it drops - mocked per test, restored after each
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+});
+
+const settingsWith = (waveforms) => {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  settings.coyote.waveforms = waveforms;
+  return settings;
+};
+
+const ZAP = { freq: [10, 10, 100, 100], intensity: [0, 100, 0, 100] };
+
+test('parseWaveform pads to whole frames with the last sample', () => {
+  assert.deepEqual(parseWaveform('10, 20 30', '0,50, 100'), { freq: [10, 20, 30, 30], intensity: [0, 50, 100, 100] });
+  assert.equal(parseWaveform('10 10 10 10', '1 2 3 4').freq.length, 4);
+});
+
+test('parseWaveform rejects unusable sample lists', () => {
+  assert.throws(() => parseWaveform('', ''), /at least one sample/);
+  assert.throws(() => parseWaveform('10, 20', '50'), /mismatch: 2 frequencies, 1 intensities/);
+  assert.throws(() => parseWaveform('5', '50'), /Frequencies/);
+  assert.throws(() => parseWaveform('10', '101'), /Intensities/);
+  assert.throws(() => parseWaveform('10, abc', '1, 2'), /Frequencies/);
+  const many = new Array(401).fill(10).join(',');
+  assert.throws(() => parseWaveform(many, many), /at most 400/);
+});
+
+test('getFrame walks 4-sample frames and loops', () => {
+  const wave = { freq: [10, 10, 10, 10, 20, 20, 20, 20], intensity: [1, 2, 3, 4, 5, 6, 7, 8] };
+  assert.equal(frameCount(wave), 2);
+  assert.deepEqual(getFrame(wave, 1), { freq: [20, 20, 20, 20], intensity: [5, 6, 7, 8] });
+  assert.deepEqual(getFrame(wave, 2), getFrame(wave, 0));
+});
+
+test('getFrame repeats the last sample of a short final frame', () => {
+  const wave = { freq: [10, 10, 10, 10, 30], intensity: [1, 1, 1, 1, 9] };
+  assert.equal(frameCount(wave), 2);
+  assert.deepEqual(getFrame(wave, 1), { freq: [30, 30, 30, 30], intensity: [9, 9, 9, 9] });
+});
+
+test('getWaveform prefers custom waveforms and falls back to steady', () => {
+  assert.equal(getWaveform('zap', { zap: ZAP }), ZAP);
+  assert.equal(getWaveform('tide'), WAVEFORMS.tide);
+  assert.equal(getWaveform('nope'), WAVEFORMS.steady);
+});
+
+test('every built-in waveform is valid', () => {
+  for (const [name, waveform] of Object.entries(WAVEFORMS)) assert.ok(isValidWaveform(waveform), name);
+});
+
+test('loadCustomWaveforms drops malformed entries and ones shadowing built-ins', () => {
+  const stored = {
+    zap: ZAP,
+    short: { freq: [10, 10], intensity: [50] },
+    loud: { freq: [10], intensity: [200] },
+    steady: ZAP,
+    junk: 'x',
+  };
+  globalThis.localStorage = { getItem: () => JSON.stringify(stored) };
+  try {
+    assert.deepEqual(loadCustomWaveforms(), { zap: ZAP });
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
+
+test('export carries only the custom waveforms the settings use', () => {
+  const custom = { zap: ZAP, unused: { freq: [10], intensity: [1] } };
+  const config = importConfig(exportConfig(['I obey'], settingsWith(['tide', 'zap']), { waveforms: custom }));
+  assert.deepEqual(config.waveforms, { zap: ZAP });
+});
+
+test('importConfig drops malformed waveforms', () => {
+  const blob = btoa(JSON.stringify({ prompts: ['x'], waveforms: { zap: ZAP, bad: { freq: [10], intensity: [-1] } } }));
+  assert.deepEqual(importConfig(blob).waveforms, { zap: ZAP });
+});
+
+test('shared waveforms never overwrite local ones with the same name', () => {
+  const local = { zap: { freq: [10], intensity: [5] } };
+  const merged = mergeSharedWaveforms(local, { zap: ZAP }, settingsWith(['zap', 'steady']));
+  assert.deepEqual(merged.renamed, { zap: 'zap 2' });
+  assert.deepEqual(merged.waveforms, { zap: local.zap, 'zap 2': ZAP });
+  assert.deepEqual(merged.settings.coyote.waveforms, ['zap 2', 'steady']);
+});
+
+test('missingWaveforms lists names nothing defines', () => {
+  assert.deepEqual(missingWaveforms(settingsWith(['tide', 'zap', 'gone', 'gone']), { zap: ZAP }), ['gone']);
+});